@@ -0,0 +1,383 @@
+// @ts-check
+/**
+ * Classifies sounds with k-nearest neighbours, over Meyda's `mfcc` and `loudness` features.
+ * Trained by recording examples of each sound, rather than tuning thresholds.
+ *
+ * Usually used via MeydaHelper's `classifier` option, but can be used directly:
+ * ```js
+ * const classifier = new SoundClassifier();
+ * classifier.startRecording(`typing`);
+ * // For each frame of features:
+ * const probabilities = classifier.update(features);
+ * ```
+ */
+
+/**
+ * @typedef {object} SoundClassifierOptions
+ * @property {number} k Number of nearest examples that vote. Default: 5
+ * @property {number} maxExamples Most examples kept per label. Longer recordings are sampled evenly. Default: 500
+ * @property {number} smoothing 0..1, how much probabilities are smoothed over time. Default: 0.5
+ */
+
+/**
+ * @typedef {{
+ *  mfcc?: number[]
+ *  loudness?: { specific: Float32Array|number[], total: number }
+ * }} ClassifierFeatures
+ */
+
+/**
+ * @typedef {{ examples: Record<string, number[][]> }} SoundClassifierJson
+ */
+
+/**
+ * @typedef {{
+ *  mean: number[]
+ *  deviation: number[]
+ *  examples: Array<{ label:string, vector:number[] }>
+ * }} Scaling
+ */
+
+export class SoundClassifier {
+  /** @type SoundClassifierOptions */
+  options;
+
+  /**
+   * Examples, by label
+   * @type {Map<string,number[][]>}
+   */
+  #examples = new Map();
+
+  /**
+   * Frames seen while recording each label, for sampling
+   * @type {Map<string,number>}
+   */
+  #seen = new Map();
+
+  /** @type {string|undefined} */
+  #recording;
+
+  /**
+   * Per-dimension mean & deviation of examples, to scale vectors,
+   * and examples scaled by them. _undefined_ if examples have changed, or there are none.
+   * Made when recording starts and kept until it stops, so frames being recorded aren't used.
+   * @type {Scaling|undefined}
+   */
+  #scale;
+
+  /** @type {Record<string,number>} */
+  #probabilities = emptyRecord();
+
+  /**
+   * @param {Partial<SoundClassifierOptions>} [options]
+   */
+  constructor(options = {}) {
+    this.options = {
+      k: 5,
+      maxExamples: 500,
+      smoothing: 0.5,
+      ...options
+    };
+  }
+
+  /**
+   * Labels that have examples
+   */
+  get labels() {
+    return [ ...this.#examples.keys() ];
+  }
+
+  /**
+   * Label being recorded, or _undefined_
+   */
+  get recording() {
+    return this.#recording;
+  }
+
+  /**
+   * Probabilities from the last `update`, by label
+   */
+  get probabilities() {
+    return this.#probabilities;
+  }
+
+  /**
+   * Number of examples for a label
+   * @param {string} label
+   */
+  count(label) {
+    return this.#examples.get(label)?.length ?? 0;
+  }
+
+  /**
+   * Adds each frame passed to `update` as an example of `label`, until `stopRecording`
+   * @param {string} label
+   */
+  startRecording(label) {
+    if (typeof label !== `string` || label.length === 0) throw new TypeError(`Param 'label' should be a non-empty string`);
+    this.#scale = this.#makeScale();
+    this.#recording = label;
+  }
+
+  /**
+   * Stops recording. Examples recorded are used from the next `update`.
+   */
+  stopRecording() {
+    if (this.#recording === undefined) return;
+    this.#recording = undefined;
+    this.#scale = undefined;
+  }
+
+  /**
+   * Adds an example of a label
+   * @param {string} label
+   * @param {ClassifierFeatures} features
+   */
+  addExample(label, features) {
+    const vector = featureVector(features);
+    if (!vector) throw new Error(`Features need 'mfcc' and 'loudness', with finite values`);
+    this.#add(label, vector);
+    this.#scale = undefined;
+  }
+
+  /**
+   * Removes all examples of a label
+   * @param {string} label
+   */
+  removeLabel(label) {
+    this.#examples.delete(label);
+    this.#seen.delete(label);
+    this.#scale = undefined;
+    this.#probabilities = emptyRecord();
+  }
+
+  /**
+   * Removes all examples
+   */
+  clear() {
+    this.#examples.clear();
+    this.#seen.clear();
+    this.#scale = undefined;
+    this.#probabilities = emptyRecord();
+  }
+
+  /**
+   * Processes a frame: returns smoothed probabilities of each label, 0..1,
+   * then adds it as an example if recording.
+   *
+   * While recording, frames are classified against the examples there were
+   * when recording started, so the label being recorded doesn't win by default.
+   * If there were none, probabilities are empty until recording stops. Examples
+   * added or removed while recording are also only used once it stops.
+   * Returns an empty object if there are no examples, and the last probabilities if
+   * features can't be used (eg. silence can give infinite MFCCs).
+   * @param {ClassifierFeatures} features
+   * @returns {Record<string,number>}
+   */
+  update(features) {
+    const vector = featureVector(features);
+    if (!vector) return this.#probabilities;
+
+    const raw = this.classify(vector);
+    const { smoothing } = this.options;
+    const previous = this.#probabilities;
+    const probabilities = emptyRecord();
+    for (const [ label, p ] of Object.entries(raw)) {
+      const before = previous[label];
+      probabilities[label] = before === undefined ? p : before * smoothing + p * (1 - smoothing);
+    }
+    this.#probabilities = probabilities;
+
+    if (this.#recording) this.#add(this.#recording, vector);
+    return probabilities;
+  }
+
+  /**
+   * Returns probabilities of each label for a feature vector (see `featureVector`), without smoothing.
+   * Nearer examples get more of a vote.
+   * @param {number[]} vector
+   * @returns {Record<string,number>}
+   */
+  classify(vector) {
+    const votes = emptyRecord();
+    const scale = this.#getScale();
+    if (!scale) return votes;
+    const scaled = scaleVector(vector, scale);
+
+    /** @type {Array<{ label:string, distance:number }>} */
+    const nearest = [];
+    const k = Math.max(1, this.options.k);
+    for (const example of scale.examples) votes[example.label] = 0;
+    for (const example of scale.examples) {
+      const distance = distanceSquared(scaled, example.vector);
+      if (nearest.length === k && distance >= nearest[k - 1].distance) continue;
+      nearest.push({ label: example.label, distance });
+      nearest.sort((a, b) => a.distance - b.distance);
+      if (nearest.length > k) nearest.pop();
+    }
+
+    let total = 0;
+    for (const { label, distance } of nearest) {
+      const vote = 1 / (Math.sqrt(distance) + 1e-6);
+      votes[label] += vote;
+      total += vote;
+    }
+    if (total === 0) return votes;
+    for (const label of Object.keys(votes)) votes[label] /= total;
+    return votes;
+  }
+
+  /**
+   * Label with the highest probability from the last `update`, or _undefined_
+   */
+  get label() {
+    let best;
+    let bestP = -1;
+    for (const [ label, p ] of Object.entries(this.#probabilities)) {
+      if (p > bestP) {
+        best = label;
+        bestP = p;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Returns examples, for saving.
+   * ```js
+   * localStorage.setItem(`sounds`, JSON.stringify(classifier));
+   * ```
+   * @returns {SoundClassifierJson}
+   */
+  toJSON() {
+    return { examples: Object.fromEntries(this.#examples) };
+  }
+
+  /**
+   * Replaces examples with those from `toJSON`.
+   * Throws an error, leaving examples as they were, if any aren't arrays of finite numbers
+   * of the same length.
+   * ```js
+   * classifier.loadExamples(JSON.parse(localStorage.getItem(`sounds`)));
+   * ```
+   * @param {SoundClassifierJson|string} json
+   */
+  loadExamples(json) {
+    const { examples } = typeof json === `string` ? JSON.parse(json) : json;
+    if (typeof examples !== `object` || examples === null || Array.isArray(examples)) throw new Error(`Expected 'examples' property`);
+    /** @type {number|undefined} */
+    let dimensions;
+    for (const [ label, vectors ] of Object.entries(examples)) {
+      if (label.length === 0) throw new Error(`Labels should be non-empty strings`);
+      if (!Array.isArray(vectors)) throw new Error(`Examples for '${label}' should be an array`);
+      for (const [ index, vector ] of vectors.entries()) {
+        if (!Array.isArray(vector) || !vector.every(Number.isFinite)) throw new Error(`Example ${index} of '${label}' should be an array of finite numbers`);
+        dimensions ??= vector.length;
+        if (vector.length !== dimensions) throw new Error(`Example ${index} of '${label}' has ${vector.length} values, but others have ${dimensions}`);
+      }
+    }
+
+    this.clear();
+    for (const [ label, vectors ] of Object.entries(examples)) {
+      for (const vector of vectors) this.#add(label, vector);
+      this.#seen.set(label, vectors.length);
+    }
+  }
+
+  /**
+   * @param {string} label
+   * @param {number[]} vector
+   */
+  #add(label, vector) {
+    const dimensions = this.#examples.values().next().value?.[0]?.length;
+    if (dimensions !== undefined && dimensions !== vector.length) {
+      throw new Error(`Example has ${vector.length} values, but existing ones have ${dimensions}. Were 'numberOfMFCCCoefficients' or 'numberOfBarkBands' changed?`);
+    }
+    let examples = this.#examples.get(label);
+    if (!examples) {
+      examples = [];
+      this.#examples.set(label, examples);
+    }
+
+    // Reservoir sampling, so long recordings are evenly represented
+    const seen = (this.#seen.get(label) ?? 0) + 1;
+    this.#seen.set(label, seen);
+    if (examples.length < this.options.maxExamples) {
+      examples.push(vector);
+    } else {
+      const index = Math.floor(Math.random() * seen);
+      if (index >= examples.length) return;
+      examples[index] = vector;
+    }
+  }
+
+  /**
+   * Returns the scaling of examples, making it if needed. While recording, only
+   * the one made when recording started is used.
+   * @returns {Scaling|undefined}
+   */
+  #getScale() {
+    if (!this.#scale && this.#recording === undefined) this.#scale = this.#makeScale();
+    return this.#scale;
+  }
+
+  /**
+   * @returns {Scaling|undefined}
+   */
+  #makeScale() {
+    const all = [ ...this.#examples.values() ].flat();
+    if (all.length === 0) return;
+    const dimensions = all[0].length;
+    const mean = Array.from({ length: dimensions }, (_, d) => all.reduce((total, v) => total + v[d], 0) / all.length);
+    const deviation = mean.map((m, d) => {
+      const sd = Math.sqrt(all.reduce((total, v) => total + (v[d] - m) ** 2, 0) / all.length);
+      // Constant dimensions don't affect distance
+      return sd > 0 ? sd : 1;
+    });
+    /** @type Scaling */
+    const scale = { mean, deviation, examples: [] };
+    for (const [ label, examples ] of this.#examples) {
+      for (const vector of examples) scale.examples.push({ label, vector: scaleVector(vector, scale) });
+    }
+    return scale;
+  }
+}
+
+/**
+ * Returns the vector the classifier uses: MFCCs, then specific and total loudness.
+ * Returns _undefined_ if features are missing or not finite.
+ * @param {ClassifierFeatures} features
+ * @returns {number[]|undefined}
+ */
+export function featureVector(features) {
+  const { mfcc, loudness } = features;
+  if (!mfcc || !loudness) return;
+  const vector = [ ...mfcc, ...loudness.specific, loudness.total ];
+  return vector.every(Number.isFinite) ? vector : undefined;
+}
+
+/**
+ * Returns an object without a prototype, so any label can be a key, even `__proto__`
+ * @returns {Record<string,number>}
+ */
+function emptyRecord() {
+  return Object.create(null);
+}
+
+/**
+ * @param {number[]} vector
+ * @param {{ mean:number[], deviation:number[] }} scale
+ */
+function scaleVector(vector, scale) {
+  return vector.map((v, d) => (v - scale.mean[d]) / scale.deviation[d]);
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+function distanceSquared(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += (a[i] - b[i]) ** 2;
+  return total;
+}
@@ -0,0 +1,95 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoundClassifier } from './classifier.js';
+
+/**
+ * Returns features near `centre`, with a little noise
+ * @param {number} centre
+ * @param {number} index
+ */
+const features = (centre, index) => {
+  const noise = ((index * 7919) % 100) / 1000;
+  return {
+    mfcc: [ centre + noise, centre - noise, centre * 2 ],
+    loudness: { specific: [ centre + noise, 1 ], total: centre * 3 + noise }
+  };
+};
+
+/**
+ * Returns a classifier trained with a 'low' and a 'high' cluster
+ */
+const trained = () => {
+  const classifier = new SoundClassifier({ smoothing: 0 });
+  for (const [ label, centre ] of /** @type const */([ [ `low`, 1 ], [ `high`, 10 ] ])) {
+    classifier.startRecording(label);
+    for (let index = 0; index < 20; index++) classifier.update(features(centre, index));
+    classifier.stopRecording();
+  }
+  return classifier;
+};
+
+test(`classifies two separable clusters`, () => {
+  const classifier = trained();
+  assert.deepEqual(classifier.labels, [ `low`, `high` ]);
+  assert.equal(classifier.count(`low`), 20);
+
+  const low = classifier.update(features(1.2, 100));
+  assert.equal(classifier.label, `low`);
+  assert.ok(low.low > 0.9, `${low.low}`);
+
+  const high = classifier.update(features(9.5, 101));
+  assert.equal(classifier.label, `high`);
+  assert.ok(high.high > 0.9, `${high.high}`);
+});
+
+test(`classifies a frame before recording it`, () => {
+  const classifier = trained();
+  // A 'high' sound recorded as 'low' is still classified as 'high' while recording
+  classifier.startRecording(`low`);
+  for (let index = 0; index < 5; index++) {
+    const p = classifier.update(features(10, 200 + index));
+    assert.ok(p.high > 0.9, `${p.high}`);
+  }
+  classifier.stopRecording();
+  assert.equal(classifier.count(`low`), 25);
+});
+
+test(`gives no probabilities while recording the first label`, () => {
+  const classifier = new SoundClassifier({ smoothing: 0 });
+  classifier.startRecording(`low`);
+  for (let index = 0; index < 5; index++) {
+    assert.deepEqual(Object.keys(classifier.update(features(1, index))), []);
+  }
+  classifier.stopRecording();
+  assert.deepEqual({ ...classifier.update(features(1, 10)) }, { low: 1 });
+});
+
+test(`saves and loads examples`, () => {
+  const classifier = trained();
+  const json = JSON.stringify(classifier);
+
+  const loaded = new SoundClassifier({ smoothing: 0 });
+  loaded.loadExamples(json);
+  assert.deepEqual(loaded.labels, [ `low`, `high` ]);
+  assert.deepEqual(loaded.toJSON(), classifier.toJSON());
+  loaded.update(features(1, 300));
+  assert.equal(loaded.label, `low`);
+});
+
+test(`rejects invalid examples, keeping existing ones`, () => {
+  const classifier = trained();
+  assert.throws(() => classifier.loadExamples({ examples: { low: [ [ 1, `2` ] ] } }));
+  assert.throws(() => classifier.loadExamples(`{ "examples": { "low": [ [ 1, null ] ] } }`));
+  assert.throws(() => classifier.loadExamples({ examples: { low: [ [ 1, 2 ], [ 1 ] ] } }));
+  assert.throws(() => classifier.loadExamples({ examples: { low: [ 1, 2 ] } }));
+  assert.deepEqual(classifier.labels, [ `low`, `high` ]);
+});
+
+test(`accepts any label`, () => {
+  const classifier = new SoundClassifier({ smoothing: 0 });
+  classifier.loadExamples(`{ "examples": { "__proto__": [ [ 0, 0 ] ], "constructor": [ [ 5, 5 ] ] } }`);
+  const p = classifier.classify([ 0.1, 0.1 ]);
+  assert.ok(p[`__proto__`] > 0.9);
+  assert.ok(p[`constructor`] < 0.1);
+});
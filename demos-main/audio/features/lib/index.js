@@ -1,5 +1,12 @@
 import { clamp } from "@ixfx/numbers.js";
 import * as M from "https://unpkg.com/meyda@6.0.0-beta.2/dist/web/meyda.min.js";
+import { OnsetDetector, BeatTracker } from './rhythm.js';
+import { PitchDetector } from './pitch.js';
+import { SoundClassifier } from './classifier.js';
+
+export * from './rhythm.js';
+export * from './pitch.js';
+export * from './classifier.js';
 
 // @ts-check
 /**
@@ -11,7 +18,17 @@ import * as M from "https://unpkg.com/meyda@6.0.0-beta.2/dist/web/meyda.min.js";
  */
 
 /**
- * @typedef {import('./meyda.js').MeydaFeaturesObject} MeydaAudioFeature
+ * Meyda's features, plus `pitch` if the `pitch` option is set
+ * @typedef {import('./meyda.js').MeydaFeaturesObject & { pitch?: Pitch }} MeydaAudioFeature
+ */
+
+/**
+ * @typedef {import('./rhythm.js').OnsetDetectorOptions & import('./rhythm.js').BeatTrackerOptions} RhythmOptions
+ * @typedef {import('./rhythm.js').Onset} Onset
+ * @typedef {import('./rhythm.js').Beat} Beat
+ * @typedef {import('./pitch.js').PitchDetectorOptions} PitchDetectorOptions
+ * @typedef {import('./pitch.js').Pitch} Pitch
+ * @typedef {import('./classifier.js').SoundClassifierOptions} SoundClassifierOptions
  */
 
 const m = /** @type MeydaLib */(/** @type any **/(window).Meyda);
@@ -29,6 +46,14 @@ if (!m) throw new Error(`Meyda library not loaded?`);
  * @property {number} melBands The number of Mel bands to use in the Mel Frequency Cepstral Co-efficients feature extractor
  * @property {number} sampleRate The number of samples per second of the incoming audio. This affects feature extraction outside of the context of the Web Audio API, and must be set accurately - otherwise calculations will be off.
  * @property {number} bufferSize The length of each buffer that Meyda will extract audio on. When recieving input via the Web Audio API, the Script Processor Node chunks incoming audio into arrays of this length. Longer buffers allow for more precision in the frequency domain, but increase the amount of time it takes for Meyda to output a set of audio features for the buffer. You can calculate how many sets of audio features Meyda will output per second by dividing the buffer size by the sample rate. If you're using Meyda for visualisation, make sure that you're collecting audio features at a rate that's faster than or equal to the video frame rate you expect.
+ * @property {string|Blob|AudioBuffer} [source] If set, an audio file (URL, File or Blob) or AudioBuffer is analysed instead of an audio input
+ * @property {boolean} [realtime] If _false_, `source` is analysed as fast as possible rather than as it plays. Default: _true_
+ * @property {boolean} [loop] If _true_, `source` loops when playing in real time
+ * @property {boolean} [monitor] If _true_, `source` is heard when playing in real time. Default: _true_
+ * @property {boolean} [worklet] If _true_, features are extracted off the main thread in an AudioWorklet, if the browser supports it. Otherwise Meyda's ScriptProcessor is used. Default: _true_
+ * @property {boolean|Partial<RhythmOptions>} [rhythm] If set, onsets and beats are detected, calling `onOnset` and `onBeat`. Adds the `amplitudeSpectrum` feature extractor.
+ * @property {boolean|Partial<PitchDetectorOptions>} [pitch] If set, pitch is detected and added to data as `pitch`. It is _undefined_ if there's no clear pitch. Adds the `buffer` feature extractor.
+ * @property {boolean|Partial<SoundClassifierOptions>} [classifier] If set, sounds are classified, calling `onClassify`. Adds the `mfcc` and `loudness` feature extractors.
 */
 
 export class MeydaHelper {
@@ -41,7 +66,7 @@ export class MeydaHelper {
   /** @type AudioContext|undefined */
   audioContext;
 
-  /** @type {MeydaAnalyzer|undefined} */
+  /** @type {MeydaAnalyzer|WorkletAnalyser|undefined} */
   analyser;
 
   /**
@@ -52,8 +77,85 @@ export class MeydaHelper {
   /** @type {(data:MeydaAudioFeature)=>void} */
   onData = this.defaultHandler.bind(this);
 
+  /**
+   * Called when `source` has finished playing or being analysed
+   * @type {()=>void}
+   */
+  onEnded = () => this.#log(`Source ended`);
+
+  /**
+   * Called when an onset (start of a sound) is detected. Needs `rhythm` option.
+   * @type {(onset:Onset)=>void}
+   */
+  onOnset = () => { /* noop */ };
+
+  /**
+   * Called on each beat, once tempo is estimated. Needs `rhythm` option.
+   * @type {(beat:Beat)=>void}
+   */
+  onBeat = () => { /* noop */ };
+
+  /**
+   * Called each frame with the probability (0..1) of each label. Needs `classifier` option.
+   * @type {(probabilities:Record<string,number>)=>void}
+   */
+  onClassify = () => { /* noop */ };
+
+  /**
+   * Detects onsets, if `rhythm` option is set.
+   * Change `onsetDetector.sensitivity` (0..1) to get more or fewer onsets.
+   * @type {OnsetDetector|undefined}
+   */
+  onsetDetector;
+
+  /**
+   * Estimates tempo & beats, if `rhythm` option is set.
+   * `beatTracker.bpm` and `beatTracker.confidence` give current tempo.
+   * @type {BeatTracker|undefined}
+   */
+  beatTracker;
+
+  /**
+   * Detects pitch, if `pitch` option is set.
+   * `pitchDetector.clarity` gives the clarity of the last frame, even if no pitch was detected.
+   * @type {PitchDetector|undefined}
+   */
+  pitchDetector;
+
+  /**
+   * Classifies sounds, if `classifier` option is set.
+   * Train it with `classifier.startRecording(label)` and `classifier.stopRecording()`.
+   * @type {SoundClassifier|undefined}
+   */
+  classifier;
+
   #paused = false;
 
+  /**
+   * _True_ while analysing `source` offline
+   */
+  #offline = false;
+
+  /**
+   * Position in `source`, in seconds
+   */
+  #position = 0;
+
+  /**
+   * When `source` started playing, in audio context time
+   */
+  #startedAt = 0;
+
+  /**
+   * Length of `source` playing in real time, in seconds
+   */
+  #duration = 0;
+
+  /**
+   * Frames analysed, used as a clock for rhythm detection
+   */
+  #frames = 0;
+
   /**
    * Creates an instance of the helper
    * @param {Partial<MeydaLibOptions>} meydaOptions 
@@ -67,8 +169,26 @@ export class MeydaHelper {
       featureExtractors: [ `rms` ],
       chromaBands: 12,
       melBands: 13,
+      worklet: true,
       ...meydaOptions
     };
+
+    const { rhythm } = this.options;
+    if (rhythm) {
+      const rhythmOptions = rhythm === true ? {} : rhythm;
+      this.onsetDetector = new OnsetDetector(rhythmOptions);
+      this.beatTracker = new BeatTracker(rhythmOptions);
+    }
+
+    const { pitch } = this.options;
+    if (pitch) {
+      this.pitchDetector = new PitchDetector(pitch === true ? {} : pitch);
+    }
+
+    const { classifier } = this.options;
+    if (classifier) {
+      this.classifier = new SoundClassifier(classifier === true ? {} : classifier);
+    }
   }
 
   /**
@@ -85,7 +205,11 @@ export class MeydaHelper {
   }
 
   async init() {
-    const { inputId, inputNameMatch } = this.options;
+    const { inputId, inputNameMatch, source } = this.options;
+    if (source !== undefined) {
+      await this.#initSource(source);
+      return;
+    }
 
     const devices = await navigator.mediaDevices.enumerateDevices();
     const audioDevices = devices.filter(d => d.kind === `audioinput`);
@@ -118,18 +242,107 @@ export class MeydaHelper {
       }
     });
 
+    const audioCtx = this.#createAudioContext();
+    const sourceStream = audioCtx.createMediaStreamSource(openDevice);
+    await this.#startAnalyser(audioCtx, sourceStream);
+  }
+
+  /**
+   * Analyses an audio file or buffer
+   * @param {string|Blob|AudioBuffer} source 
+   */
+  async #initSource(source) {
+    const { realtime = true, loop = false, monitor = true } = this.options;
+    // Rhythm clock starts again with each source
+    this.#frames = 0;
+    this.onsetDetector?.reset();
+    this.beatTracker?.reset();
+    if (!realtime) {
+      await this.#analyseOffline(source);
+      return;
+    }
+
+    const audioCtx = this.#createAudioContext();
+    const node = audioCtx.createBufferSource();
+    node.buffer = await loadAudioBuffer(source, audioCtx);
+    node.loop = loop;
+    this.#duration = node.buffer.duration;
+    if (monitor) node.connect(audioCtx.destination);
+    node.addEventListener(`ended`, () => this.onEnded());
+    await this.#startAnalyser(audioCtx, node);
+    this.#startedAt = audioCtx.currentTime;
+    node.start();
+  }
+
+  /**
+   * Analyses `source` as fast as possible, calling `onData` for each buffer.
+   * Uses an OfflineAudioContext to mix down to mono at `sampleRate`.
+   * @param {string|Blob|AudioBuffer} source 
+   */
+  async #analyseOffline(source) {
+    const { sampleRate, bufferSize, melBands, numberOfMFCCCoefficients, numberOfBarkBands, chromaBands } = this.options;
+    const decoded = await loadAudioBuffer(source, new OfflineAudioContext(1, 1, sampleRate));
+    const ctx = new OfflineAudioContext(1, Math.ceil(decoded.duration * sampleRate), sampleRate);
+    const node = ctx.createBufferSource();
+    node.buffer = decoded;
+    node.connect(ctx.destination);
+    node.start();
+    const signal = (await ctx.startRendering()).getChannelData(0);
+
+    Object.assign(m, { sampleRate, bufferSize, melBands, numberOfMFCCCoefficients, numberOfBarkBands, chromaBands });
+    this.#offline = true;
+    this.#log(`Analysing ${decoded.duration.toFixed(1)}s of audio`);
+    /** @type Float32Array|undefined */
+    let previous;
+    for (let start = 0, count = 1; start + bufferSize <= signal.length; start += bufferSize, count++) {
+      while (this.#paused) await sleep(50);
+      const buffer = signal.subarray(start, start + bufferSize);
+      this.#position = start / sampleRate;
+      const features = m.extract(/** @type any */(this.#featureExtractors()), buffer, previous);
+      previous = buffer;
+      if (features) this.#handleData(/** @type MeydaAudioFeature */(features), sampleRate);
+      // Let the page update now and then
+      if (count % 64 === 0) await sleep(0);
+    }
+    this.#offline = false;
+    this.onEnded();
+  }
+
+  /**
+   * Position in seconds of `source` being analysed.
+   * When looping, this goes back to 0 at the start of each loop.
+   */
+  get position() {
+    const ctx = this.audioContext;
+    if (this.#offline || !ctx) return this.#position;
+    const elapsed = ctx.currentTime - this.#startedAt;
+    if (this.#duration === 0) return elapsed;
+    return this.options.loop ? elapsed % this.#duration : Math.min(elapsed, this.#duration);
+  }
+
+  #createAudioContext() {
     const audioCtx = new AudioContext();
     audioCtx.addEventListener(`statechange`, () => {
       this.#log(`Audio context state: ` + audioCtx.state);
     });
-    const sourceStream = audioCtx.createMediaStreamSource(openDevice);
+    return audioCtx;
+  }
+
+  /**
+   * Starts analysing an audio node, in an AudioWorklet if possible
+   * @param {AudioContext} audioCtx 
+   * @param {AudioNode} source 
+   */
+  async #startAnalyser(audioCtx, source) {
+    const worklet = this.options.worklet ? await this.#createWorkletAnalyser(audioCtx, source) : undefined;
 
     // Note: spectralFlux seems buggy 
-    const analyser = m.createMeydaAnalyzer({
+    const analyser = worklet ?? m.createMeydaAnalyzer({
       ...this.options,
+      featureExtractors: this.#featureExtractors(),
       audioContext: audioCtx,
-      source: sourceStream,
-      callback: (features) => this.onData(features),
+      source,
+      callback: (features) => this.#handleData(features),
     });
     analyser.start();
 
@@ -137,6 +350,76 @@ export class MeydaHelper {
     this.analyser = analyser;
   }
 
+  /**
+   * Creates an analyser running in an AudioWorklet.
+   * Returns _undefined_ if worklets aren't supported or it couldn't be loaded.
+   * @param {AudioContext} audioCtx 
+   * @param {AudioNode} source 
+   */
+  async #createWorkletAnalyser(audioCtx, source) {
+    if (!audioCtx.audioWorklet) {
+      this.#log(`AudioWorklet not supported, using ScriptProcessor`);
+      return;
+    }
+    try {
+      await audioCtx.audioWorklet.addModule(new URL(`./meyda-worklet.js`, import.meta.url));
+    } catch (error) {
+      this.#logError(`Could not load AudioWorklet, using ScriptProcessor. ${error}`);
+      return;
+    }
+    const { bufferSize, numberOfMFCCCoefficients, numberOfBarkBands, chromaBands, melBands } = this.options;
+    const featureExtractors = this.#featureExtractors();
+    const node = new AudioWorkletNode(audioCtx, `meyda-features`, {
+      // Mix down to mono
+      channelCount: 1,
+      channelCountMode: `explicit`,
+      processorOptions: { featureExtractors, bufferSize, numberOfMFCCCoefficients, numberOfBarkBands, chromaBands, melBands }
+    });
+    source.connect(node);
+    // Node has to be connected to be processed. It only outputs silence.
+    node.connect(audioCtx.destination);
+    this.#log(`Extracting features in AudioWorklet`);
+    return new WorkletAnalyser(node, (features) => this.#handleData(features));
+  }
+
+
+  /**
+   * Feature extractors from options, plus those needed for rhythm, pitch & classification
+   * @returns {string[]}
+   */
+  #featureExtractors() {
+    const { featureExtractors } = this.options;
+    const needed = [];
+    if (this.onsetDetector) needed.push(`amplitudeSpectrum`);
+    if (this.pitchDetector) needed.push(`buffer`);
+    if (this.classifier) needed.push(`mfcc`, `loudness`);
+    const missing = needed.filter(f => !featureExtractors.includes(f));
+    return missing.length === 0 ? featureExtractors : [ ...featureExtractors, ...missing ];
+  }
+
+  /**
+   * Runs rhythm, pitch & classification on features, then passes them on to `onData`
+   * @param {MeydaAudioFeature} features 
+   * @param {number} [sampleRate] Sample rate of analysed audio, if not the audio context's
+   */
+  #handleData(features, sampleRate = this.audioContext?.sampleRate ?? this.options.sampleRate) {
+    const time = this.#frames++ * this.options.bufferSize / sampleRate * 1000;
+    const { onsetDetector, beatTracker } = this;
+    const spectrum = features.amplitudeSpectrum;
+    if (onsetDetector && beatTracker && spectrum) {
+      const onset = onsetDetector.update(spectrum, time);
+      const beat = beatTracker.update(time, onset);
+      if (onset) this.onOnset(onset);
+      if (beat) this.onBeat(beat);
+    }
+    if (this.pitchDetector && features.buffer) {
+      features.pitch = this.pitchDetector.update(features.buffer, sampleRate);
+    }
+    if (this.classifier) {
+      this.onClassify(this.classifier.update(features));
+    }
+    this.onData(features);
+  }
 
   defaultHandler(d) {
     // noop
@@ -149,17 +432,24 @@ export class MeydaHelper {
    */
   set paused(shouldPause) {
     const analyser = this.analyser;
-    if (!analyser) return;
+    if (!analyser && !this.#offline) return;
 
     if (shouldPause == this.#paused) return;
     this.#paused = shouldPause;
 
+    // Offline analysis checks paused state itself
+    if (!analyser) return;
+
+    // Pause playback of a file too
+    const playing = this.options.source === undefined ? undefined : this.audioContext;
     if (!shouldPause) {
       this.#log(`Starting analyser`);
-      analyser.start(this.options.featureExtractors);
+      analyser.start(this.#featureExtractors());
+      void playing?.resume();
     } else {
       this.#log(`Stopping analyser`);
       analyser.stop();
+      void playing?.suspend();
     }
   }
 
@@ -200,6 +490,63 @@ export class MeydaHelper {
 
 }
 
+/**
+ * Wraps an AudioWorkletNode running `meyda-worklet.js`,
+ * so it can be started and stopped like Meyda's analyser.
+ */
+class WorkletAnalyser {
+  /** @type AudioWorkletNode */
+  node;
+
+  /**
+   * @param {AudioWorkletNode} node 
+   * @param {(features:MeydaAudioFeature)=>void} callback 
+   */
+  constructor(node, callback) {
+    this.node = node;
+    node.port.onmessage = (event) => callback(event.data);
+  }
+
+  /**
+   * Start extracting, optionally with different feature extractors
+   * @param {string[]} [featureExtractors] 
+   */
+  start(featureExtractors) {
+    this.node.port.postMessage({ featureExtractors, paused: false });
+  }
+
+  stop() {
+    this.node.port.postMessage({ paused: true });
+  }
+}
+
+/**
+ * Loads audio from a URL, File or Blob, decoding it with `ctx`.
+ * AudioBuffers are returned as-is.
+ * @param {string|Blob|AudioBuffer} source 
+ * @param {BaseAudioContext} ctx 
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function loadAudioBuffer(source, ctx) {
+  if (source instanceof AudioBuffer) return source;
+  let data;
+  if (typeof source === `string`) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not load '${source}': ${response.status} ${response.statusText}`);
+    data = await response.arrayBuffer();
+  } else {
+    data = await source.arrayBuffer();
+  }
+  return ctx.decodeAudioData(data);
+}
+
+/**
+ * @param {number} ms 
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
    * Converts Float32Array or number[] to number[]
    * @param {Float32Array|number[]} arr 
@@ -0,0 +1,80 @@
+/* global sampleRate */
+// Runs in the audio thread, loaded by MeydaHelper.
+// Collects audio into buffers, extracts features with Meyda and posts them back.
+import "https://unpkg.com/meyda@6.0.0-beta.2/dist/web/meyda.min.js";
+
+const m = /** @type any */(globalThis).Meyda;
+
+if (!m) throw new Error(`Meyda library not loaded?`);
+
+/**
+ * @typedef {object} MeydaProcessorOptions
+ * @property {string[]} featureExtractors
+ * @property {number} bufferSize
+ * @property {number} numberOfMFCCCoefficients
+ * @property {number} numberOfBarkBands
+ * @property {number} chromaBands
+ * @property {number} melBands
+ */
+
+class MeydaProcessor extends AudioWorkletProcessor {
+  /** @type string[] */
+  #featureExtractors;
+
+  /** @type Float32Array */
+  #buffer;
+
+  /** @type Float32Array|undefined */
+  #previous;
+
+  #filled = 0;
+
+  #paused = false;
+
+  /**
+   * @param {{ processorOptions: MeydaProcessorOptions }} options
+   */
+  constructor(options) {
+    super();
+    const { featureExtractors, bufferSize, numberOfMFCCCoefficients, numberOfBarkBands, chromaBands, melBands } = options.processorOptions;
+    this.#featureExtractors = featureExtractors;
+    this.#buffer = new Float32Array(bufferSize);
+    Object.assign(m, { sampleRate, bufferSize, numberOfMFCCCoefficients, numberOfBarkBands, chromaBands, melBands });
+
+    // Messages from MeydaHelper
+    this.port.onmessage = (event) => {
+      const { featureExtractors, paused } = event.data;
+      if (Array.isArray(featureExtractors)) this.#featureExtractors = featureExtractors;
+      if (typeof paused === `boolean`) this.#paused = paused;
+    };
+  }
+
+  /**
+   * @param {Float32Array[][]} inputs
+   */
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel || this.#paused) return true;
+
+    let offset = 0;
+    while (offset < channel.length) {
+      const count = Math.min(channel.length - offset, this.#buffer.length - this.#filled);
+      this.#buffer.set(channel.subarray(offset, offset + count), this.#filled);
+      this.#filled += count;
+      offset += count;
+      if (this.#filled === this.#buffer.length) {
+        this.#extract();
+        this.#filled = 0;
+      }
+    }
+    return true;
+  }
+
+  #extract() {
+    const features = m.extract(this.#featureExtractors, this.#buffer, this.#previous);
+    this.#previous = this.#buffer.slice();
+    if (features) this.port.postMessage(features);
+  }
+}
+
+registerProcessor(`meyda-features`, MeydaProcessor);
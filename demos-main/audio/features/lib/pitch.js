@@ -0,0 +1,225 @@
+// @ts-check
+import { Midi } from '@ixfx/io.js';
+
+/**
+ * Pitch (fundamental frequency) detection with the YIN algorithm,
+ * from Meyda's `buffer` feature.
+ *
+ * Usually used via MeydaHelper's `pitch` option, but can be used directly:
+ * ```js
+ * const detector = new PitchDetector();
+ * // For each frame of features:
+ * const pitch = detector.update(features.buffer, sampleRate);
+ * if (pitch) console.log(pitch.note, pitch.cents);
+ * ```
+ */
+
+/**
+ * @typedef {object} PitchDetectorOptions
+ * @property {number} windowSize Number of recent samples analysed. It's made longer if needed to fit two cycles of `minFrequency` at the sample rate. Default: 2048
+ * @property {number} minFrequency Lowest frequency to detect, in Hz. Default: 70
+ * @property {number} maxFrequency Highest frequency to detect, in Hz. Default: 1500
+ * @property {number} threshold YIN threshold. Lower values are stricter, but miss more. Default: 0.15
+ * @property {number} minClarity Pitch isn't reported if clarity is lower than this. Default: 0.8
+ * @property {number} minRms Pitch isn't reported if RMS is lower than this, so silence is ignored. Default: 0.01
+ * @property {number} smoothing 0..1, how much `centsSmoothed` is smoothed. Default: 0.8
+ */
+
+/**
+ * @typedef {object} Pitch
+ * @property {number} frequency Frequency in Hz
+ * @property {number} clarity 0..1, how periodic the sound is. Voice and instruments are usually above 0.9
+ * @property {number} noteNumber Nearest MIDI note number
+ * @property {string} note Nearest note name, eg `A4`
+ * @property {number} cents Offset from nearest note, -50..50
+ * @property {number} centsSmoothed Smoothed offset from `noteNumber`
+ */
+
+export class PitchDetector {
+  /** @type PitchDetectorOptions */
+  options;
+
+  /**
+   * Clarity of the last frame, even if no pitch was reported
+   */
+  clarity = 0;
+
+  /**
+   * Recent samples, created once the sample rate is known
+   * @type {Float32Array|undefined}
+   */
+  #window;
+
+  /**
+   * Sample rate `#window` was sized for
+   */
+  #sampleRate = 0;
+
+  /**
+   * How much of `#window` has been filled
+   */
+  #filled = 0;
+
+  /**
+   * Smoothed pitch, as a fractional MIDI note number
+   * @type {number|undefined}
+   */
+  #smoothed;
+
+  /**
+   * @param {Partial<PitchDetectorOptions>} [options]
+   */
+  constructor(options = {}) {
+    this.options = {
+      windowSize: 2048,
+      minFrequency: 70,
+      maxFrequency: 1500,
+      threshold: 0.15,
+      minClarity: 0.8,
+      minRms: 0.01,
+      smoothing: 0.8,
+      ...options
+    };
+  }
+
+  /**
+   * Adds a buffer of samples, returning the pitch of recent samples
+   * or _undefined_ if there's no clear pitch.
+   * @param {Float32Array|number[]} buffer Samples
+   * @param {number} sampleRate
+   * @returns {Pitch|undefined}
+   */
+  update(buffer, sampleRate) {
+    const { minFrequency, maxFrequency, minClarity, minRms, smoothing } = this.options;
+    const window = this.#windowFor(sampleRate);
+
+    // Append to window, dropping oldest samples
+    if (buffer.length >= window.length) {
+      window.set(buffer.slice(buffer.length - window.length));
+    } else {
+      window.copyWithin(0, buffer.length);
+      window.set(buffer, window.length - buffer.length);
+    }
+    this.#filled = Math.min(window.length, this.#filled + buffer.length);
+
+    const maxLag = Math.floor(sampleRate / minFrequency);
+    if (this.#filled < window.length || rms(window) < minRms) return this.#unvoiced();
+
+    const result = yin(window, Math.max(2, Math.floor(sampleRate / maxFrequency)), maxLag, this.options.threshold);
+    this.clarity = result.clarity;
+    if (result.clarity < minClarity) return this.#unvoiced();
+
+    const frequency = sampleRate / result.lag;
+    const exact = 69 + 12 * Math.log2(frequency / 440);
+    const noteNumber = Math.round(exact);
+
+    // Smooth within a note, but jump straight to a new one
+    const previous = this.#smoothed;
+    const smoothed = previous === undefined || Math.abs(exact - previous) > 1 ? exact : previous + (exact - previous) * (1 - smoothing);
+    this.#smoothed = smoothed;
+
+    return {
+      frequency,
+      clarity: result.clarity,
+      noteNumber,
+      note: Midi.noteNumberToName(noteNumber),
+      cents: 1200 * Math.log2(frequency / Midi.noteNumberToFrequency(noteNumber)),
+      centsSmoothed: (smoothed - noteNumber) * 100
+    };
+  }
+
+  reset() {
+    this.#window?.fill(0);
+    this.#filled = 0;
+    this.#smoothed = undefined;
+    this.clarity = 0;
+  }
+
+  /**
+   * Returns the window of samples, creating it again if the sample rate changes
+   * so that it's long enough for `minFrequency`
+   * @param {number} sampleRate
+   */
+  #windowFor(sampleRate) {
+    if (this.#window && sampleRate === this.#sampleRate) return this.#window;
+    if (!(sampleRate > 0) || !Number.isFinite(sampleRate)) throw new Error(`Param 'sampleRate' should be a number above zero. Got: ${sampleRate}`);
+    const { windowSize, minFrequency } = this.options;
+    this.#window = new Float32Array(Math.max(windowSize, 2 * Math.floor(sampleRate / minFrequency)));
+    this.#sampleRate = sampleRate;
+    this.reset();
+    return this.#window;
+  }
+
+  #unvoiced() {
+    this.#smoothed = undefined;
+    return undefined;
+  }
+}
+
+/**
+ * Finds the period of `signal` with YIN (de Cheveigné & Kawahara, 2002).
+ * Returns the lag in samples (interpolated), and clarity (1 - aperiodicity).
+ * @param {Float32Array} signal
+ * @param {number} minLag
+ * @param {number} maxLag
+ * @param {number} threshold
+ */
+function yin(signal, minLag, maxLag, threshold) {
+  const size = signal.length - maxLag;
+
+  // Difference function
+  const diff = new Float32Array(maxLag + 1);
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let total = 0;
+    for (let i = 0; i < size; i++) {
+      const delta = signal[i] - signal[i + lag];
+      total += delta * delta;
+    }
+    diff[lag] = total;
+  }
+
+  // Cumulative mean normalised difference
+  const cmnd = new Float32Array(maxLag + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    running += diff[lag];
+    cmnd[lag] = running === 0 ? 1 : diff[lag] * lag / running;
+  }
+
+  // First dip below threshold, else the lowest point
+  let lag = -1;
+  for (let l = minLag; l <= maxLag; l++) {
+    if (cmnd[l] < threshold) {
+      while (l + 1 <= maxLag && cmnd[l + 1] < cmnd[l]) l++;
+      lag = l;
+      break;
+    }
+  }
+  if (lag < 0) {
+    lag = minLag;
+    for (let l = minLag + 1; l <= maxLag; l++) {
+      if (cmnd[l] < cmnd[lag]) lag = l;
+    }
+  }
+
+  // Parabolic interpolation between neighbours
+  let refined = lag;
+  if (lag > 1 && lag < maxLag) {
+    const a = cmnd[lag - 1];
+    const b = cmnd[lag];
+    const c = cmnd[lag + 1];
+    const curve = a - 2 * b + c;
+    if (curve > 0) refined = lag + (a - c) / (2 * curve);
+  }
+  return { lag: refined, clarity: Math.max(0, 1 - cmnd[lag]) };
+}
+
+/**
+ * @param {Float32Array} signal
+ */
+function rms(signal) {
+  let total = 0;
+  for (const v of signal) total += v * v;
+  return Math.sqrt(total / signal.length);
+}
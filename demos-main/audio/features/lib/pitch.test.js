@@ -0,0 +1,92 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PitchDetector } from './pitch.js';
+
+/**
+ * Returns buffers of a sine wave, as Meyda gives them
+ * @param {number} frequency
+ * @param {number} sampleRate
+ * @param {number} count Number of buffers
+ * @param {number} [bufferSize]
+ * @param {number} [amplitude]
+ */
+const sine = function* (frequency, sampleRate, count, bufferSize = 512, amplitude = 0.5) {
+  for (let b = 0; b < count; b++) {
+    yield Float32Array.from({ length: bufferSize }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * (b * bufferSize + i) / sampleRate));
+  }
+};
+
+/**
+ * Plays a sine wave through a detector, returning the last pitch
+ * @param {PitchDetector} detector
+ * @param {number} frequency
+ * @param {number} sampleRate
+ * @param {number} [count] Number of buffers
+ */
+const detect = (detector, frequency, sampleRate, count = 20) => {
+  let pitch;
+  for (const buffer of sine(frequency, sampleRate, count)) pitch = detector.update(buffer, sampleRate);
+  return pitch;
+};
+
+test(`detects the note of a sine wave`, () => {
+  const pitch = detect(new PitchDetector(), 440, 44_100);
+  assert.ok(pitch);
+  assert.equal(pitch.note, `A4`);
+  assert.equal(pitch.noteNumber, 69);
+  assert.ok(Math.abs(pitch.frequency - 440) < 1, `${pitch.frequency}Hz`);
+  assert.ok(Math.abs(pitch.cents) < 5, `${pitch.cents} cents`);
+  assert.ok(pitch.clarity > 0.95, `Clarity ${pitch.clarity}`);
+});
+
+test(`gives cents off the nearest note`, () => {
+  // 25 cents above A4
+  const frequency = 440 * 2 ** (25 / 1200);
+  const pitch = detect(new PitchDetector(), frequency, 48_000);
+  assert.ok(pitch);
+  assert.equal(pitch.note, `A4`);
+  assert.ok(Math.abs(pitch.cents - 25) < 3, `${pitch.cents} cents`);
+  // Smoothed value gets there over time
+  assert.ok(Math.abs(pitch.centsSmoothed - 25) < 3, `${pitch.centsSmoothed} smoothed cents`);
+
+  // 40 cents below C4
+  const low = detect(new PitchDetector(), 261.63 * 2 ** (-40 / 1200), 44_100);
+  assert.ok(low);
+  assert.equal(low.note, `C4`);
+  assert.ok(Math.abs(low.cents + 40) < 3, `${low.cents} cents`);
+});
+
+test(`detects low notes at 96kHz with a longer window`, () => {
+  const detector = new PitchDetector();
+  // 2048 samples at 96kHz hold less than two cycles of 70Hz, so the window
+  // is longer: 5 buffers of 512 samples don't fill it
+  const pitches = [ ...sine(75, 96_000, 6) ].map(buffer => detector.update(buffer, 96_000));
+  assert.deepEqual(pitches.slice(0, 5), [ undefined, undefined, undefined, undefined, undefined ]);
+  const pitch = pitches[5];
+  assert.ok(pitch);
+  assert.ok(Math.abs(pitch.frequency - 75) < 0.5, `${pitch.frequency}Hz`);
+  assert.equal(pitch.note, `D2`);
+
+  // Sample rate changing starts again
+  assert.equal(detector.update(new Float32Array(512), 44_100), undefined);
+  assert.ok(detect(detector, 440, 44_100)?.note === `A4`);
+});
+
+test(`reports no pitch for silence or noise`, () => {
+  const detector = new PitchDetector();
+  assert.ok(detect(detector, 440, 44_100));
+  // Once the window only has silence
+  let pitch;
+  for (let b = 0; b < 5; b++) pitch = detector.update(new Float32Array(512), 44_100);
+  assert.equal(pitch, undefined);
+
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 16_807) % 2_147_483_647;
+    return seed / 2_147_483_647 - 0.5;
+  };
+  for (let b = 0; b < 20; b++) pitch = detector.update(Float32Array.from({ length: 512 }, noise), 44_100);
+  assert.equal(pitch, undefined);
+  assert.ok(detector.clarity < 0.8, `Clarity ${detector.clarity}`);
+});
@@ -0,0 +1,342 @@
+// @ts-check
+/**
+ * Onset and beat detection, from Meyda's `amplitudeSpectrum`.
+ *
+ * Usually used via MeydaHelper's `rhythm` option, but can be used directly:
+ * ```js
+ * const onsets = new OnsetDetector();
+ * const beats = new BeatTracker();
+ * // For each frame of features:
+ * const onset = onsets.update(features.amplitudeSpectrum, timeMs);
+ * const beat = beats.update(timeMs, onset);
+ * ```
+ */
+
+/**
+ * @typedef {object} OnsetDetectorOptions
+ * @property {number} sensitivity 0..1, higher values give more onsets. Default: 0.5
+ * @property {number} minIntervalMs Minimum time between onsets. Default: 100
+ * @property {number} windowMs How much recent flux is used for the adaptive threshold. Default: 1000
+ * @property {number} minFlux Flux has to be above this to be an onset, so background noise is ignored. Default: 0.02
+ */
+
+/**
+ * @typedef {object} BeatTrackerOptions
+ * @property {number} minBpm Slowest tempo. Default: 80
+ * @property {number} maxBpm Fastest tempo. Default: 160
+ * @property {number} windowMs How much recent onsets are used to estimate tempo. Default: 8000
+ * @property {number} tolerance How close, as a proportion of a beat, an onset has to be to count as being on the beat. Default: 0.15
+ */
+
+/**
+ * @typedef {{ time:number, strength:number }} Onset
+ * @typedef {{ time:number, bpm:number, confidence:number }} Beat
+ */
+
+/**
+ * Number of onsets needed before tempo is estimated
+ */
+const minOnsets = 4;
+
+/**
+ * Detects onsets (the start of notes, hits, claps...) by spectral flux:
+ * how much the spectrum has increased since the last frame.
+ *
+ * An onset is when flux rises above an adaptive threshold,
+ * based on the mean and deviation of recent flux.
+ */
+export class OnsetDetector {
+  /** @type OnsetDetectorOptions */
+  options;
+
+  /**
+   * Flux of the last frame
+   */
+  flux = 0;
+
+  /**
+   * Threshold used for the last frame
+   */
+  threshold = 0;
+
+  /** @type {Array<{ time:number, flux:number }>} */
+  #history = [];
+
+  /** @type {Float32Array|undefined} */
+  #previous;
+
+  #lastOnset = Number.NEGATIVE_INFINITY;
+
+  /**
+   * @param {Partial<OnsetDetectorOptions>} [options]
+   */
+  constructor(options = {}) {
+    this.options = {
+      sensitivity: 0.5,
+      minIntervalMs: 100,
+      windowMs: 1000,
+      minFlux: 0.02,
+      ...options
+    };
+  }
+
+  get sensitivity() {
+    return this.options.sensitivity;
+  }
+
+  /**
+   * Sets sensitivity, 0..1. Higher values give more onsets.
+   * @param {number} value
+   */
+  set sensitivity(value) {
+    if (value < 0 || value > 1) throw new TypeError(`Param 'value' should be 0..1`);
+    this.options.sensitivity = value;
+  }
+
+  /**
+   * Processes a frame, returning an onset or _undefined_.
+   * `strength` of the onset is how many times over the threshold flux was.
+   * @param {Float32Array|number[]} spectrum Amplitude spectrum
+   * @param {number} time Time of frame in milliseconds
+   * @returns {Onset|undefined}
+   */
+  update(spectrum, time) {
+    const { sensitivity, minIntervalMs, windowMs, minFlux } = this.options;
+    const current = Float32Array.from(spectrum, v => Math.log1p(v));
+    const previous = this.#previous;
+    this.#previous = current;
+    if (!previous || previous.length !== current.length) return;
+
+    // Sum of increases, log-compressed so quieter sounds count too
+    let flux = 0;
+    for (let i = 0; i < current.length; i++) {
+      const diff = current[i] - previous[i];
+      if (diff > 0) flux += diff;
+    }
+    flux /= current.length;
+
+    const history = this.#history;
+    while (history.length > 0 && time - history[0].time > windowMs) history.shift();
+    const { mean, deviation } = stats(history.map(h => h.flux));
+    const threshold = Math.max(minFlux, mean + (0.5 + (1 - sensitivity) * 3.5) * deviation);
+
+    const rising = flux > this.flux;
+    this.flux = flux;
+    this.threshold = threshold;
+    history.push({ time, flux });
+
+    if (!rising || flux < threshold || time - this.#lastOnset < minIntervalMs) return;
+    this.#lastOnset = time;
+    return { time, strength: flux / threshold };
+  }
+
+  reset() {
+    this.#history = [];
+    this.#previous = undefined;
+    this.#lastOnset = Number.NEGATIVE_INFINITY;
+    this.flux = 0;
+    this.threshold = 0;
+  }
+}
+
+/**
+ * Estimates tempo from the intervals between recent onsets,
+ * and beats in time with them.
+ *
+ * Beats are predicted, so they keep going between onsets.
+ * An onset just before a predicted beat brings the beat forward.
+ */
+export class BeatTracker {
+  /** @type BeatTrackerOptions */
+  options;
+
+  /**
+   * Estimated tempo, or _undefined_ if there aren't enough onsets
+   * @type {number|undefined}
+   */
+  bpm;
+
+  /**
+   * 0..1, how consistent the intervals between onsets are with `bpm`
+   */
+  confidence = 0;
+
+  /** @type Onset[] */
+  #onsets = [];
+
+  /**
+   * A time on the beat, in milliseconds
+   * @type {number|undefined}
+   */
+  #anchor;
+
+  /** @type {number|undefined} */
+  #lastBeat;
+
+  /**
+   * @param {Partial<BeatTrackerOptions>} [options]
+   */
+  constructor(options = {}) {
+    this.options = {
+      minBpm: 80,
+      maxBpm: 160,
+      windowMs: 8000,
+      tolerance: 0.15,
+      ...options
+    };
+    if (this.options.minBpm <= 0 || this.options.maxBpm <= this.options.minBpm) throw new Error(`Expected 0 < minBpm < maxBpm`);
+  }
+
+  /**
+   * Length of a beat in milliseconds, or _undefined_ if tempo isn't known
+   */
+  get period() {
+    return this.bpm === undefined ? undefined : 60_000 / this.bpm;
+  }
+
+  /**
+   * Processes a frame, returning a beat or _undefined_.
+   * Call every frame, with the onset if there was one.
+   * @param {number} time Time of frame in milliseconds
+   * @param {Onset} [onset]
+   * @returns {Beat|undefined}
+   */
+  update(time, onset) {
+    const { windowMs, tolerance } = this.options;
+    const onsets = this.#onsets;
+    let changed = false;
+    while (onsets.length > 0 && time - onsets[0].time > windowMs) {
+      onsets.shift();
+      changed = true;
+    }
+    if (onset) {
+      onsets.push(onset);
+      changed = true;
+    }
+    if (changed) this.#estimate();
+
+    const period = this.period;
+    const anchor = this.#anchor;
+    if (period === undefined || anchor === undefined) {
+      this.#lastBeat = undefined;
+      return;
+    }
+
+    // Next beat on the grid, at least half a beat after the last one
+    const after = this.#lastBeat === undefined ? time - tolerance * period : this.#lastBeat + period / 2;
+    const next = anchor + Math.ceil((after - anchor) / period) * period;
+    if (time < next && !(onset && next - time <= tolerance * period)) return;
+    this.#lastBeat = time;
+    return { time, bpm: this.bpm ?? 0, confidence: this.confidence };
+  }
+
+  reset() {
+    this.#onsets = [];
+    this.#anchor = undefined;
+    this.#lastBeat = undefined;
+    this.bpm = undefined;
+    this.confidence = 0;
+  }
+
+  /**
+   * Estimates tempo from a histogram of intervals between onsets,
+   * and where beats fall from the onsets that agree most.
+   */
+  #estimate() {
+    const { minBpm, maxBpm, tolerance } = this.options;
+    const onsets = this.#onsets;
+    if (onsets.length < minOnsets) {
+      this.bpm = undefined;
+      this.#anchor = undefined;
+      this.confidence = 0;
+      return;
+    }
+
+    // Votes for tempo, 1 BPM per bin. Intervals to the next few onsets
+    // are counted, halving or doubling them to fit between min & max.
+    const bins = new Float64Array(Math.floor(maxBpm - minBpm) + 1);
+    let total = 0;
+    for (let i = 0; i < onsets.length; i++) {
+      for (let j = i + 1; j < Math.min(onsets.length, i + 5); j++) {
+        const bpm = fold(60_000 / (onsets[j].time - onsets[i].time), minBpm, maxBpm);
+        if (bpm === undefined) continue;
+        const centre = bpm - minBpm;
+        for (let b = Math.max(0, Math.floor(centre - 3)); b <= Math.min(bins.length - 1, Math.ceil(centre + 3)); b++) {
+          const vote = Math.exp(-((b - centre) ** 2) / 2);
+          bins[b] += vote;
+          total += vote;
+        }
+      }
+    }
+    if (total === 0) return;
+
+    let peak = 0;
+    for (let b = 1; b < bins.length; b++) {
+      if (bins[b] > bins[peak]) peak = b;
+    }
+    let weight = 0;
+    let weighted = 0;
+    for (let b = Math.max(0, peak - 2); b <= Math.min(bins.length - 1, peak + 2); b++) {
+      weight += bins[b];
+      weighted += bins[b] * (b + minBpm);
+    }
+    const bpm = weighted / weight;
+    this.bpm = bpm;
+    this.confidence = weight / total;
+
+    // Phase: the onset that the most (and strongest) other onsets are in step with
+    const period = 60_000 / bpm;
+    const window = tolerance * period;
+    let best = -1;
+    let bestAnchor = onsets[0].time;
+    for (const candidate of onsets) {
+      let score = 0;
+      let offsetTotal = 0;
+      for (const o of onsets) {
+        const offset = phaseOffset(o.time - candidate.time, period);
+        const agreement = 1 - Math.abs(offset) / window;
+        if (agreement <= 0) continue;
+        score += agreement * o.strength;
+        offsetTotal += offset * agreement * o.strength;
+      }
+      if (score > best) {
+        best = score;
+        bestAnchor = candidate.time + offsetTotal / score;
+      }
+    }
+    this.#anchor = bestAnchor;
+  }
+}
+
+/**
+ * Halves or doubles `bpm` until it is within min & max.
+ * Returns _undefined_ if it can't fit.
+ * @param {number} bpm
+ * @param {number} min
+ * @param {number} max
+ */
+function fold(bpm, min, max) {
+  if (!Number.isFinite(bpm) || bpm <= 0) return;
+  while (bpm > max) bpm /= 2;
+  while (bpm < min) bpm *= 2;
+  return bpm <= max ? bpm : undefined;
+}
+
+/**
+ * Signed distance of `interval` from the nearest whole number of periods
+ * @param {number} interval
+ * @param {number} period
+ */
+function phaseOffset(interval, period) {
+  return interval - Math.round(interval / period) * period;
+}
+
+/**
+ * @param {number[]} values
+ */
+function stats(values) {
+  if (values.length === 0) return { mean: 0, deviation: 0 };
+  const mean = values.reduce((total, v) => total + v, 0) / values.length;
+  const variance = values.reduce((total, v) => total + (v - mean) ** 2, 0) / values.length;
+  return { mean, deviation: Math.sqrt(variance) };
+}
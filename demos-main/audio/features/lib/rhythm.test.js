@@ -0,0 +1,89 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BeatTracker, OnsetDetector } from './rhythm.js';
+
+/**
+ * Frame length of 512 samples at 44.1kHz
+ */
+const frameMs = 512 / 44_100 * 1000;
+
+/**
+ * Returns amplitude spectra of a click track, as played by the sender.
+ * Each click is broadband, decaying over a few frames, on top of quiet noise.
+ * @param {number} bpm
+ * @param {number} durationMs
+ * @param {number} [loudness] Level of clicks, 0 for just noise
+ */
+const clickTrack = function* (bpm, durationMs, loudness = 1) {
+  const period = 60_000 / bpm;
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 16_807) % 2_147_483_647;
+    return seed / 2_147_483_647 * 0.002;
+  };
+  for (let time = 0; time < durationMs; time += frameMs) {
+    // Time since the last click
+    const since = time % period;
+    const level = since < frameMs * 4 ? loudness * Math.exp(-since / frameMs) : 0;
+    yield { time, spectrum: Array.from({ length: 256 }, () => level + noise()) };
+  }
+};
+
+test(`detects onsets of a click track`, () => {
+  const onsets = new OnsetDetector();
+  /** @type number[] */
+  const times = [];
+  for (const { time, spectrum } of clickTrack(120, 10_000)) {
+    const onset = onsets.update(spectrum, time);
+    if (onset) {
+      times.push(time);
+      assert.ok(onset.strength >= 1);
+    }
+  }
+  // The first click has no previous frame to compare with
+  assert.ok(times.length >= 19 && times.length <= 20, `${times.length} onsets`);
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(Math.abs(times[i] - times[i - 1] - 500) < frameMs * 1.5, `Interval ${times[i] - times[i - 1]}`);
+  }
+});
+
+test(`ignores quiet noise`, () => {
+  const onsets = new OnsetDetector();
+  let count = 0;
+  for (const { time, spectrum } of clickTrack(120, 5000, 0)) {
+    if (onsets.update(spectrum, time)) count++;
+  }
+  assert.equal(count, 0);
+});
+
+for (const bpm of [ 90, 120, 150 ]) {
+  test(`tracks the tempo of a click track at ${bpm} BPM`, () => {
+    const onsets = new OnsetDetector();
+    const beats = new BeatTracker();
+    /** @type number[] */
+    const beatTimes = [];
+    for (const { time, spectrum } of clickTrack(bpm, 10_000)) {
+      const beat = beats.update(time, onsets.update(spectrum, time));
+      if (beat) beatTimes.push(beat.time);
+    }
+    assert.ok(beats.bpm !== undefined && Math.abs(beats.bpm - bpm) < 2, `${beats.bpm} BPM`);
+    assert.ok(beats.confidence > 0.5, `Confidence ${beats.confidence}`);
+
+    // Beats in the second half fall on the clicks
+    const period = 60_000 / bpm;
+    const later = beatTimes.filter(t => t > 5000);
+    assert.ok(later.length >= Math.floor(5000 / period) - 1, `${later.length} beats`);
+    for (const t of later) {
+      const offset = t % period;
+      assert.ok(Math.min(offset, period - offset) < period * 0.15, `Beat at ${t} is ${offset}ms off`);
+    }
+  });
+}
+
+test(`has no tempo before enough onsets`, () => {
+  const beats = new BeatTracker();
+  assert.equal(beats.update(0, { time: 0, strength: 1 }), undefined);
+  assert.equal(beats.bpm, undefined);
+  assert.equal(beats.confidence, 0);
+});
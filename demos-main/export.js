@@ -0,0 +1,438 @@
+/**
+ * Exports demos to other repositories, as described in export-manifest.json.
+ *
+ * ```
+ * node export.js <target> [--dry-run] [--diff] [--check-urls] [--force]
+ * ```
+ *
+ * --dry-run: report what would be added, changed and removed, without writing
+ * --diff: with --dry-run, also print line differences of changed files
+ * --check-urls: check that rewritten CDN imports exist online
+ * --force: export even if rewritten imports don't resolve
+ *
+ * ixfx imports are rewritten depending on the target's `imports.type`:
+ * - `npm`: imports in JS become package imports. `@ixfx` becomes `imports.specifier`,
+ *   and modules lose their extension and get `imports.modulePrefix`, eg `@ixfx/numbers.js` -> `@ixfx/numbers`
+ * - `cdn`: import maps in HTML point to `imports.url`
+ * - `relative`: ixfx is copied to `imports.path` in the destination, and import maps point to it
+ *
+ * Before exporting, demos are checked for references to files that don't exist.
+ */
+import { globby } from 'globby';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path, { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Files which are rewritten and diffed as text
+ */
+const textExtensions = new Set([ `.js`, `.mjs`, `.html`, `.css`, `.json`, `.md`, `.ts`, `.txt`, `.svg` ]);
+
+/**
+ * @typedef {{ type:`npm`, specifier:string, modulePrefix:string }
+ *  | { type:`cdn`, url:string }
+ *  | { type:`relative`, path:string }} ImportRewrite
+ */
+
+/**
+ * @typedef {{
+ *  description?: string
+ *  destination: string
+ *  clean: `destination`|`categories`
+ *  include: string[]
+ *  exclude: string[]
+ *  files: { from:string, to:string }[]
+ *  imports: ImportRewrite
+ * }} ExportTarget
+ */
+
+/**
+ * @typedef {{
+ *  categories: string[]
+ *  exclude: string[]
+ *  ixfx: { folder:string, importMapPaths:string[] }
+ *  targets: Record<string,ExportTarget>
+ * }} ExportManifest
+ */
+
+/**
+ * @typedef {{
+ *  file: string
+ *  reference: string
+ *  problem: string
+ * }} Problem
+ */
+
+/**
+ * Files to be written, keyed by path relative to destination
+ * @typedef {Map<string,Buffer|string>} ExportPlan
+ */
+
+const main = async () => {
+  const [ targetName, ...flags ] = process.argv.slice(2);
+  const manifest = /** @type ExportManifest */(JSON.parse(await readFile(path.join(__dirname, `export-manifest.json`), `utf8`)));
+  const target = manifest.targets[targetName];
+  if (!target) {
+    console.error(`Usage: node export.js <target> [--dry-run] [--diff] [--check-urls] [--force]`);
+    console.error(`Targets: ${Object.keys(manifest.targets).join(`, `)}`);
+    process.exitCode = 1;
+    return;
+  }
+  const dryRun = flags.includes(`--dry-run`);
+  const destination = path.resolve(__dirname, target.destination);
+
+  const { plan, missing, unresolved } = await createPlan(manifest, target);
+  if (flags.includes(`--check-urls`)) unresolved.push(...await checkUrls(target, plan));
+
+  report(`Demos referencing missing files`, missing);
+  report(`Rewritten imports that don't resolve`, unresolved);
+
+  if (dryRun) {
+    await printChanges(destination, await cleanedFiles(manifest, target, destination), plan, flags.includes(`--diff`));
+    return;
+  }
+  if (unresolved.length > 0 && !flags.includes(`--force`)) {
+    console.error(`Not exporting because of imports that don't resolve. Use --force to export anyway.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await clean(manifest, target, destination);
+  for (const [ file, data ] of plan) {
+    const to = path.join(destination, file);
+    await mkdir(path.dirname(to), { recursive: true });
+    await writeFile(to, data);
+  }
+  console.log(`Exported ${plan.size} file(s) to ${destination}`);
+};
+
+/**
+ * Works out the files to export and their contents, with imports rewritten
+ * @param {ExportManifest} manifest
+ * @param {ExportTarget} target
+ */
+const createPlan = async (manifest, target) => {
+  /** @type ExportPlan */
+  const plan = new Map();
+  /** @type Problem[] */
+  const missing = [];
+  /** @type Problem[] */
+  const unresolved = [];
+  const ixfxFiles = new Set(await globby(`**/*`, { cwd: path.join(__dirname, manifest.ixfx.folder) }));
+
+  const files = await globby([ ...manifest.categories.map(c => `${c}/**/*`), ...target.include ], {
+    cwd: __dirname,
+    ignore: [ ...manifest.exclude, ...target.exclude ]
+  });
+
+  for (const file of files) {
+    const extension = path.extname(file);
+    const source = path.join(__dirname, file);
+    if (!textExtensions.has(extension)) {
+      plan.set(file, await readFile(source));
+      continue;
+    }
+    let text = await readFile(source, `utf8`);
+    missing.push(...findMissing(file, text));
+    if (extension === `.js` || extension === `.mjs`) {
+      text = rewriteScript(manifest, target.imports, file, text, ixfxFiles, unresolved);
+    } else if (extension === `.html`) {
+      text = rewriteImportMaps(manifest, target.imports, file, text);
+    }
+    plan.set(file, text);
+  }
+
+  for (const { from, to } of target.files) {
+    const source = path.resolve(__dirname, from);
+    if (existsSync(source)) plan.set(path.normalize(to), await readFile(source));
+    else missing.push({ file: `export-manifest.json`, reference: from, problem: `file to copy does not exist` });
+  }
+
+  if (target.imports.type === `relative`) {
+    for (const file of ixfxFiles) {
+      plan.set(path.join(target.imports.path, file), await readFile(path.join(__dirname, manifest.ixfx.folder, file)));
+    }
+  }
+  return { plan, missing, unresolved };
+};
+
+/**
+ * Rewrites ixfx imports in a script for npm targets, and checks that ixfx imports resolve
+ * @param {ExportManifest} manifest
+ * @param {ImportRewrite} imports
+ * @param {string} file
+ * @param {string} text
+ * @param {Set<string>} ixfxFiles Modules in vendored ixfx
+ * @param {Problem[]} unresolved
+ */
+const rewriteScript = (manifest, imports, file, text, ixfxFiles, unresolved) => text.replaceAll(importPattern, (match, prefix, quote, specifier) => {
+  if (specifier !== `@ixfx` && !specifier.startsWith(`@ixfx/`)) return match;
+  const module = specifier === `@ixfx` ? `index.js` : specifier.slice(`@ixfx/`.length);
+  if (!resolves(module, prefix, m => ixfxFiles.has(m))) {
+    unresolved.push({ file, reference: specifier, problem: `no ${module} in ${manifest.ixfx.folder}/` });
+  }
+  if (imports.type !== `npm`) return match;
+  const rewritten = specifier === `@ixfx` ? imports.specifier : `${imports.modulePrefix}${module.replace(/\.js$/, ``)}`;
+  return `${prefix}${quote}${rewritten}${quote}`;
+});
+
+/**
+ * Rewrites the ixfx paths in import maps for CDN and relative targets
+ * @param {ExportManifest} manifest
+ * @param {ImportRewrite} imports
+ * @param {string} file
+ * @param {string} text
+ */
+const rewriteImportMaps = (manifest, imports, file, text) => {
+  if (imports.type === `npm`) return text;
+  const base = imports.type === `cdn` ? imports.url : path.posix.relative(path.posix.dirname(file), imports.path) + `/`;
+  // Paths are replaced in one go, so a replacement isn't itself replaced
+  const paths = new RegExp(`"(?:${manifest.ixfx.importMapPaths.map(escapeRegExp).join(`|`)})`, `g`);
+  return text.replaceAll(importMapPattern, (match, open, json, close) => {
+    const rewritten = json.replaceAll(paths, `"${base}`);
+    return `${open}${rewritten}${close}`;
+  });
+};
+
+/**
+ * Returns references in a demo to local files that don't exist.
+ * Checks relative imports in scripts, and src/href attributes and import maps in pages.
+ * @param {string} file
+ * @param {string} text
+ * @returns {Problem[]}
+ */
+const findMissing = (file, text) => {
+  const extension = path.extname(file);
+  /** @type {{ reference:string, prefix:string }[]} */
+  const references = [];
+  if (extension === `.js` || extension === `.mjs`) {
+    for (const m of text.matchAll(importPattern)) references.push({ reference: m[3], prefix: m[1] });
+  } else if (extension === `.html`) {
+    for (const m of text.matchAll(/\s(?:src|href)=["']([^"']+)["']/g)) references.push({ reference: m[1], prefix: `` });
+    for (const m of text.matchAll(importMapPattern)) {
+      try {
+        for (const value of Object.values(JSON.parse(m[2]).imports ?? {})) references.push({ reference: String(value), prefix: `` });
+      } catch {
+        references.push({ reference: `(import map is not valid JSON)`, prefix: `` });
+      }
+    }
+  }
+
+  /** @type Problem[] */
+  const problems = [];
+  for (const { reference, prefix } of references) {
+    const local = localPath(file, reference);
+    if (local === undefined) continue;
+    if (!resolves(local, prefix, existsSync)) problems.push({ file, reference, problem: `not found` });
+  }
+  return problems;
+};
+
+/**
+ * Returns _true_ if `exists` is true for the module.
+ * `import()` is also how JSDoc refers to types, so for these
+ * the module can also be resolved like TypeScript does, without an extension or to a .d.ts file.
+ * @param {string} module
+ * @param {string} prefix Text before module specifier, eg `from `
+ * @param {(module:string)=>boolean} exists
+ */
+const resolves = (module, prefix, exists) => {
+  if (exists(module)) return true;
+  if (!prefix.includes(`(`)) return false;
+  const withoutExtension = module.replace(/\.js$/, ``);
+  return [ `${withoutExtension}.js`, `${withoutExtension}.d.ts` ].some(m => exists(m));
+};
+
+/**
+ * Returns the local file a reference points to, or _undefined_ if it's
+ * not local (eg. a URL or bare import)
+ * @param {string} file File containing the reference
+ * @param {string} reference
+ */
+const localPath = (file, reference) => {
+  if (/^[a-z]+:/i.test(reference) || reference.startsWith(`//`) || reference.startsWith(`#`)) return;
+  const withoutQuery = reference.replace(/[?#].*$/, ``);
+  if (withoutQuery.length === 0) return;
+  if (withoutQuery.startsWith(`/`)) {
+    // Root-relative, with the demos served at / or /demos-main/
+    return path.join(__dirname, withoutQuery.replace(/^\/demos-main(?=\/)/, ``));
+  }
+  if (withoutQuery.startsWith(`.`) || path.extname(file) === `.html`) {
+    return path.join(__dirname, path.dirname(file), withoutQuery);
+  }
+};
+
+/**
+ * Checks that modules imported via a CDN exist, returning problems for those that don't
+ * @param {ExportTarget} target
+ * @param {ExportPlan} plan
+ * @returns {Promise<Problem[]>}
+ */
+const checkUrls = async (target, plan) => {
+  if (target.imports.type !== `cdn`) return [];
+  const base = target.imports.url;
+  /** @type Map<string,string> */
+  const urls = new Map();
+  for (const [ file, data ] of plan) {
+    if (!file.endsWith(`.js`)) continue;
+    for (const m of String(data).matchAll(importPattern)) {
+      const specifier = m[3];
+      if (specifier === `@ixfx`) urls.set(base + `index.js`, file);
+      else if (specifier.startsWith(`@ixfx/`)) urls.set(base + specifier.slice(`@ixfx/`.length), file);
+    }
+  }
+
+  /** @type Problem[] */
+  const problems = [];
+  for (const [ url, file ] of urls) {
+    try {
+      const response = await fetch(url, { method: `HEAD` });
+      if (!response.ok) problems.push({ file, reference: url, problem: `HTTP ${response.status}` });
+    } catch (error) {
+      problems.push({ file, reference: url, problem: error instanceof Error ? error.message : String(error) });
+    }
+  }
+  return problems;
+};
+
+/**
+ * Returns existing files in destination which are removed before exporting
+ * @param {ExportManifest} manifest
+ * @param {ExportTarget} target
+ * @param {string} destination
+ * @returns {Promise<string[]>}
+ */
+const cleanedFiles = async (manifest, target, destination) => {
+  if (!existsSync(destination)) return [];
+  const patterns = target.clean === `destination` ? [ `**/*` ] : manifest.categories.map(c => `${c}/**/*`);
+  return globby(patterns, { cwd: destination, dot: true });
+};
+
+/**
+ * @param {ExportManifest} manifest
+ * @param {ExportTarget} target
+ * @param {string} destination
+ */
+const clean = async (manifest, target, destination) => {
+  if (target.clean === `destination`) {
+    await rm(destination, { recursive: true, force: true });
+    return;
+  }
+  for (const c of manifest.categories) {
+    await rm(path.join(destination, c), { recursive: true, force: true });
+  }
+};
+
+/**
+ * Prints what an export would change
+ * @param {string} destination
+ * @param {string[]} cleaned Files removed before exporting
+ * @param {ExportPlan} plan
+ * @param {boolean} showDiff
+ */
+const printChanges = async (destination, cleaned, plan, showDiff) => {
+  let added = 0;
+  let changed = 0;
+  let unchanged = 0;
+  for (const [ file, data ] of plan) {
+    const existing = path.join(destination, file);
+    if (!existsSync(existing)) {
+      console.log(`+ ${file}`);
+      added++;
+      continue;
+    }
+    const before = await readFile(existing);
+    const after = typeof data === `string` ? Buffer.from(data) : data;
+    if (before.equals(after)) {
+      unchanged++;
+      continue;
+    }
+    console.log(`~ ${file}`);
+    changed++;
+    if (showDiff && textExtensions.has(path.extname(file))) {
+      console.log(diffLines(before.toString(`utf8`), after.toString(`utf8`)));
+    }
+  }
+  const planned = new Set([ ...plan.keys() ].map(f => path.normalize(f)));
+  const removed = cleaned.filter(f => !planned.has(path.normalize(f)));
+  for (const file of removed) console.log(`- ${file}`);
+  console.log(`Dry run for ${destination}: ${added} added, ${changed} changed, ${removed.length} removed, ${unchanged} unchanged`);
+};
+
+/**
+ * Returns the differing lines between two texts, with a little context
+ * @param {string} before
+ * @param {string} after
+ */
+const diffLines = (before, after) => {
+  const a = before.split(`\n`);
+  const b = after.split(`\n`);
+  // Trim common start and end, so only the changed middle is compared
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > 4_000_000) return `  (too many changes to show)`;
+
+  // Longest common subsequence of the changed lines
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [ `  @@ line ${start + 1} @@` ];
+  for (const line of a.slice(Math.max(0, start - 2), start)) lines.push(`    ${line}`);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      lines.push(`    ${midA[i]}`);
+      i++;
+      j++;
+    } else if (j < midB.length && (i === midA.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push(`  + ${midB[j++]}`);
+    } else {
+      lines.push(`  - ${midA[i++]}`);
+    }
+  }
+  for (const line of a.slice(endA, endA + 2)) lines.push(`    ${line}`);
+  return lines.join(`\n`);
+};
+
+/**
+ * @param {string} text
+ */
+const escapeRegExp = (text) => text.replaceAll(/[$()*+.?[\\\]^{|}]/g, `\\$&`);
+
+/**
+ * Prints a list of problems
+ * @param {string} title
+ * @param {Problem[]} problems
+ */
+const report = (title, problems) => {
+  if (problems.length === 0) return;
+  console.warn(`${title} (${problems.length}):`);
+  for (const p of problems) console.warn(`  ${p.file}: ${p.reference} (${p.problem})`);
+};
+
+/**
+ * Matches `from '...'`, `import '...'` and `import('...')`
+ */
+const importPattern = /(\bfrom\s*|\bimport\s*\(?\s*)(["'])([^"'\n]+)\2/g;
+
+/**
+ * Matches import map scripts, capturing the JSON
+ */
+const importMapPattern = /(<script\s+type=["']importmap["'][^>]*>)([\s\S]*?)(<\/script>)/g;
+
+await main();
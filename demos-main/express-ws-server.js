@@ -4,50 +4,217 @@
 // Config
 const port = process.env.PORT || 8081;
 const quiet = process.env.QUIET || false;
+// If set, serve HTTPS and WSS with a self-signed certificate, for testing on phones
+const useHttps = process.env.HTTPS || false;
+// Folder the self-signed certificate is kept in
+const certFolder = process.env.CERT_DIR || `.cert`;
+// If set, pages aren't reloaded when their code changes
+const noReload = process.env.NO_RELOAD || false;
+// If set, relayed messages are recorded to this file (newline-delimited JSON)
+const recordFile = process.env.RECORD;
+// If set, messages recorded in this file are re-broadcast
+const replayFile = process.env.REPLAY;
+// Replay speed, eg 0.5, 1 or 2
+const replaySpeed = process.env.REPLAY_SPEED;
+// If set, replay starts again when it reaches the end
+const replayLoop = process.env.REPLAY_LOOP || false;
+// Validation of typed envelopes: 'off' (default), 'tag' or 'reject'
+const validation = process.env.VALIDATE;
+// Max messages per second from each client. 0 (default) for no limit
+const rateLimit = process.env.RATE_LIMIT;
+// Messages a client can send in a burst. Defaults to RATE_LIMIT
+const rateBurst = process.env.RATE_BURST;
+// Bytes waiting to be sent to a client before it is considered slow
+const bufferLimit = process.env.BUFFER_LIMIT;
+// Max messages of each type queued for a slow client
+const queueLimit = process.env.QUEUE_LIMIT;
+// Max messages of all types queued for a slow client
+const queueTotalLimit = process.env.QUEUE_TOTAL_LIMIT;
+// Backpressure policy per message type, eg 'pose:coalesce,keyboard:drop-oldest'
+const backpressurePolicies = process.env.BACKPRESSURE;
+// If set, relayed messages are sent as OSC to this 'host:port' (or just port, for localhost)
+const oscSend = process.env.OSC_SEND;
+// If set, OSC received on this UDP port is broadcast
+const oscListen = process.env.OSC_LISTEN;
+// Room bridged with OSC. Defaults to the default room
+const oscRoomName = process.env.OSC_ROOM;
+// If set, clients can be kicked and relaying paused from other computers, not just localhost
+const adminRemote = process.env.ADMIN_REMOTE || false;
 // ---
 
 import { fileURLToPath } from 'node:url';
+import http from 'node:http';
+import https from 'node:https';
 import Express from 'express';
 import ExpressWs from 'express-ws';
 import BodyParser from 'body-parser';
 import path, { dirname } from 'node:path';
-
-const ews = ExpressWs(Express());
-const app = ews.app;
+import { Rooms, defaultRoom } from './relay/rooms.js';
+import { ClientRegistry } from './relay/clients.js';
+import { RelayMessage, isBinaryMessage, negotiateCodec } from './relay/codec.js';
+import { createAdminRouter } from './relay/admin.js';
+import { LiveReload, createDemosRouter } from './relay/demos.js';
+import { lanAddresses, loadCertificate, printQrCode } from './relay/https.js';
+import { checkMessage, parseValidationMode } from './relay/validation.js';
+import { Backpressure, FlowStats, RateLimiter, messageType, parsePolicies, statsIntervalMs } from './relay/flow-control.js';
+import { OscBridge, parsePort, parseTarget } from './relay/osc-bridge.js';
+import { SessionPlayer, SessionRecorder, entryData, parseSpeed, readSession } from './relay/session.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Set up the '/ws' resource to handle web socket connections
-app.ws(`/ws`, function (ws, request) {
-  if (!quiet) console.log(`New websocket connection`);
+const app = Express();
+const addresses = lanAddresses();
+let server;
+if (useHttps) {
+  const certificate = await loadCertificate(path.resolve(__dirname, certFolder), addresses);
+  if (certificate.generated) console.log(`Generated self-signed certificate in ${certFolder}`);
+  server = https.createServer({ key: certificate.key, cert: certificate.cert }, app);
+} else {
+  server = http.createServer(app);
+}
+ExpressWs(app, server);
+
+const rooms = new Rooms();
+const clients = new ClientRegistry();
+/** @type import('./relay/admin.js').RelayState */
+const relay = { paused: false };
+const recorder = recordFile ? new SessionRecorder(recordFile) : undefined;
+const validationMode = parseValidationMode(validation);
+const liveReload = noReload ? undefined : new LiveReload(__dirname);
+const flowStats = new FlowStats();
+const rateLimiter = new RateLimiter(Number(rateLimit ?? 0), rateBurst ? Number(rateBurst) : undefined);
+const backpressure = new Backpressure(flowStats, {
+  ...(bufferLimit && { highWaterMark: Number(bufferLimit) }),
+  ...(queueLimit && { queueLimit: Number(queueLimit) }),
+  ...(queueTotalLimit && { totalQueueLimit: Number(queueTotalLimit) }),
+  policies: parsePolicies(backpressurePolicies)
+});
+const oscRoom = oscRoomName || defaultRoom;
+/** @type OscBridge|undefined */
+let osc;
+if (oscSend || oscListen) {
+  osc = new OscBridge({
+    send: oscSend ? parseTarget(oscSend) : undefined,
+    listenPort: oscListen ? parsePort(oscListen) : undefined,
+    onReceived: text => {
+      if (!quiet) console.log(new Date().toLocaleTimeString() + ` ${oscRoom}< OSC ` + text.slice(0, 200));
+      recorder?.record(oscRoom, text, false);
+      broadcast(oscRoom, RelayMessage.fromText(text));
+    }
+  });
+}
+
+/**
+ * Sends `message` to all clients in `room`, except for `except`.
+ * Message is converted to the codec each client uses.
+ * Clients which aren't keeping up have messages queued.
+ * @param {string} room
+ * @param {RelayMessage} message
+ * @param {import('ws').WebSocket} [except]
+ */
+const broadcast = (room, message, except) => {
+  if (relay.paused) return;
+  /** @type string|undefined */
+  let type;
+  const getType = () => type ??= message.isRaw ? `binary` : messageType(message.text, false);
+  for (const c of rooms.clientsIn(room, except)) {
+    try {
+      const { data, binary } = message.forCodec(clients.get(c)?.codec === `msgpack` ? `msgpack` : `json`);
+      backpressure.send(c, data, binary, getType, except);
+    } catch {
+      // can happen when client disconnects
+      // console.error(e);
+    }
+  }
+};
+
+/**
+ * Handles a websocket connection. Messages are relayed to
+ * all other clients in the same room.
+ * @param {import('ws').WebSocket} ws
+ * @param {string} room
+ * @param {import('express').Request} request
+ */
+const onConnection = (ws, room, request) => {
+  const address = request.get(`x-forwarded-for`) ?? request.socket.remoteAddress ?? `?`;
+  const codec = negotiateCodec(ws, request);
+  const id = clients.add(ws, room, address, codec);
+  if (!quiet) console.log(`New websocket connection (id: ${id} room: ${room} address: ${address} codec: ${codec})`);
+  rooms.join(room, ws);
 
   // A message has been received from a client
-  ws.on(`message`, function (message) {
-    // @ts-ignore
-    var clients = ews.getWss(`/ws`).clients;
-    // Debug print it
-    if (!quiet) console.log(new Date().toLocaleTimeString() + `> ` + message);
-
-    // Broadcast it to all other clients
-    for (const c of clients) {
-      if (c === ws) continue;
-      try {
-        c.send(message);
-      } catch {
-        // can happen when client disconnects
-        // console.error(e);
+  ws.on(`message`, function (data, isBinary) {
+    if (!rateLimiter.allow(ws)) {
+      flowStats.increment(`rate limited`, `client ${id}`);
+      return;
+    }
+    try {
+      const message = RelayMessage.fromClient(data, isBinaryMessage(data, isBinary), codec);
+      clients.seen(ws, message.describe(120));
+
+      // Debug print it
+      if (!quiet) console.log(new Date().toLocaleTimeString() + ` ${room}> ` + message.describe());
+
+      let outgoing = message;
+      if (validationMode !== `off` && !message.isRaw) {
+        const checked = checkMessage(validationMode, message.text);
+        if (checked.errors.length > 0 && !quiet) console.warn(`Invalid message (${validationMode}): ${checked.errors.join(`; `)}`);
+        if (!checked.relay) return;
+        if (checked.message !== message.text) outgoing = RelayMessage.fromText(checked.message);
       }
+      if (relay.paused) return;
+
+      if (outgoing.raw) recorder?.record(room, outgoing.raw, true);
+      else recorder?.record(room, outgoing.text, false);
+
+      if (room === oscRoom && !outgoing.isRaw) osc?.forward(outgoing.text);
+
+      // Broadcast it to all other clients in the room
+      broadcast(room, outgoing, ws);
+    } catch (error) {
+      // eg. malformed MessagePack data
+      console.warn(`Could not relay message from client ${id}.`, error instanceof Error ? error.message : error);
     }
   });
+
+  ws.on(`close`, () => {
+    rooms.leave(room, ws);
+    clients.remove(ws);
+    rateLimiter.remove(ws);
+    backpressure.remove(ws);
+  });
+};
+
+// Set up the '/ws' resource to handle web socket connections.
+// '/ws' uses the default room, '/ws/:room' a named room.
+app.ws(`/ws`, function (ws, request) {
+  onConnection(ws, defaultRoom, request);
+});
+app.ws(`/ws/:room`, function (ws, request) {
+  onConnection(ws, request.params.room, request);
 });
 
+// Pages connect here to be told when to reload
+app.ws(`/live-reload`, function (ws, request) {
+  if (liveReload) liveReload.add(ws, String(request.query.page ?? `/`));
+  else ws.close();
+});
+
+// List active rooms and how many clients are in each
+app.get(`/rooms`, function (request, resource) {
+  resource.json(rooms.list());
+});
+
+// Admin page, listing clients
+app.use(createAdminRouter(clients, relay, { allowRemote: Boolean(adminRemote) }));
+
 app.use(BodyParser.json());
 app.use(BodyParser.urlencoded({
   extended: false,
 }));
 // app.use(CookieParser());
-app.use(Express.static(path.join(__dirname, `./dist/`)));
+app.use(createDemosRouter(__dirname, { liveReload: liveReload !== undefined }));
 
 // catch 404 and forward to error handler
 app.use(function (request, resource, next) {
@@ -63,5 +230,38 @@ app.use(function (error, request, resource, next) {
   else resource.sendStatus(500);
 });
 
-app.listen(port);
+server.listen(port);
 console.log(`Server started on port ` + port);
+const scheme = useHttps ? `https` : `http`;
+console.log(`Demos at ${scheme}://localhost:${port}/`);
+for (const address of addresses) console.log(`  or ${scheme}://${address}:${port}/`);
+if (useHttps && addresses.length > 0) {
+  console.log(`Scan to open on a phone. The browser will warn that the certificate isn't trusted, which is expected.`);
+  printQrCode(`https://${addresses[0]}:${port}/`);
+}
+if (liveReload) console.log(`Live reload watching ${liveReload.start()} folder(s)`);
+if (recorder) console.log(`Recording to ${recorder.file}`);
+if (osc) {
+  await osc.start();
+  if (osc.options.send) console.log(`Sending OSC to ${osc.options.send.host}:${osc.options.send.port} from room '${oscRoom}'`);
+  if (osc.options.listenPort) console.log(`Listening for OSC on port ${osc.options.listenPort}, broadcasting to room '${oscRoom}'`);
+}
+if (rateLimiter.ratePerSec > 0) console.log(`Rate limiting clients to ${rateLimiter.ratePerSec} message(s)/sec`);
+
+// Periodically report messages dropped by rate limiting or backpressure
+setInterval(() => {
+  const dropped = flowStats.flush();
+  if (dropped) console.warn(`Dropped messages: ${dropped}`);
+}, statsIntervalMs).unref();
+
+if (replayFile) {
+  const entries = await readSession(replayFile);
+  const player = new SessionPlayer(entries, entry => {
+    const data = entryData(entry);
+    const room = entry.room ?? defaultRoom;
+    broadcast(room, typeof data === `string` ? RelayMessage.fromText(data) : RelayMessage.fromRaw(data));
+    if (room === oscRoom && typeof data === `string`) osc?.forward(data);
+  }, { speed: parseSpeed(replaySpeed), loop: Boolean(replayLoop) });
+  player.start();
+  console.log(`Replaying ${entries.length} message(s) from ${replayFile}`);
+}
@@ -1,5 +1,6 @@
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
 import { PlotElement } from 'https://unpkg.com/@ixfx/components@0.1.3/bundle';
+import { EnvelopeRouter } from '../../relay/envelope.js';
 
 const settings = Object.freeze({
   accelPlot: PlotElement.fromQuery(`#accelPlot`),
@@ -13,10 +14,13 @@ const r = new Remote({
   // defaultLog: `verbose`
 });
 
-r.onData = (message) => {
+const router = new EnvelopeRouter();
+r.onData = router.handle;
+
+router.on(`motion`, (message) => {
   const { accelPlot, accelGravPlot, rotRatePlot } = settings;
 
   accelPlot.plotObject(message.accel);
   accelGravPlot.plotObject(message.accelGrav);
   rotRatePlot.plotObject(message.rotRate);
-};
\ No newline at end of file
+});
\ No newline at end of file
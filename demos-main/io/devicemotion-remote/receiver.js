@@ -1,5 +1,6 @@
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
 import * as DeviceMotion from './devicemotion.js';
+import { EnvelopeRouter } from '../../relay/envelope.js';
 
 const settings = Object.freeze({});
 
@@ -8,6 +9,8 @@ const r = new Remote({
   allowNetwork: false,
   // defaultLog: `verbose`
 });
+const router = new EnvelopeRouter();
+r.onData = router.handle;
 
 // Called when there is sensor data
 
@@ -16,9 +19,9 @@ const r = new Remote({
  * @param {DeviceMotion.MotionData} message 
  * @returns 
  */
-r.onData = (message) => {
+router.on(`motion`, (message) => {
   console.log(message);
   const element = /** @type HTMLElement */(document.querySelector(`#data`));
   if (!element) return;
   element.innerHTML = JSON.stringify(message, undefined, 4);
-};
+});
@@ -1,6 +1,7 @@
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
 import * as Dom from '@ixfx/dom.js';
 import * as DeviceMotion from './devicemotion.js';
+import { createEnvelope } from '../../relay/envelope.js';
 
 const settings = Object.freeze({
   useFakeDataAsFallback: true,
@@ -29,7 +30,7 @@ const onMotion = (d) => {
   console.log(d);
 
   // Send it
-  remote.broadcast(d);
+  remote.broadcast(createEnvelope(`motion`, d, remote.id));
 
   // Show it
   lastDataEl.innerHTML = `
@@ -1,5 +1,6 @@
 // @ts-ignore
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
+import { EnvelopeRouter } from '../../../relay/envelope.js';
 
 const settings = Object.freeze({
   remote: new Remote({
@@ -7,15 +8,18 @@ const settings = Object.freeze({
     // eg if you use a Glitch-hosted websocket server:
     // websocket: `wss://MY-PROJECT-NAME.glitch.me/ws`
     websocket: `wss://${window.location.host}/ws`
-  })
+  }),
+  // Routes received data by type
+  router: new EnvelopeRouter()
 });
 
 const setup = () => {
-  const { remote } = settings;
-  remote.onData = (d) => {
+  const { remote, router } = settings;
+  router.on(`keyboard`, (d) => {
     console.log(d);
     setText(`remote-data`, JSON.stringify(d));
-  };
+  });
+  remote.onData = router.handle;
 };
 setup();
 
@@ -1,5 +1,6 @@
 // @ts-ignore
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
+import { createEnvelope } from '../../../relay/envelope.js';
 
 const settings = Object.freeze({
   remote: new Remote({
@@ -32,7 +33,7 @@ const onKeyUpOrDown = (event) => {
     type: event.type,
   };
   lastSentEl.textContent = JSON.stringify(d);
-  remote.broadcast(d);
+  remote.broadcast(createEnvelope(`keyboard`, d, remote.id));
 };
 
 const setup = () => {
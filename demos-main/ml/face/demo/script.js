@@ -3,17 +3,19 @@ import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
 import { DataDisplay } from '@ixfx/dom.js';
 import { average, Bipolar, scaleClamped } from "@ixfx/numbers.js";
 import * as MpVision from "../../pose/util/Poses.js";
+import { FacesTracker } from '../util/FacesTracker.js';
 
 const settings = Object.freeze({
   // How quickly to call update()
   updateRateMs: 100,
   remote: new Remote(),
+  // Keeps track of faces, so we follow the same one
+  faces: new FacesTracker({ maxAgeMs: 1000 }),
   dataDisplay: new DataDisplay({ numbers: { leftPadding: 5, precision: 2 } })
 });
 
 /**
  * @typedef {Readonly<{
- *  faces: Array<MpVision.Detection>
  *  upDown:number
  *  leftRight: number
  * }>} State
@@ -22,8 +24,7 @@ const settings = Object.freeze({
 /** @type State */
 let state = Object.freeze({
   upDown: 0,
-  leftRight: 0,
-  faces: []
+  leftRight: 0
 });
 
 /**
@@ -31,12 +32,12 @@ let state = Object.freeze({
  * new from latest pose data
  */
 const update = () => {
-  const { faces } = state;
+  const { faces } = settings;
 
-  if (faces.length === 0) return;
-
-  // Just work with first face
-  const face = faces[0];
+  // Work with the face that has been tracked the longest,
+  // so we don't jump between faces when there are several
+  const face = faces.get().next().value?.last;
+  if (!face) return;
   const upDown = calculateUpDown(face);
   const leftRight = calcLeftRight(face);
 
@@ -79,11 +80,11 @@ const calcLeftRight = (face) => {
 
 /**
  * Called when we have pose data via Remote.
- * Faces are saved to state.
+ * Faces are passed to the faces tracker.
  * @param {*} packet 
  */
 const onReceivedPoses = (packet) => {
-  const { data } = packet;
+  const { _from, data } = packet;
   const facesData = JSON.parse(data);
 
   if (Array.isArray(facesData)) {
@@ -96,7 +97,7 @@ const onReceivedPoses = (packet) => {
     console.warn(`Did not find 'detections' property as expected. Is the sender set to 'face'?`);
     return;
   }
-  saveState({ faces: d });
+  settings.faces.seen(_from, { detections: d });
 };
 
 /**
@@ -2,6 +2,7 @@
 import { LitElement } from "https://cdn.jsdelivr.net/gh/lit/dist@3/core/lit-core.min.js";
 import { MlVision, Client } from "../../lib/index.js";
 import { shortGuid } from '@ixfx/random.js';
+import { createRecordingControls } from '../../util/recording-files.js';
 
 // Parse query params
 const params = (new URL(document.location.toString())).searchParams;
@@ -39,6 +40,9 @@ const ds = new MlVision(`#is`, {
 
 ds.init();
 
+// Export recordings as files, or import them from other computers
+document.body.append(createRecordingControls(ds));
+
 // Eg dump out data
 // const client = new Client();
 // client.addEventListener(`message`, event => {
@@ -0,0 +1,2 @@
+export * from '../../lib/client/index.js';
+export * from './FacesTracker.js';
@@ -0,0 +1,110 @@
+import { Points } from '@ixfx/geometry.js';
+import { LandmarksTracker, MultiTracker } from '../../util/tracking.js';
+
+/**
+ * @typedef {import('../../lib/index.js').Detection} Detection
+ * @typedef {import('../../util/tracking.js').MultiTrackerOptions} FacesTrackerOptions
+ */
+
+/**
+ * Names of face keypoints, in index order
+ */
+export const FaceKeypointNames = Object.freeze([ `right_eye`, `left_eye`, `nose_tip`, `mouth`, `right_ear`, `left_ear` ]);
+
+/**
+ * Keeps track of a single face, with a
+ * [PointTracker](https://api.ixfx.fun/classes/Trackers.PointTracker) for each keypoint.
+ *
+ * ```js
+ * const nose = face.landmark(`nose_tip`); // PointTracker
+ * face.score; // 0..1
+ * ```
+ * @extends {LandmarksTracker<Detection>}
+ */
+export class FaceTracker extends LandmarksTracker {
+  /**
+   * @param {string} fromId Sender id
+   * @param {string} faceId Id of face, unique for this sender
+   * @param {Partial<import('../../util/tracking.js').LandmarksTrackerOptions>} [options]
+   */
+  constructor(fromId, faceId, options) {
+    super(fromId, faceId, FaceKeypointNames, options);
+  }
+
+  /**
+   * Update with new data
+   * @param {Detection} face
+   */
+  async seen(face) {
+    await this.seenLandmarks(face, face.keypoints);
+  }
+
+  /**
+   * Returns the confidence (0..1) of the detection
+   */
+  get score() {
+    return this.last?.categories[0]?.score ?? 0;
+  }
+}
+
+/**
+ * Tracks several faces, giving each a persistent id.
+ *
+ * ```js
+ * const faces = new FacesTracker();
+ * remote.onData = (packet) => {
+ *  faces.seen(packet._from, JSON.parse(packet.data));
+ * }
+ *
+ * for (const face of faces.get()) {
+ *  face.guid; // Stays the same while the face is tracked
+ * }
+ * ```
+ *
+ * Events:
+ * - added: A new face. Detail: FaceTracker
+ * - expired: Face hasn't been seen for `maxAgeMs` and is removed. Detail: FaceTracker
+ * - face-lost: Face hasn't been seen for a moment, but might reappear. Detail: FaceTracker
+ * - face-reacquired: A lost face has reappeared. Detail: FaceTracker
+ * @extends {MultiTracker<FaceTracker>}
+ */
+export class FacesTracker extends MultiTracker {
+  /**
+   * Defaults:
+   * * maxAgeMs: 10000 - remove faces not seen for this long
+   * * maxDistance, reacquireDistance: see IdMatcher
+   * * lostAfterMs, reacquireWindowMs: see IdMatcher, but capped so ids are lost and reacquired before they expire
+   * @param {Partial<FacesTrackerOptions>} [options]
+   */
+  constructor(options = {}) {
+    super(`face`, options);
+  }
+
+  /**
+   * @param {string} from
+   * @param {string} id
+   */
+  createTracker(from, id) {
+    return new FaceTracker(from, id, this.options);
+  }
+
+  /**
+   * Track faces from a sender.
+   * Returns the guid of each face, in the same order as `detections`
+   * @param {string} from Sender id
+   * @param {{ detections: Detection[] }} faces
+   */
+  seen(from, faces) {
+    if (faces === undefined) throw new Error(`Param 'faces' is undefined`);
+    const items = faces.detections.map(face => {
+      const { keypoints } = face;
+      return {
+        observation: {
+          centroid: keypoints.length === 0 ? undefined : Points.centroid(...keypoints)
+        },
+        update: (/** @type FaceTracker */ tracker) => tracker.seen(face)
+      };
+    });
+    return this.track(from, items);
+  }
+}
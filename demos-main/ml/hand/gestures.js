@@ -0,0 +1,442 @@
+import { Points } from '@ixfx/geometry.js';
+import * as Hands from './hands.js';
+
+/**
+ * Recognises hand gestures, emitting `start`, `hold` and `end` events.
+ *
+ * Built-in gestures: pinch, fist, open-palm, point, thumbs-up,
+ * swipe-left, swipe-right, swipe-up and swipe-down.
+ *
+ * Static poses of your own can be added from examples:
+ * ```js
+ * gestures.addExample(`rock`, hand); // Call a few times with different examples
+ * ```
+ *
+ * Gestures start when their confidence reaches `startThreshold`,
+ * and end when it drops below `endThreshold`. This way they don't flicker on and off.
+ *
+ * ```js
+ * const gestures = new GestureRecogniser();
+ * gestures.addEventListener(`start`, event => {
+ *  const { gesture, id, confidence } = event.detail;
+ * });
+ *
+ * // With data for a hand, and an id for it (eg. from HandsTracker)
+ * gestures.update(hand, id);
+ * ```
+ */
+
+/**
+ * @typedef {`pinch`|`fist`|`open-palm`|`point`|`thumbs-up`|`swipe-left`|`swipe-right`|`swipe-up`|`swipe-down`} BuiltInGesture
+ */
+
+/**
+ * @typedef {{
+ *  gestures: string[]
+ *  startThreshold: number
+ *  endThreshold: number
+ *  swipeDistance: number
+ *  swipeWindowMs: number
+ *  mirrored: boolean
+ *  tolerance: number
+ * }} GestureRecogniserOptions
+ */
+
+/**
+ * @typedef {Readonly<{
+ *  gesture: string
+ *  id: string
+ *  confidence: number
+ *  durationMs: number
+ * }>} GestureEventDetail
+ */
+
+/**
+ * @typedef {Readonly<{
+ *  extension: Record<keyof Hands.FingerIndexes, number>
+ *  pinch: number
+ *  thumbUp: number
+ *  vector: number[]
+ * }>} HandFeatures
+ */
+
+export const BuiltInGestures = Object.freeze([ `pinch`, `fist`, `open-palm`, `point`, `thumbs-up`, `swipe-left`, `swipe-right`, `swipe-up`, `swipe-down` ]);
+
+/**
+ * Straightness of finger (direct distance / path length) when fully curled and fully extended.
+ * The thumb doesn't curl as much as the other fingers.
+ */
+const straightnessRange = Object.freeze({
+  thumb: [ 0.7, 0.92 ],
+  finger: [ 0.45, 0.9 ]
+});
+
+/**
+ * Distance between thumb and index tips, relative to size of palm, when pinched and when apart
+ */
+const pinchRange = [ 0.2, 0.5 ];
+
+/**
+ * Scales `v` from range to 0..1, clamped
+ * @param {number} v
+ * @param {number[]} range
+ */
+const scaleClamped = (v, [ min, max ]) => Math.min(1, Math.max(0, (v - min) / (max - min)));
+
+/**
+ * Returns how extended a finger is, 0 (curled) to 1 (straight).
+ * Based on how straight the path is from the wrist to the finger tip,
+ * so it doesn't depend on size or rotation of hand.
+ * @param {keyof Hands.FingerIndexes} finger
+ * @param {Points.Point[]} landmarks
+ */
+export const fingerExtension = (finger, landmarks) => {
+  const path = [ landmarks[0], ...Hands.getFinger(finger, landmarks) ];
+  let length = 0;
+  for (let index = 1; index < path.length; index++) length += Points.distance(path[index - 1], path[index]);
+  if (length === 0) return 0;
+  const straightness = Points.distance(path[0], path.at(-1) ?? path[0]) / length;
+  return scaleClamped(straightness, finger === `thumb` ? straightnessRange.thumb : straightnessRange.finger);
+};
+
+/**
+ * Calculates the features of a hand used to recognise gestures.
+ * World landmarks are used if available, since they don't depend on distance to camera.
+ * @param {Hands.Hand} hand
+ * @returns {HandFeatures}
+ */
+export const handFeatures = (hand) => {
+  const landmarks = hand.worldLandmarks?.length > 0 ? hand.worldLandmarks : hand.landmarks;
+  const extension = {
+    thumb: fingerExtension(`thumb`, landmarks),
+    index: fingerExtension(`index`, landmarks),
+    middle: fingerExtension(`middle`, landmarks),
+    ring: fingerExtension(`ring`, landmarks),
+    pinky: fingerExtension(`pinky`, landmarks)
+  };
+
+  // Thumb to index distance, relative to wrist to middle knuckle
+  const palmSize = Points.distance(landmarks[0], landmarks[9]);
+  const pinchDistance = palmSize === 0 ? 1 : Points.distance(landmarks[4], landmarks[8]) / palmSize;
+  const pinch = 1 - scaleClamped(pinchDistance, pinchRange);
+
+  // How much thumb points up in the image, 0..1
+  const thumbBase = hand.landmarks[2];
+  const thumbTip = hand.landmarks[4];
+  const thumbLength = Points.distance(Points.to2d(thumbBase), Points.to2d(thumbTip));
+  const thumbUp = thumbLength === 0 ? 0 : Math.max(0, (thumbBase.y - thumbTip.y) / thumbLength);
+
+  // Angles between neighbouring fingers, for comparing with examples
+  const names = Hands.getFingerNames();
+  const spreads = [];
+  for (let index = 1; index < names.length; index++) {
+    spreads.push(Math.min(1, angleBetween(names[index - 1], names[index], landmarks) / (Math.PI / 2)));
+  }
+
+  return {
+    extension,
+    pinch,
+    thumbUp,
+    vector: [ ...Object.values(extension), pinch, ...spreads ]
+  };
+};
+
+/**
+ * Returns the angle (radians) between the directions two fingers point
+ * @param {keyof Hands.FingerIndexes} a
+ * @param {keyof Hands.FingerIndexes} b
+ * @param {Points.Point[]} landmarks
+ */
+const angleBetween = (a, b, landmarks) => {
+  const direction = (/** @type keyof Hands.FingerIndexes */ finger) => {
+    const points = Hands.getFinger(finger, landmarks);
+    const from = points[0];
+    const to = points.at(-1) ?? from;
+    return { x: to.x - from.x, y: to.y - from.y, z: (to.z ?? 0) - (from.z ?? 0) };
+  };
+  const da = direction(a);
+  const db = direction(b);
+  const lengths = Math.hypot(da.x, da.y, da.z) * Math.hypot(db.x, db.y, db.z);
+  if (lengths === 0) return 0;
+  return Math.acos(Math.max(-1, Math.min(1, (da.x * db.x + da.y * db.y + da.z * db.z) / lengths)));
+};
+
+/**
+ * Returns the confidence (0..1) of each built-in static gesture
+ * @param {HandFeatures} features
+ * @returns {Record<string,number>}
+ */
+export const staticGestureConfidences = (features) => {
+  const { extension, pinch, thumbUp } = features;
+  const curl = (/** @type keyof Hands.FingerIndexes */ finger) => 1 - extension[finger];
+  const thumbRaised = Math.min(extension.thumb, thumbUp);
+  return {
+    pinch: Math.min(pinch, Math.min(1, extension.index * 2)),
+    fist: Math.min(1 - thumbRaised, (curl(`index`) + curl(`middle`) + curl(`ring`) + curl(`pinky`)) / 4),
+    'open-palm': Math.min(...Object.values(extension)),
+    point: Math.min(extension.index, curl(`middle`), curl(`ring`), curl(`pinky`)),
+    'thumbs-up': Math.min(thumbRaised, curl(`index`), curl(`middle`), curl(`ring`), curl(`pinky`))
+  };
+};
+
+export class GestureRecogniser extends EventTarget {
+  /** @type GestureRecogniserOptions */
+  options;
+  /**
+   * Examples of user-defined gestures, as feature vectors
+   * @type {Map<string,number[][]>}
+   */
+  examples = new Map();
+  /**
+   * Active gestures per hand id: gesture name -> start time
+   * @type {Map<string,Map<string,number>>}
+   */
+  #active = new Map();
+  /**
+   * Latest confidences per hand id
+   * @type {Map<string,Record<string,number>>}
+   */
+  #confidences = new Map();
+  /**
+   * Recent palm positions per hand id, for swipes
+   * @type {Map<string,Array<{ x:number, y:number, at:number }>>}
+   */
+  #trails = new Map();
+
+  /**
+   * Defaults:
+   * * gestures: all built-in and user-defined gestures
+   * * startThreshold: 0.8 - confidence needed for gesture to start
+   * * endThreshold: 0.6 - gesture ends when confidence drops below this
+   * * swipeDistance: 0.25 - how far (normalised) hand has to move to swipe
+   * * swipeWindowMs: 500 - how quickly hand has to move `swipeDistance`
+   * * mirrored: false - set to _true_ if the camera image is mirrored, swapping swipe left & right
+   * * tolerance: 0.25 - how different a hand can be from examples of user-defined gestures
+   * @param {Partial<GestureRecogniserOptions>} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      gestures: [],
+      startThreshold: 0.8,
+      endThreshold: 0.6,
+      swipeDistance: 0.25,
+      swipeWindowMs: 500,
+      mirrored: false,
+      tolerance: 0.25,
+      ...options
+    };
+  }
+
+  /**
+   * Adds an example of a user-defined static gesture
+   * @param {string} name Name of gesture
+   * @param {Hands.Hand} hand Hand making the gesture
+   */
+  addExample(name, hand) {
+    if (BuiltInGestures.includes(name)) throw new Error(`'${name}' is a built-in gesture`);
+    const examples = this.examples.get(name) ?? [];
+    examples.push(handFeatures(hand).vector);
+    this.examples.set(name, examples);
+  }
+
+  /**
+   * Removes a user-defined gesture, ending it for any hands making it
+   * @param {string} name
+   * @param {number} [now]
+   */
+  removeGesture(name, now = performance.now()) {
+    this.examples.delete(name);
+    for (const [ id, active ] of this.#active) {
+      const startedAt = active.get(name);
+      if (startedAt === undefined) continue;
+      active.delete(name);
+      this.#dispatch(`end`, id, name, 0, now - startedAt);
+    }
+    for (const confidences of this.#confidences.values()) {
+      delete confidences[name];
+    }
+  }
+
+  /**
+   * Returns user-defined gestures in a form that can be saved as JSON
+   */
+  toJSON() {
+    return Object.fromEntries(this.examples);
+  }
+
+  /**
+   * Loads user-defined gestures saved with `toJSON`.
+   * Nothing is loaded if any of them is invalid.
+   * @param {Record<string,number[][]>} data
+   */
+  loadExamples(data) {
+    const entries = Object.entries(data);
+    for (const [ name, examples ] of entries) {
+      if (BuiltInGestures.includes(name)) throw new Error(`'${name}' is a built-in gesture`);
+      if (!Array.isArray(examples)) throw new Error(`Examples for '${name}' should be an array`);
+    }
+    for (const [ name, examples ] of entries) this.examples.set(name, examples);
+  }
+
+  /**
+   * Recognises gestures of a hand, dispatching events.
+   * Returns the confidence of each gesture.
+   * @param {Hands.Hand} hand
+   * @param {string} [id] Id of hand, eg. its guid from HandsTracker
+   * @param {number} [now] Timestamp of data
+   * @returns {Record<string,number>}
+   */
+  update(hand, id = `0`, now = performance.now()) {
+    const features = handFeatures(hand);
+    /** @type {Record<string,number>} */
+    const confidences = {
+      ...staticGestureConfidences(features),
+      ...this.#exampleConfidences(features)
+    };
+    const swipe = this.#swipe(id, hand, now);
+
+    for (const [ gesture, confidence ] of Object.entries(confidences)) {
+      if (this.#isEnabled(gesture)) this.#transition(id, gesture, confidence, now);
+    }
+    for (const gesture of [ `swipe-left`, `swipe-right`, `swipe-up`, `swipe-down` ]) {
+      confidences[gesture] = swipe?.gesture === gesture ? swipe.confidence : 0;
+      if (!this.#isEnabled(gesture) || swipe?.gesture !== gesture) continue;
+      // Swipes are momentary, so start and end at once
+      this.#dispatch(`start`, id, gesture, swipe.confidence, 0);
+      this.#dispatch(`end`, id, gesture, swipe.confidence, 0);
+    }
+    this.#confidences.set(id, confidences);
+    return confidences;
+  }
+
+  /**
+   * Ends all gestures of a hand, eg. when it's no longer seen
+   * @param {string} id
+   * @param {number} [now]
+   */
+  forget(id, now = performance.now()) {
+    for (const [ gesture, startedAt ] of this.#active.get(id) ?? []) {
+      this.#dispatch(`end`, id, gesture, 0, now - startedAt);
+    }
+    this.#active.delete(id);
+    this.#confidences.delete(id);
+    this.#trails.delete(id);
+  }
+
+  /**
+   * Returns the gestures a hand is currently making
+   * @param {string} [id]
+   * @returns {string[]}
+   */
+  getActive(id = `0`) {
+    return [ ...(this.#active.get(id)?.keys() ?? []) ];
+  }
+
+  /**
+   * Returns the latest confidence of each gesture for a hand
+   * @param {string} [id]
+   */
+  getConfidences(id = `0`) {
+    return this.#confidences.get(id) ?? {};
+  }
+
+  /**
+   * @param {string} gesture
+   */
+  #isEnabled(gesture) {
+    const { gestures } = this.options;
+    return gestures.length === 0 || gestures.includes(gesture);
+  }
+
+  /**
+   * Starts, holds or ends a gesture, depending on its confidence
+   * @param {string} id
+   * @param {string} gesture
+   * @param {number} confidence
+   * @param {number} now
+   */
+  #transition(id, gesture, confidence, now) {
+    const { startThreshold, endThreshold } = this.options;
+    let active = this.#active.get(id);
+    if (!active) {
+      active = new Map();
+      this.#active.set(id, active);
+    }
+    const startedAt = active.get(gesture);
+    if (startedAt === undefined) {
+      if (confidence < startThreshold) return;
+      active.set(gesture, now);
+      this.#dispatch(`start`, id, gesture, confidence, 0);
+    } else if (confidence < endThreshold) {
+      active.delete(gesture);
+      this.#dispatch(`end`, id, gesture, confidence, now - startedAt);
+    } else {
+      this.#dispatch(`hold`, id, gesture, confidence, now - startedAt);
+    }
+  }
+
+  /**
+   * Confidence of user-defined gestures, based on closest example
+   * @param {HandFeatures} features
+   * @returns {Record<string,number>}
+   */
+  #exampleConfidences(features) {
+    /** @type {Record<string,number>} */
+    const confidences = {};
+    for (const [ name, examples ] of this.examples) {
+      let closest = Number.POSITIVE_INFINITY;
+      for (const example of examples) {
+        let sum = 0;
+        for (const [ index, v ] of features.vector.entries()) sum += (v - (example[index] ?? 0)) ** 2;
+        closest = Math.min(closest, Math.sqrt(sum / features.vector.length));
+      }
+      confidences[name] = Math.max(0, 1 - closest / this.options.tolerance);
+    }
+    return confidences;
+  }
+
+  /**
+   * Detects if the hand has just swiped
+   * @param {string} id
+   * @param {Hands.Hand} hand
+   * @param {number} now
+   * @returns {{ gesture:string, confidence:number }|undefined}
+   */
+  #swipe(id, hand, now) {
+    const { swipeDistance, swipeWindowMs, mirrored, startThreshold } = this.options;
+    const palm = Points.centroid(...Hands.getPalm(hand.landmarks));
+    const trail = (this.#trails.get(id) ?? []).filter(p => now - p.at <= swipeWindowMs);
+    trail.push({ x: palm.x, y: palm.y, at: now });
+    this.#trails.set(id, trail);
+
+    const dx = palm.x - trail[0].x;
+    const dy = palm.y - trail[0].y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < swipeDistance) return;
+
+    // Confidence is how much movement was along one axis
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    const confidence = Math.max(Math.abs(dx), Math.abs(dy)) / distance;
+    if (confidence < startThreshold) return;
+
+    // Start again, so the same movement isn't a swipe twice
+    this.#trails.set(id, []);
+    if (!horizontal) return { gesture: dy < 0 ? `swipe-up` : `swipe-down`, confidence };
+    const right = mirrored ? dx < 0 : dx > 0;
+    return { gesture: right ? `swipe-right` : `swipe-left`, confidence };
+  }
+
+  /**
+   * @param {`start`|`hold`|`end`} type
+   * @param {string} id
+   * @param {string} gesture
+   * @param {number} confidence
+   * @param {number} durationMs
+   */
+  #dispatch(type, id, gesture, confidence, durationMs) {
+    /** @type GestureEventDetail */
+    const detail = { gesture, id, confidence, durationMs };
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
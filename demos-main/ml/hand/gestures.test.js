@@ -0,0 +1,187 @@
+// Run with `npm test`. Plays ml/util/fixtures/hand-gestures.ndjson, see its README.
+// The fixture only has open palm, fist and thumbs-up, so other gestures use hands made by `makeHand`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { loadRecordings } from '../util/play-recording.js';
+import { RecordingPlayer } from '../util/recording-player.js';
+import { GestureRecogniser } from './gestures.js';
+import * as Hands from './hands.js';
+
+const fixture = fileURLToPath(new URL(`../util/fixtures/hand-gestures.ndjson`, import.meta.url));
+
+/**
+ * Records start and end events of a recogniser, as eg. `start open-palm`
+ * @param {GestureRecogniser} gestures
+ */
+const listen = (gestures) => {
+  /** @type string[] */
+  const events = [];
+  for (const type of [ `start`, `end` ]) {
+    gestures.addEventListener(type, event => {
+      const { gesture, id } = /** @type CustomEvent */(event).detail;
+      assert.equal(id, `0`);
+      events.push(`${type} ${gesture}`);
+    });
+  }
+  return events;
+};
+
+/**
+ * Plays the fixture through a recogniser, forgetting the hand when it's not seen.
+ * Returns the frames with a hand
+ * @param {GestureRecogniser} gestures
+ * @param {number} [count] Number of samples to play
+ */
+const play = async (gestures, count = Number.POSITIVE_INFINITY) => {
+  const [ recording ] = await loadRecordings(fixture);
+  const player = new RecordingPlayer(recording);
+  /** @type Hands.Hand[] */
+  const hands = [];
+  for (const { index, data } of player.frames()) {
+    if (index >= count) break;
+    const now = index * recording.rateMs;
+    if (data.landmarks.length === 0) {
+      gestures.forget(`0`, now);
+      continue;
+    }
+    const hand = Hands.getHand(0, data);
+    hands.push(hand);
+    gestures.update(hand, `0`, now);
+  }
+  return hands;
+};
+
+/**
+ * Makes a hand facing the camera, with its wrist at `x`,`y`.
+ * Fingers in `extended` point straight up, the others are curled into the palm.
+ * With `pinch`, the thumb sticks out and the index finger bends to touch it.
+ * @param {{ extended?:string[], pinch?:boolean, x?:number, y?:number }} [options]
+ * @returns {Hands.Hand}
+ */
+const makeHand = ({ extended = [], pinch = false, x = 0.5, y = 0.8 } = {}) => {
+  const thumb = extended.includes(`thumb`) || pinch ?
+    [ [ -0.08, -0.05 ], [ -0.14, -0.1 ], [ -0.2, -0.15 ], [ -0.26, -0.2 ] ] :
+    [ [ -0.08, -0.05 ], [ -0.12, -0.12 ], [ -0.06, -0.16 ], [ 0, -0.14 ] ];
+  const points = [ [ 0, 0 ], ...thumb ];
+  for (const [ index, finger ] of [ `index`, `middle`, `ring`, `pinky` ].entries()) {
+    const dx = index * 0.05 - 0.05;
+    if (finger === `index` && pinch) {
+      points.push([ dx, -0.2 ], [ -0.08, -0.27 ], [ -0.16, -0.3 ], [ -0.25, -0.22 ]);
+    } else if (extended.includes(finger)) {
+      points.push([ dx, -0.2 ], [ dx, -0.25 ], [ dx, -0.3 ], [ dx, -0.35 ]);
+    } else {
+      points.push([ dx, -0.2 ], [ dx, -0.25 ], [ dx, -0.2 ], [ dx, -0.15 ]);
+    }
+  }
+  const landmarks = points.map(([ px, py ]) => ({ x: x + px, y: y + py, z: 0, visibility: 1 }));
+  return { landmarks, worldLandmarks: [], handedness: [] };
+};
+
+test(`recognises built-in gestures in a recording`, async () => {
+  const gestures = new GestureRecogniser({ gestures: [ `fist`, `open-palm`, `thumbs-up` ] });
+  const events = listen(gestures);
+  await play(gestures);
+  // Changing from open palm to fist happens in one frame, where fist is checked first
+  assert.deepEqual(events, [
+    `start open-palm`,
+    `start fist`,
+    `end open-palm`,
+    `end fist`,
+    `start open-palm`,
+    `end open-palm`,
+    `start thumbs-up`,
+    `end thumbs-up`
+  ]);
+  assert.deepEqual(gestures.getActive(), []);
+});
+
+test(`removing a user-defined gesture ends it`, async () => {
+  const gestures = new GestureRecogniser({ gestures: [ `flat` ] });
+  // Learn the open palm at the start as 'flat'
+  const [ recording ] = await loadRecordings(fixture);
+  for (const sample of recording.samples.slice(0, 4)) {
+    gestures.addExample(`flat`, Hands.getHand(0, sample));
+  }
+  const events = listen(gestures);
+  /** @type number[] */
+  const durations = [];
+  gestures.addEventListener(`end`, event => durations.push(/** @type CustomEvent */(event).detail.durationMs));
+
+  await play(gestures, 4);
+  assert.deepEqual(gestures.getActive(), [ `flat` ]);
+  assert.ok(`flat` in gestures.getConfidences());
+
+  gestures.removeGesture(`flat`, 200);
+  assert.deepEqual(events, [ `start flat`, `end flat` ]);
+  assert.deepEqual(durations, [ 200 ]);
+  assert.deepEqual(gestures.getActive(), []);
+  assert.equal(`flat` in gestures.getConfidences(), false);
+
+  // Making the gesture again doesn't do anything
+  await play(gestures, 4);
+  assert.deepEqual(events, [ `start flat`, `end flat` ]);
+});
+
+test(`recognises pinch and point`, () => {
+  const gestures = new GestureRecogniser({ gestures: [ `pinch`, `point` ] });
+  const events = listen(gestures);
+  const pointing = makeHand({ extended: [ `index` ] });
+  const pinching = makeHand({ extended: [ `middle`, `ring`, `pinky` ], pinch: true });
+  gestures.update(pointing, `0`, 0);
+  gestures.update(pointing, `0`, 30);
+  assert.deepEqual(gestures.getActive(), [ `point` ]);
+  gestures.update(pinching, `0`, 60);
+  assert.deepEqual(gestures.getActive(), [ `pinch` ]);
+  gestures.update(makeHand(), `0`, 90);
+  assert.deepEqual(events, [ `start point`, `start pinch`, `end point`, `end pinch` ]);
+});
+
+test(`recognises swipes`, () => {
+  const gestures = new GestureRecogniser({ gestures: [ `swipe-left`, `swipe-right`, `swipe-up`, `swipe-down` ] });
+  const events = listen(gestures);
+  /**
+   * Moves the hand from one position to another in steps, 30ms apart
+   * @param {number[]} from
+   * @param {number[]} to
+   * @param {number} start Timestamp to start at
+   */
+  const move = ([ x1, y1 ], [ x2, y2 ], start) => {
+    for (let step = 0; step <= 4; step++) {
+      const hand = makeHand({ extended: [ `thumb`, `index`, `middle`, `ring`, `pinky` ], x: x1 + (x2 - x1) * step / 4, y: y1 + (y2 - y1) * step / 4 });
+      gestures.update(hand, `0`, start + step * 30);
+    }
+  };
+  move([ 0.3, 0.7 ], [ 0.7, 0.7 ], 0);
+  move([ 0.7, 0.7 ], [ 0.3, 0.7 ], 1000);
+  move([ 0.5, 0.8 ], [ 0.5, 0.4 ], 2000);
+  move([ 0.5, 0.4 ], [ 0.5, 0.8 ], 3000);
+  assert.deepEqual(events, [
+    `start swipe-right`,
+    `end swipe-right`,
+    `start swipe-left`,
+    `end swipe-left`,
+    `start swipe-up`,
+    `end swipe-up`,
+    `start swipe-down`,
+    `end swipe-down`
+  ]);
+
+  // Left and right swap when the camera image is mirrored
+  const mirrored = new GestureRecogniser({ gestures: [ `swipe-left` ], mirrored: true });
+  const mirroredEvents = listen(mirrored);
+  for (let step = 0; step <= 4; step++) {
+    mirrored.update(makeHand({ x: 0.3 + step * 0.1 }), `0`, step * 30);
+  }
+  assert.deepEqual(mirroredEvents, [ `start swipe-left`, `end swipe-left` ]);
+});
+
+test(`built-in gestures can't be given examples`, () => {
+  const gestures = new GestureRecogniser();
+  assert.throws(() => gestures.addExample(`pinch`, makeHand()), /built-in/);
+  assert.throws(() => gestures.loadExamples({ rock: [ [ 0 ] ], 'swipe-up': [ [ 0 ] ] }), /built-in/);
+  // Nothing is loaded if any gesture is invalid
+  assert.deepEqual(gestures.toJSON(), {});
+  gestures.loadExamples({ rock: [ [ 0 ] ] });
+  assert.deepEqual(gestures.toJSON(), { rock: [ [ 0 ] ] });
+});
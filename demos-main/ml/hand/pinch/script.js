@@ -4,7 +4,7 @@ import { Points } from '@ixfx/geometry.js';
 import * as Dom from '@ixfx/dom.js';
 import * as Numbers from "@ixfx/numbers.js";
 import * as MpVision from '../../lib/client/index.js';
-import * as Hands from '../hands.js';
+import { HandsTracker } from '../util/HandsTracker.js';
 
 const settings = Object.freeze({
   // How quickly to call update()
@@ -17,6 +17,8 @@ const settings = Object.freeze({
   pinchInterpolator: Numbers.interpolate(0.1),
 
   remote: new Remote(),
+  // Keeps track of hands, so we follow the same one
+  hands: new HandsTracker(),
   dataDisplay: new Dom.DataDisplay({ numbers: { leftPadding: 5, precision: 2 } }),
   thingEl: /** @type HTMLElement */(document.querySelector(`#thing`))
 });
@@ -68,19 +70,23 @@ function use() {
 }
 
 /**
- * Called with data from MediaPipe
- * @param {MpVision.HandLandmarkerResult} hands 
+ * Called after the hands tracker has new data
+ * @param {Array<string|undefined>} guids Ids of hands in the data
  */
-const updateFromHands = (hands) => {
-  const { pinchScale } = settings;
-  if (!hands || hands.landmarks.length === 0) {
+const updateFromHands = (guids) => {
+  const { pinchScale, hands } = settings;
+
+  // Of the hands in this data, use the one that has been tracked
+  // the longest, so we don't jump between hands when there are several
+  const hand = [ ...hands.get() ].find(h => guids.includes(h.guid));
+  if (!hand) {
     // No data, reset to 0
     saveState({ pinchRaw: 0 });
     return;
   }
 
-  // Get landmarks for first hand
-  const lm = hands.landmarks[0];
+  // Get landmarks for hand
+  const lm = hand.landmarks;
 
   // Thumb
   const thumb = lm[4];
@@ -124,7 +130,7 @@ setup();
  * @param {*} packet 
  */
 function onReceivedPoses(packet) {
-  const { data } = packet;
+  const { _from, data } = packet;
   const handsData = /** @type MpVision.HandLandmarkerResult */(JSON.parse(data));
 
   if (Array.isArray(handsData)) {
@@ -137,7 +143,7 @@ function onReceivedPoses(packet) {
     return;
   }
 
-  updateFromHands(handsData);
+  updateFromHands(settings.hands.seen(_from, handsData));
 }
 
 /**
@@ -1,4 +1,5 @@
 export * from '../../lib/client/index.js';
+export * from './HandsTracker.js';
 
 /**
  * @typedef {{
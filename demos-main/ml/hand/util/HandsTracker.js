@@ -0,0 +1,156 @@
+import { Points } from '@ixfx/geometry.js';
+import { LandmarksTracker, MultiTracker } from '../../util/tracking.js';
+import { PalmTriangleIndexes } from '../hands.js';
+
+/**
+ * @typedef {import('../../lib/index.js').HandLandmarkerResult} HandLandmarkerResult
+ * @typedef {import('../hands.js').Hand} Hand
+ * @typedef {import('../../util/tracking.js').MultiTrackerOptions & {
+ *  minHandednessScore: number
+ * }} HandsTrackerOptions
+ */
+
+/**
+ * Names of hand landmarks, in index order
+ */
+export const HandLandmarkNames = Object.freeze([ `wrist`, `thumb_cmc`, `thumb_mcp`, `thumb_ip`, `thumb_tip`, `index_finger_mcp`, `index_finger_pip`, `index_finger_dip`, `index_finger_tip`, `middle_finger_mcp`, `middle_finger_pip`, `middle_finger_dip`, `middle_finger_tip`, `ring_finger_mcp`, `ring_finger_pip`, `ring_finger_dip`, `ring_finger_tip`, `pinky_mcp`, `pinky_pip`, `pinky_dip`, `pinky_tip` ]);
+
+/**
+ * Keeps track of a single hand, with a
+ * [PointTracker](https://api.ixfx.fun/classes/Trackers.PointTracker) for each landmark.
+ *
+ * ```js
+ * const tip = hand.landmark(`index_finger_tip`); // PointTracker
+ * hand.handedness; // `Left`, `Right` or undefined
+ * ```
+ * @extends {LandmarksTracker<Hand>}
+ */
+export class HandTracker extends LandmarksTracker {
+  /**
+   * @param {string} fromId Sender id
+   * @param {string} handId Id of hand, unique for this sender
+   * @param {Partial<import('../../util/tracking.js').LandmarksTrackerOptions>} [options]
+   */
+  constructor(fromId, handId, options) {
+    super(fromId, handId, HandLandmarkNames, options);
+  }
+
+  /**
+   * Update with new data
+   * @param {Hand} hand
+   */
+  async seen(hand) {
+    await this.seenLandmarks(hand, hand.landmarks);
+  }
+
+  /**
+   * Returns the most likely handedness, `Left` or `Right`,
+   * or _undefined_ if there's no data
+   * @returns {string|undefined}
+   */
+  get handedness() {
+    return this.last?.handedness[0]?.categoryName;
+  }
+
+  /**
+   * Returns the confidence (0..1) of the handedness
+   */
+  get handednessScore() {
+    return this.last?.handedness[0]?.score ?? 0;
+  }
+
+  /**
+   * Returns the last world landmarks
+   */
+  get worldLandmarks() {
+    return this.last?.worldLandmarks ?? [];
+  }
+}
+
+/**
+ * Tracks several hands, giving each a persistent id.
+ *
+ * Hands are matched by where they are predicted to be, and won't be
+ * matched with a hand of the other handedness.
+ *
+ * ```js
+ * const hands = new HandsTracker();
+ * remote.onData = (packet) => {
+ *  hands.seen(packet._from, JSON.parse(packet.data));
+ * }
+ *
+ * for (const hand of hands.get()) {
+ *  hand.guid; // Stays the same while the hand is tracked
+ * }
+ * ```
+ *
+ * Events:
+ * - added: A new hand. Detail: HandTracker
+ * - expired: Hand hasn't been seen for `maxAgeMs` and is removed. Detail: HandTracker
+ * - hand-lost: Hand hasn't been seen for a moment, but might reappear. Detail: HandTracker
+ * - hand-reacquired: A lost hand has reappeared. Detail: HandTracker
+ * @extends {MultiTracker<HandTracker>}
+ */
+export class HandsTracker extends MultiTracker {
+  /** @type number */
+  minHandednessScore;
+
+  /**
+   * Defaults:
+   * * maxAgeMs: 10000 - remove hands not seen for this long
+   * * minHandednessScore: 0.8 - handedness is only used for matching if it's at least this certain
+   * * maxDistance, reacquireDistance: see IdMatcher
+   * * lostAfterMs, reacquireWindowMs: see IdMatcher, but capped so ids are lost and reacquired before they expire
+   * @param {Partial<HandsTrackerOptions>} [options]
+   */
+  constructor(options = {}) {
+    super(`hand`, options);
+    this.minHandednessScore = options.minHandednessScore ?? 0.8;
+  }
+
+  /**
+   * @param {string} from
+   * @param {string} id
+   */
+  createTracker(from, id) {
+    return new HandTracker(from, id, this.options);
+  }
+
+  /**
+   * Track hands from a sender.
+   * Returns the guid of each hand, in the same order as `result`
+   * @param {string} from Sender id
+   * @param {HandLandmarkerResult} result
+   */
+  seen(from, result) {
+    if (result === undefined) throw new Error(`Param 'result' is undefined`);
+    const items = result.landmarks.map((landmarks, index) => {
+      /** @type Hand */
+      const hand = {
+        landmarks,
+        worldLandmarks: result.worldLandmarks[index] ?? [],
+        handedness: result.handedness[index] ?? []
+      };
+      const category = hand.handedness[0];
+      const palm = PalmTriangleIndexes.map(i => landmarks[i]).filter(p => p !== undefined);
+      return {
+        observation: {
+          centroid: palm.length === 0 ? undefined : Points.centroid(...palm),
+          key: category && category.score >= this.minHandednessScore ? category.categoryName : undefined
+        },
+        update: (/** @type HandTracker */ tracker) => tracker.seen(hand)
+      };
+    });
+    return this.track(from, items);
+  }
+
+  /**
+   * Enumerates hands of a given handedness
+   * @param {`left`|`right`} which
+   */
+  * getByHandedness(which) {
+    for (const hand of this.get()) {
+      if (hand.handedness?.toLowerCase() === which) yield hand;
+    }
+  }
+}
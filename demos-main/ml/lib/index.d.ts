@@ -8,8 +8,23 @@ import { Options as Options$1 } from '@clinth/remote';
 import { Point } from 'ixfx/geometry.js';
 
 type ProcessorModes = `pose` | `objects` | `hand` | `face`;
+/**
+ * A model registered with `registerModel`, run by Processing when its mode is chosen
+ */
+type CustomModel = {
+    create: (options: CommonModelOptions) => IModel;
+    /**
+     * Draws results on the overlay, which is cleared beforehand
+     */
+    draw?: (ctx: CanvasRenderingContext2D, data: any, size: {
+        width: number;
+        height: number;
+    }) => void;
+};
 declare const getProcessorModes: () => string[];
-declare const validateProcessorMode: (a: any, fallback?: ProcessorModes) => ProcessorModes;
+declare const registerModel: (mode: string, model: CustomModel) => void;
+declare const unregisterModel: (mode: string) => boolean;
+declare const validateProcessorMode: (a: any, fallback?: ProcessorModes | string) => ProcessorModes | string;
 
 type NormalizedLandmark = {
     /** The x coordinates of the normalized landmark. */
@@ -180,7 +195,7 @@ type OverlayOptions = {
 type Options = {
     camera: CameraOptions;
     hideModelSelector?: boolean;
-    mode: ProcessorModes;
+    mode: ProcessorModes | string;
     overlay: OverlayOptions;
     pose?: PoseDetectorOptions;
     objects?: ObjectDetectorOptions;
@@ -196,7 +211,7 @@ type Options = {
     modelsBase: string;
 };
 type ComputeCallback = (result: unknown) => void;
-type OnDispatcherData = (mode: ProcessorModes, v: unknown) => void;
+type OnDispatcherData = (mode: ProcessorModes | string, v: unknown) => void;
 interface IModel {
     compute(v: ImageSource, callback: ComputeCallback, timestamp: number): void;
     dispose(): void;
@@ -212,7 +227,7 @@ declare class Dispatcher extends EventTarget {
     #private;
     onData: OnDispatcherData | undefined;
     constructor(options: Options);
-    receivedData(mode: ProcessorModes, data: any): void;
+    receivedData(mode: ProcessorModes | string, data: any): void;
 }
 
 declare class Log {
@@ -348,7 +363,7 @@ declare class OverlayElement extends LitElement {
     labelPoints: boolean;
     render(): lit_html.TemplateResult<1>;
     setSize(width: number, height: number): void;
-    draw(mode: ProcessorModes, data?: any): void;
+    draw(mode: ProcessorModes | string, data?: any): void;
     drawFaces(wrap: Wrapper, d: Detection$1[]): void;
     drawHands(wrap: Wrapper, results: HandLandmarkerResult$1): void;
     drawHand(wrap: Wrapper, p: NormalizedLandmark$1[], colour: string): void;
@@ -478,7 +493,7 @@ declare class VisionElement extends LitElement {
     onVideoSized(): void;
     resizeElements(): void;
     onSourceChange(event: CustomEvent): void;
-    onReceivedData(mode: ProcessorModes, data: any): void;
+    onReceivedData(mode: ProcessorModes | string, data: any): void;
     getVideoSource(): VideoSourceElement | undefined;
     getVideoElement(): HTMLVideoElement | undefined;
     static styles: lit.CSSResult;
@@ -553,17 +568,17 @@ declare class Processing extends EventTarget {
     faceDetectorOptions: FaceDetectorOptions;
     handDetectorOptions: HandDetectorOptions;
     computeFreqMs: number;
-    dispatcherBound: (mode: ProcessorModes, data: any) => void;
+    dispatcherBound: (mode: ProcessorModes | string, data: any) => void;
     wasmBase: string;
     modelsBase: string;
     constructor(mlv: MlVision, opts: Options);
     stop(): void;
-    setMode(mode: ProcessorModes): void;
+    setMode(mode: ProcessorModes | string): void;
     getModelOptions(): CommonModelOptions;
     start(video: HTMLVideoElement): Promise<void>;
     setState(state: ProcessingStates): void;
     get isStarted(): boolean;
-    get currentMode(): ProcessorModes;
+    get currentMode(): ProcessorModes | string;
 }
 
-export { type BoundingBox, type CameraOptions, type Category, Client, type CommonModelOptions, type ComputeCallback, type Detection, type FaceDetectorOptions, type HandDetectorOptions, type HandLandmarkerResult, type IModel, type ISource, type Landmark, MlVision, ModelElement, type NormalizedKeypoint, type NormalizedLandmark, type ObjectDetectorOptions, type OnDispatcherData, type OnReceivedData, type Options, OverlayElement, type OverlayOptions, type PoseData, PoseDetector, type PoseDetectorOptions, PoseMatcher, type PoseMatcherOptions, Processing, type ProcessingStates, type ProcessorModes, RecPanel, type RecordingData, type SourceData, type SourceKinds, type Verbosity, VideoSourceElement, type VideoSourceStates, VisionElement, defaults, getLowest, getProcessorModes, validateProcessorMode };
+export { type BoundingBox, type CameraOptions, type Category, Client, type CommonModelOptions, type ComputeCallback, type CustomModel, type Detection, type FaceDetectorOptions, type HandDetectorOptions, type HandLandmarkerResult, type IModel, type ISource, type Landmark, MlVision, ModelElement, type NormalizedKeypoint, type NormalizedLandmark, type ObjectDetectorOptions, type OnDispatcherData, type OnReceivedData, type Options, OverlayElement, type OverlayOptions, type PoseData, PoseDetector, type PoseDetectorOptions, PoseMatcher, type PoseMatcherOptions, Processing, type ProcessingStates, type ProcessorModes, RecPanel, type RecordingData, type SourceData, type SourceKinds, type Verbosity, VideoSourceElement, type VideoSourceStates, VisionElement, defaults, getLowest, getProcessorModes, registerModel, unregisterModel, validateProcessorMode };
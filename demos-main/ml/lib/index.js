@@ -29136,6 +29136,11 @@ var OverlayElement = class extends h3 {
         this.drawFaces(wrap5, data.detections);
         break;
       }
+      default: {
+        const custom = getCustomModel(mode);
+        const ctx = el.getContext(`2d`);
+        if (custom?.draw && ctx) custom.draw(ctx, data, el);
+      }
     }
   }
   drawFaces(wrap5, d4) {
@@ -29872,13 +29877,24 @@ VideoSourceElement = __decorateClass([
 ], VideoSourceElement);
 
 // src/processor-modes.ts
-var getProcessorModes = () => [`pose`, `objects`, `hand`, `face`];
+var builtInModes = [`pose`, `objects`, `hand`, `face`];
+var customModels = /* @__PURE__ */ new Map();
+var getProcessorModes = () => [...builtInModes, ...customModels.keys()];
+var registerModel = (mode, model) => {
+  if (builtInModes.includes(mode)) throw new Error(`Mode '${mode}' is built-in`);
+  if (customModels.has(mode)) throw new Error(`Mode '${mode}' is already registered`);
+  if (typeof model.create !== `function`) throw new Error(`Param 'model.create' should be a function`);
+  customModels.set(mode, model);
+};
+var unregisterModel = (mode) => customModels.delete(mode);
+var getCustomModel = (mode) => customModels.get(mode);
 var validateProcessorMode = (a4, fallback) => {
   if (typeof a4 === `string`) {
     if (a4 === `pose`) return `pose`;
     if (a4 === `hand`) return `hand`;
     if (a4 === `face`) return `face`;
     if (a4 === `objects`) return `objects`;
+    if (customModels.has(a4)) return a4;
   }
   if (fallback) return fallback;
   throw new Error(`Invalid mode: ${a4}. Expected: ${getProcessorModes().join(`,`)}`);
@@ -30258,7 +30274,11 @@ var Processing = class extends EventTarget {
         break;
       }
       default: {
-        throw new Error(`Unsupported mode '${this.#currentMode}'. Expected: 'hand', 'pose', 'objects' or 'face'`);
+        const custom = getCustomModel(this.#currentMode);
+        if (!custom) throw new Error(`Unsupported mode '${this.#currentMode}'. Expected: ${getProcessorModes().join(`, `)}`);
+        this.log.info(`Custom model: ${this.#currentMode}`);
+        this.#model = custom.create(this.getModelOptions());
+        break;
       }
     }
     if (this.#model) {
@@ -32283,6 +32303,8 @@ export {
   defaults2 as defaults,
   getLowest,
   getProcessorModes,
+  registerModel,
+  unregisterModel,
   validateProcessorMode
 };
 /*! Bundled license information:
@@ -0,0 +1,399 @@
+import { Poses } from '../../lib/client/index.js';
+import { scalarFilter } from '../../util/smoothing.js';
+
+/**
+ * Anatomy-level measurements of a pose: joint angles, torso lean,
+ * head direction, arm span and whether someone is standing, sitting or crouching.
+ *
+ * Measurements return _undefined_ if the landmarks they need aren't visible.
+ *
+ * ```js
+ * jointAngle(pose, `left_elbow`); // radians, 2D
+ * jointAngle(pose, `left_elbow`, { aspectRatio: 16 / 9 }); // radians, 2D from a 16:9 camera
+ * jointAngle(pose, `left_elbow`, { world: true }); // radians, 3D
+ * classifyStance(pose); // `stand`, `sit`, `crouch` or `unknown`
+ * ```
+ *
+ * `BodyMetricsTracker` keeps track of these over time, with their rate of change.
+ */
+
+/**
+ * @typedef {import('../../lib/index.js').PoseData} PoseData
+ * @typedef {keyof typeof Joints} JointName
+ * @typedef {`stand`|`sit`|`crouch`|`unknown`} Stance
+ * @typedef {{ x:number, y:number, z?:number }} Point
+ */
+
+/**
+ * @typedef {{
+ *  world: boolean
+ *  minVisibility: number
+ *  aspectRatio: number
+ * }} MetricOptions
+ */
+
+/**
+ * @typedef {MetricOptions & {
+ *  smoothing: Partial<import('../../util/smoothing.js').SmoothingOptions>
+ * }} BodyMetricsTrackerOptions
+ */
+
+/**
+ * Joints that can be measured, as the landmarks either side of the joint and the joint itself
+ */
+export const Joints = Object.freeze({
+  left_elbow: [ `left_shoulder`, `left_elbow`, `left_wrist` ],
+  right_elbow: [ `right_shoulder`, `right_elbow`, `right_wrist` ],
+  left_shoulder: [ `left_elbow`, `left_shoulder`, `left_hip` ],
+  right_shoulder: [ `right_elbow`, `right_shoulder`, `right_hip` ],
+  left_hip: [ `left_shoulder`, `left_hip`, `left_knee` ],
+  right_hip: [ `right_shoulder`, `right_hip`, `right_knee` ],
+  left_knee: [ `left_hip`, `left_knee`, `left_ankle` ],
+  right_knee: [ `right_hip`, `right_knee`, `right_ankle` ]
+});
+
+/**
+ * @type MetricOptions
+ */
+const defaults = Object.freeze({
+  world: false,
+  minVisibility: 0.5,
+  aspectRatio: 1
+});
+
+/**
+ * Returns named landmarks of a pose, or _undefined_ if any aren't visible.
+ * World landmarks lack visibility, so that of the normalised landmarks is used.
+ * Normalised x is scaled by `aspectRatio`, so x and y have the same units.
+ * @param {PoseData} pose
+ * @param {string[]} names
+ * @param {Partial<MetricOptions>} options
+ * @returns {Point[]|undefined}
+ */
+const getPoints = (pose, names, options) => {
+  const { world, minVisibility, aspectRatio } = { ...defaults, ...options };
+  // Poses.getLandmark can't find landmark 0 (nose) by name, so look up indexes here
+  const indexes = names.map(name => Poses.getLandmarkIndexByName(name) ?? -1);
+  const normalised = indexes.map(index => pose.landmarks[index]);
+  if (normalised.some(p => p === undefined || (p.visibility ?? 1) < minVisibility)) return;
+  if (!world) {
+    // Normalised z is too noisy to use
+    return normalised.map(p => ({ x: (p?.x ?? 0) * aspectRatio, y: p?.y ?? 0 }));
+  }
+  const points = indexes.map(index => pose.world?.[index]);
+  if (points.some(p => p === undefined)) return;
+  return /** @type Point[] */(points);
+};
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ */
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, (a.z ?? 0) - (b.z ?? 0));
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {Point}
+ */
+const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z ?? 0) + (b.z ?? 0)) / 2 });
+
+/**
+ * Clamps to -1..1 and returns arc sine
+ * @param {number} v
+ */
+const asinClamped = (v) => Math.asin(Math.max(-1, Math.min(1, v)));
+
+/**
+ * Returns the angle at `vertex` between the lines to `a` and `b`, in radians (0..π)
+ * @param {Point} a
+ * @param {Point} vertex
+ * @param {Point} b
+ */
+export const angleAt = (a, vertex, b) => {
+  const u = [ a.x - vertex.x, a.y - vertex.y, (a.z ?? 0) - (vertex.z ?? 0) ];
+  const v = [ b.x - vertex.x, b.y - vertex.y, (b.z ?? 0) - (vertex.z ?? 0) ];
+  const lengths = Math.hypot(...u) * Math.hypot(...v);
+  if (lengths === 0) return 0;
+  const dot = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+  return Math.acos(Math.max(-1, Math.min(1, dot / lengths)));
+};
+
+/**
+ * Returns the angle of a joint in radians: π when straight, smaller as it bends.
+ * Shoulder angle is between upper arm and torso, so 0 when arm is by the side.
+ *
+ * Measured in 2D from normalised landmarks, or in 3D from world landmarks with `world: true`.
+ * Normalised x and y are relative to the width and height of the camera frame, so for 2D angles to be right,
+ * give `aspectRatio` (width / height, eg. `video.videoWidth / video.videoHeight`) if the frame isn't square.
+ * @param {PoseData} pose
+ * @param {JointName} joint
+ * @param {Partial<MetricOptions>} [options]
+ * @returns {number|undefined}
+ */
+export const jointAngle = (pose, joint, options = {}) => {
+  const points = getPoints(pose, [ ...Joints[joint] ], options);
+  if (!points) return;
+  const [ a, vertex, b ] = points;
+  return angleAt(a, vertex, b);
+};
+
+/**
+ * Returns the angle of all joints, see `jointAngle`
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ * @returns {Partial<Record<JointName,number>>}
+ */
+export const jointAngles = (pose, options = {}) => {
+  /** @type {Partial<Record<JointName,number>>} */
+  const angles = {};
+  for (const joint of /** @type JointName[] */(Object.keys(Joints))) {
+    const angle = jointAngle(pose, joint, options);
+    if (angle !== undefined) angles[joint] = angle;
+  }
+  return angles;
+};
+
+/**
+ * Returns how much the torso leans away from upright, in radians.
+ * `sideways` is positive when the shoulders are to the right of the hips (in the image).
+ * `forward` is positive when leaning towards the camera, and only available from world landmarks.
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ * @returns {{ sideways:number, forward?:number }|undefined}
+ */
+export const torsoLean = (pose, options = {}) => {
+  const points = getPoints(pose, [ `left_shoulder`, `right_shoulder`, `left_hip`, `right_hip` ], options);
+  if (!points) return;
+  const shoulders = middle(points[0], points[1]);
+  const hips = middle(points[2], points[3]);
+  // y increases downwards
+  const up = hips.y - shoulders.y;
+  const sideways = Math.atan2(shoulders.x - hips.x, up);
+  if (!options.world) return { sideways };
+  return { sideways, forward: Math.atan2((hips.z ?? 0) - (shoulders.z ?? 0), up) };
+};
+
+/**
+ * Estimates which way the head is facing, in radians, from the ears, eyes and nose.
+ * `yaw` is 0 facing the camera and positive turning towards the right of the image.
+ * `pitch` is 0 when level and positive looking up.
+ * These are rough estimates, measured in 2D.
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ * @returns {{ yaw:number, pitch:number }|undefined}
+ */
+export const headDirection = (pose, options = {}) => {
+  const points = getPoints(pose, [ `left_ear`, `right_ear`, `left_eye`, `right_eye`, `nose` ], { ...options, world: false });
+  if (!points) return;
+  const [ leftEar, rightEar, leftEye, rightEye, nose ] = points;
+  const ears = middle(leftEar, rightEar);
+  const eyes = middle(leftEye, rightEye);
+  // Nose and eyes are about half a head width in front of the ears
+  const depth = distance(leftEar, rightEar) / 2;
+  if (depth === 0) return;
+  return {
+    yaw: asinClamped((nose.x - ears.x) / depth),
+    pitch: asinClamped((ears.y - eyes.y) / depth)
+  };
+};
+
+/**
+ * Returns the distance between the wrists.
+ * Relative to the height of the frame (with `aspectRatio` set), or in metres with `world: true`.
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ */
+export const armSpan = (pose, options = {}) => {
+  const points = getPoints(pose, [ `left_wrist`, `right_wrist` ], options);
+  if (!points) return;
+  return distance(points[0], points[1]);
+};
+
+/**
+ * Returns how high the hips are above the ankles, relative to leg length.
+ * About 1 when standing, 0.5 when sitting and lower when crouching.
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ */
+export const hipHeight = (pose, options = {}) => {
+  const heights = [ `left`, `right` ].map(side => {
+    const points = getPoints(pose, [ `${side}_hip`, `${side}_knee`, `${side}_ankle` ], options);
+    if (!points) return;
+    const [ hip, knee, ankle ] = points;
+    const length = distance(hip, knee) + distance(knee, ankle);
+    return length === 0 ? undefined : (ankle.y - hip.y) / length;
+  }).filter(h => h !== undefined);
+  if (heights.length === 0) return;
+  return heights.reduce((sum, h) => sum + h, 0) / heights.length;
+};
+
+/**
+ * Classifies whether the body is standing, sitting or crouching,
+ * based on how high the hips are and how bent they are.
+ * Returns `unknown` if legs aren't visible.
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ * @returns {Stance}
+ */
+export const classifyStance = (pose, options = {}) => {
+  const height = hipHeight(pose, options);
+  if (height === undefined) return `unknown`;
+  if (height >= 0.8) return `stand`;
+  if (height <= 0.35) return `crouch`;
+  const hips = [ jointAngle(pose, `left_hip`, options), jointAngle(pose, `right_hip`, options) ].filter(a => a !== undefined);
+  if (hips.length === 0) return `unknown`;
+  // Sitting upright bends the hips, a half-squat mostly bends the knees
+  const hip = hips.reduce((sum, a) => sum + a, 0) / hips.length;
+  return hip < Math.PI * 0.75 ? `sit` : `crouch`;
+};
+
+/**
+ * Returns all metrics of a pose
+ * @param {PoseData} pose
+ * @param {Partial<MetricOptions>} [options]
+ * @returns {Record<string,number>}
+ */
+export const bodyMetrics = (pose, options = {}) => {
+  const lean = torsoLean(pose, options);
+  const head = headDirection(pose, options);
+  /** @type {Record<string,number|undefined>} */
+  const metrics = {
+    ...jointAngles(pose, options),
+    torso_lean_sideways: lean?.sideways,
+    torso_lean_forward: lean?.forward,
+    head_yaw: head?.yaw,
+    head_pitch: head?.pitch,
+    arm_span: armSpan(pose, options),
+    hip_height: hipHeight(pose, options)
+  };
+  return /** @type {Record<string,number>} */(Object.fromEntries(Object.entries(metrics).filter(([ , v ]) => v !== undefined)));
+};
+
+/**
+ * Keeps track of the metrics of a single pose, smoothing them
+ * and reporting their rate of change (units per second).
+ *
+ * ```js
+ * const metrics = new BodyMetricsTracker({ world: true });
+ * metrics.addEventListener(`stance`, event => console.log(event.detail.stance));
+ *
+ * metrics.update(pose);
+ * metrics.value(`left_knee`); // radians
+ * metrics.rate(`left_knee`); // radians per second
+ * // Metrics that couldn't be measured in the latest pose are undefined
+ * metrics.stance; // `stand`, `sit`, `crouch` or `unknown`
+ * ```
+ *
+ * Events:
+ * - stance: Stance has changed. Detail: { stance, previous, durationMs }
+ */
+export class BodyMetricsTracker extends EventTarget {
+  /** @type BodyMetricsTrackerOptions */
+  options;
+  /** @type Stance */
+  stance = `unknown`;
+  /**
+   * Filter for each metric, and when the metric was last measured
+   * @type {Map<string,{ filter: import('../../util/smoothing.js').ScalarFilter, measuredAt: number }>}
+   */
+  #filters = new Map();
+  /** @type {Map<string,number>} */
+  #values = new Map();
+  /** @type {number|undefined} */
+  #stanceSince;
+
+  /**
+   * Defaults:
+   * * world: false - measure from world landmarks
+   * * minVisibility: 0.5 - landmarks less visible than this aren't used
+   * * aspectRatio: 1 - width / height of the camera frame, for 2D measurements
+   * * smoothing: options for smoothing values, see ml/util/smoothing.js
+   * @param {Partial<BodyMetricsTrackerOptions>} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      ...defaults,
+      smoothing: {},
+      ...options
+    };
+  }
+
+  /**
+   * Update with a pose
+   * @param {PoseData} pose
+   * @param {number} [now] Timestamp of data
+   */
+  update(pose, now = performance.now()) {
+    const measured = bodyMetrics(pose, this.options);
+
+    // Forget metrics that weren't measured, so their values aren't stale
+    // and smoothing starts afresh when they are measured again
+    for (const name of this.#filters.keys()) {
+      if (name in measured) continue;
+      this.#filters.delete(name);
+      this.#values.delete(name);
+    }
+
+    for (const [ name, v ] of Object.entries(measured)) {
+      let metric = this.#filters.get(name);
+      if (!metric) {
+        metric = { filter: scalarFilter(this.options.smoothing), measuredAt: now };
+        this.#filters.set(name, metric);
+      }
+      const elapsedSec = (now - metric.measuredAt) / 1000;
+      metric.measuredAt = now;
+      this.#values.set(name, metric.filter.filter(v, elapsedSec));
+    }
+
+    const stance = classifyStance(pose, this.options);
+    if (stance !== this.stance) {
+      const previous = this.stance;
+      const durationMs = this.#stanceSince === undefined ? 0 : now - this.#stanceSince;
+      this.stance = stance;
+      this.#stanceSince = now;
+      this.dispatchEvent(new CustomEvent(`stance`, { detail: { stance, previous, durationMs } }));
+    }
+  }
+
+  /**
+   * Returns the smoothed value of a metric, or _undefined_ if it wasn't measured in the latest pose
+   * @param {string} name Joint name (eg `left_knee`) or metric (eg `head_yaw`)
+   */
+  value(name) {
+    return this.#values.get(name);
+  }
+
+  /**
+   * Returns the rate of change of a metric per second, or _undefined_ if it wasn't measured in the latest pose
+   * @param {string} name
+   */
+  rate(name) {
+    return this.#filters.get(name)?.filter.velocity;
+  }
+
+  /**
+   * Returns all smoothed values
+   */
+  get values() {
+    return Object.fromEntries(this.#values);
+  }
+
+  /**
+   * Returns the rate of change of all metrics
+   */
+  get rates() {
+    return Object.fromEntries([ ...this.#filters ].map(([ name, metric ]) => [ name, metric.filter.velocity ]));
+  }
+
+  /**
+   * Start again, forgetting previous values
+   */
+  reset() {
+    this.#filters.clear();
+    this.#values.clear();
+    this.#stanceSince = undefined;
+    this.stance = `unknown`;
+  }
+}
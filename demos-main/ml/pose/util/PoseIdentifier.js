@@ -0,0 +1,255 @@
+/**
+ * Gives poses ids that stay the same across frames, even when bodies cross
+ * paths or briefly leave the frame.
+ *
+ * The sender's matcher only looks at how far a body has moved, so ids can swap
+ * when people cross, or reset when someone steps out. Here, poses are matched by:
+ * - where the body is predicted to be, based on its recent movement
+ * - body proportions: shoulder & hip width, limb and torso lengths
+ *
+ * A lost pose is kept for `reacquireWindowMs`, and given its old id back if a
+ * body with the same proportions appears again.
+ *
+ * Events:
+ * - lost: A pose hasn't been seen for `lostAfterMs`. Detail: { from, id }
+ * - reacquired: A lost pose was seen again. Detail: { from, id, lostMs }
+ *
+ * Ids given out are prefixed with `t`, eg `t1`, so they can't be confused with
+ * the sender's ids. Poses that can't be identified (no torso landmarks) keep the sender's id.
+ *
+ * PosesConsumer uses this if its `identity` option is set.
+ */
+import { Identities, smoothing } from '../../util/identities.js';
+
+/**
+ * @typedef {import('../../lib/index.js').PoseData} PoseData
+ * @typedef {{ x: number, y: number }} Point
+ */
+
+/**
+ * @typedef {import('../../util/identities.js').IdentitiesOptions & {
+ *  maxProportionDifference: number
+ *  proportionWeight: number
+ *  minVisibility: number
+ * }} PoseIdentifierOptions
+ */
+
+/**
+ * @typedef {import('../../util/identities.js').TrackedIdentity & {
+ *  proportions: Proportions
+ * }} TrackedIdentity
+ */
+
+/**
+ * @typedef {{
+ *  pose: PoseData
+ *  centroid: Point|undefined
+ *  proportions: Proportions
+ * }} ObservedPose
+ */
+
+/**
+ * Segment lengths of a body, _undefined_ where landmarks weren't visible.
+ * `world` is true if measured from world landmarks (in metres),
+ * otherwise lengths are relative to the sum of all lengths.
+ * @typedef {{
+ *  world: boolean
+ *  lengths: Array<number|undefined>
+ * }} Proportions
+ */
+
+/**
+ * Pairs of landmark indexes measured for body proportions
+ */
+const segments = [
+  // Shoulder & hip width
+  [ 11, 12 ],
+  [ 23, 24 ],
+  // Torso
+  [ 11, 23 ],
+  [ 12, 24 ],
+  // Arms
+  [ 11, 13 ],
+  [ 13, 15 ],
+  [ 12, 14 ],
+  [ 14, 16 ],
+  // Legs
+  [ 23, 25 ],
+  [ 25, 27 ],
+  [ 24, 26 ],
+  [ 26, 28 ]
+];
+
+/**
+ * Shoulders and hips, used to locate a body
+ */
+const torso = [ 11, 12, 23, 24 ];
+
+/**
+ * @extends {Identities<ObservedPose,TrackedIdentity>}
+ */
+export class PoseIdentifier extends Identities {
+  /**
+   * Defaults:
+   * * maxDistance: 0.15 - how far (in normalised coordinates) a body can be from its predicted position
+   * * maxProportionDifference: 0.2 - how different proportions can be (0..1) to be the same body
+   * * proportionWeight: 1 - importance of proportions compared to position when matching
+   * * lostAfterMs: 500 - a pose not seen for this long is lost
+   * * reacquireWindowMs: 5000 - how long a lost pose can be reacquired
+   * * minVisibility: 0.5 - landmarks less visible than this aren't used for proportions
+   * @param {Partial<PoseIdentifierOptions>} [options]
+   */
+  constructor(options = {}) {
+    super({ idPrefix: `t`, ...options });
+    // Not declared as a field, as that would reset what the base class set
+    /** @type PoseIdentifierOptions */
+    this.options = {
+      ...this.options,
+      maxProportionDifference: 0.2,
+      proportionWeight: 1,
+      minVisibility: 0.5,
+      ...options
+    };
+  }
+
+  /**
+   * Returns a copy of poses from a sender, with `poseid` set to a stable id.
+   * Call with each frame of data, even if it has no poses.
+   * @param {string} from Sender id
+   * @param {PoseData[]} poses
+   * @param {number} [now] Timestamp of data
+   * @returns {PoseData[]}
+   */
+  identify(from, poses, now = performance.now()) {
+    const observed = poses.map(pose => ({ pose, centroid: centroidOf(pose), proportions: this.#measure(pose) }));
+    const assigned = this.assign(from, observed, now);
+    return observed.map((o, index) => {
+      const t = assigned[index];
+      return t ? { ...o.pose, poseid: t.id } : o.pose;
+    });
+  }
+
+  /**
+   * Weighs distance from predicted position against difference in proportions
+   * @param {TrackedIdentity} t
+   * @param {ObservedPose} o
+   * @param {number} distance
+   */
+  cost(t, o, distance) {
+    const { maxDistance, maxProportionDifference, proportionWeight } = this.options;
+    const difference = compareProportions(t.proportions, o.proportions) ?? 0;
+    if (difference > maxProportionDifference) return;
+    return distance / maxDistance + proportionWeight * difference / maxProportionDifference;
+  }
+
+  /**
+   * Lost poses are reacquired by the body with the closest proportions
+   * @param {TrackedIdentity} t
+   * @param {ObservedPose} o
+   */
+  reacquireCost(t, o) {
+    const difference = compareProportions(t.proportions, o.proportions);
+    if (difference !== undefined && difference <= this.options.maxProportionDifference) return difference;
+  }
+
+  /**
+   * Blends in the newly measured proportions
+   * @param {TrackedIdentity} t
+   * @param {ObservedPose} o
+   */
+  updated(t, o) {
+    const { proportions } = o;
+    if (t.proportions.world === proportions.world) {
+      t.proportions = {
+        world: proportions.world,
+        lengths: t.proportions.lengths.map((l, index) => blend(l, proportions.lengths[index]))
+      };
+    } else if (proportions.world) {
+      t.proportions = proportions;
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} from
+   * @param {ObservedPose} o
+   * @param {Point} centroid
+   * @param {number} now
+   * @returns {TrackedIdentity}
+   */
+  create(id, from, o, centroid, now) {
+    return { ...super.create(id, from, o, centroid, now), proportions: o.proportions };
+  }
+
+  /**
+   * Measures body proportions, preferring world landmarks since they
+   * don't change with distance from the camera
+   * @param {PoseData} pose
+   * @returns {Proportions}
+   */
+  #measure(pose) {
+    const { minVisibility } = this.options;
+    const world = pose.world !== undefined && pose.world.length > 0;
+    const points = world ? pose.world : pose.landmarks;
+    const lengths = segments.map(([ a, b ]) => {
+      const pa = points[a];
+      const pb = points[b];
+      // World landmarks lack visibility, so use that of the normalised landmarks
+      if (!pa || !pb || (pose.landmarks[a]?.visibility ?? 1) < minVisibility || (pose.landmarks[b]?.visibility ?? 1) < minVisibility) return;
+      return Math.hypot(pa.x - pb.x, pa.y - pb.y, (pa.z ?? 0) - (pb.z ?? 0));
+    });
+    if (world) return { world, lengths };
+
+    // Normalised lengths depend on distance from camera, so compare ratios instead
+    let total = 0;
+    for (const l of lengths) total += l ?? 0;
+    return { world, lengths: lengths.map(l => (l === undefined || total === 0 ? undefined : l / total)) };
+  }
+}
+
+/**
+ * Returns the centre of the shoulders & hips
+ * @param {PoseData} pose
+ * @returns {Point|undefined}
+ */
+const centroidOf = (pose) => {
+  const points = torso.map(index => pose.landmarks[index]).filter(p => p !== undefined);
+  if (points.length === 0) return;
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+};
+
+/**
+ * Blends a new value into an existing value.
+ * @param {number|undefined} existing
+ * @param {number|undefined} value
+ */
+const blend = (existing, value) => {
+  if (value === undefined) return existing;
+  if (existing === undefined) return value;
+  return existing + (value - existing) * smoothing;
+};
+
+/**
+ * Returns the average relative difference (0..1) of segment lengths
+ * measured in both, or _undefined_ if they can't be compared.
+ * @param {Proportions} a
+ * @param {Proportions} b
+ * @returns {number|undefined}
+ */
+export const compareProportions = (a, b) => {
+  if (a.world !== b.world) return;
+  let total = 0;
+  let count = 0;
+  for (const [ index, la ] of a.lengths.entries()) {
+    const lb = b.lengths[index];
+    if (la === undefined || lb === undefined) continue;
+    const max = Math.max(la, lb);
+    if (max > 0) total += Math.abs(la - lb) / max;
+    count++;
+  }
+  if (count === 0) return;
+  return total / count;
+};
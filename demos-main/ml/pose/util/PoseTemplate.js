@@ -0,0 +1,301 @@
+import { Joints, jointAngle } from './BodyMetrics.js';
+
+/**
+ * Reference postures that live poses can be compared against, and
+ * a counter of repetitions between two of them.
+ *
+ * Poses are compared by the angles of their joints, so it doesn't matter
+ * where the body is in the frame or how big it is.
+ *
+ * ```js
+ * // Capture from a live pose
+ * const armsUp = PoseTemplate.fromPose(pose, { name: `arms-up`, joints: [ `left_shoulder`, `right_shoulder` ] });
+ *
+ * // ...or from a recording, averaging samples 10-20
+ * const squat = PoseTemplate.fromRecording(recording, { name: `squat`, start: 10, end: 20 });
+ *
+ * armsUp.score(pose); // 0..1
+ * ```
+ */
+
+/**
+ * @typedef {import('../../lib/index.js').PoseData} PoseData
+ * @typedef {import('../../lib/index.js').RecordingData} RecordingData
+ * @typedef {import('./BodyMetrics.js').JointName} JointName
+ */
+
+/**
+ * @typedef {{
+ *  name: string
+ *  joints: JointName[]
+ *  world: boolean
+ *  tolerance: number
+ *  minVisibility: number
+ *  minJointFraction: number
+ *  aspectRatio: number
+ * }} PoseTemplateOptions
+ */
+
+/**
+ * @typedef {{
+ *  name: string
+ *  world: boolean
+ *  tolerance: number
+ *  minVisibility: number
+ *  minJointFraction?: number
+ *  aspectRatio: number
+ *  angles: Partial<Record<JointName,number>>
+ * }} PoseTemplateData
+ */
+
+/**
+ * @typedef {{
+ *  threshold: number
+ * }} RepCounterOptions
+ */
+
+/**
+ * @param {PoseData} pose
+ */
+const hasWorld = (pose) => pose.world !== undefined && pose.world.length > 0;
+
+export class PoseTemplate {
+  /** @type string */
+  name;
+  /**
+   * Angle of each joint, in radians
+   * @type {Partial<Record<JointName,number>>}
+   */
+  angles;
+  /**
+   * _true_ if angles are measured in 3D from world landmarks, _false_ if in 2D
+   * @type boolean
+   */
+  world;
+  /** @type number */
+  tolerance;
+  /** @type number */
+  minVisibility;
+  /**
+   * Fraction (0..1) of the template's joints a pose needs measurable to be scored
+   * @type number
+   */
+  minJointFraction;
+  /** @type number */
+  aspectRatio;
+
+  /**
+   * Use `fromPose`, `fromRecording` or `fromJSON` rather than creating directly.
+   * @param {Partial<Record<JointName,number>>} angles
+   * @param {Partial<PoseTemplateOptions>} [options]
+   */
+  constructor(angles, options = {}) {
+    this.angles = angles;
+    this.name = options.name ?? `template`;
+    this.world = options.world ?? true;
+    this.tolerance = options.tolerance ?? Math.PI / 4;
+    this.minVisibility = options.minVisibility ?? 0.5;
+    this.minJointFraction = options.minJointFraction ?? 0.6;
+    this.aspectRatio = options.aspectRatio ?? 1;
+  }
+
+  /**
+   * Creates a template from a pose.
+   *
+   * Options:
+   * * name: name of template
+   * * joints: joints to compare, defaults to all of `Joints` in BodyMetrics.js
+   * * world: use world landmarks (3D) if the pose has them, default _true_
+   * * tolerance: how different (radians) an angle can be before it doesn't match at all. Default: π/4 (45°)
+   * * minVisibility: 0.5 - joints less visible than this are ignored
+   * * minJointFraction: 0.6 - fraction of the template's joints a pose needs visible to score above 0
+   * * aspectRatio: 1 - width / height of the camera frame, for 2D angles. See `jointAngle` in BodyMetrics.js
+   * @param {PoseData} pose
+   * @param {Partial<PoseTemplateOptions>} [options]
+   */
+  static fromPose(pose, options = {}) {
+    return PoseTemplate.fromPoses([ pose ], options);
+  }
+
+  /**
+   * Creates a template from the average of several poses of the same posture
+   * @param {PoseData[]} poses
+   * @param {Partial<PoseTemplateOptions>} [options]
+   */
+  static fromPoses(poses, options = {}) {
+    // 2D and 3D angles differ, so only use world landmarks if every pose has them
+    const world = (options.world ?? true) && poses.every(hasWorld);
+    const template = new PoseTemplate({}, { ...options, world });
+    const joints = options.joints ?? /** @type JointName[] */(Object.keys(Joints));
+    for (const joint of joints) {
+      const measured = poses.map(pose => template.measure(pose, joint)).filter(angle => angle !== undefined);
+      if (measured.length === 0) continue;
+      template.angles[joint] = measured.reduce((sum, angle) => sum + angle, 0) / measured.length;
+    }
+    if (Object.keys(template.angles).length === 0) throw new Error(`No joints could be measured for template '${template.name}'`);
+    return template;
+  }
+
+  /**
+   * Creates a template from samples of a pose recording.
+   * By default uses the first pose of every sample, otherwise the range `start` to `end` (exclusive).
+   * @param {RecordingData} recording
+   * @param {Partial<PoseTemplateOptions> & { start?:number, end?:number, poseIndex?:number }} [options]
+   */
+  static fromRecording(recording, options = {}) {
+    const { start = 0, end = recording.samples.length, poseIndex = 0 } = options;
+    if (recording.mode !== `pose`) throw new Error(`Expected a pose recording, got '${recording.mode}'`);
+    /** @type PoseData[] */
+    const poses = [];
+    for (const sample of recording.samples.slice(start, end)) {
+      const pose = Array.isArray(sample) ? sample[poseIndex] : sample;
+      if (pose) poses.push(pose);
+    }
+    if (poses.length === 0) throw new Error(`Recording '${recording.name}' has no poses between samples ${start} and ${end}`);
+    return PoseTemplate.fromPoses(poses, { name: recording.name, ...options });
+  }
+
+  /**
+   * Creates a template from data saved with `toJSON`
+   * @param {PoseTemplateData} data
+   */
+  static fromJSON(data) {
+    return new PoseTemplate({ ...data.angles }, data);
+  }
+
+  /**
+   * Returns how closely a pose matches the template, 0 (not at all) to 1 (exactly).
+   * Joints that aren't visible in the pose are skipped, but if fewer than `minJointFraction`
+   * of the template's joints can be compared the score is 0. So a pose with just one visible
+   * joint doesn't count as a match. Poses without world landmarks can't be compared if the
+   * template was made from world landmarks.
+   * @param {PoseData} pose
+   */
+  score(pose) {
+    let total = 0;
+    let count = 0;
+    let joints = 0;
+    for (const [ joint, expected ] of Object.entries(this.angles)) {
+      if (expected === undefined) continue;
+      joints++;
+      const angle = this.measure(pose, /** @type JointName */(joint));
+      if (angle === undefined) continue;
+      total += Math.max(0, 1 - Math.abs(angle - expected) / this.tolerance);
+      count++;
+    }
+    if (count === 0 || count < joints * this.minJointFraction) return 0;
+    return total / count;
+  }
+
+  /**
+   * Returns the angle of a joint (radians) of a pose, measured the same way as the template's angles.
+   * Returns _undefined_ if it isn't visible, or the template uses world landmarks and the pose doesn't have them.
+   * @param {PoseData} pose
+   * @param {JointName} joint
+   * @returns {number|undefined}
+   */
+  measure(pose, joint) {
+    if (this.world && !hasWorld(pose)) return;
+    const { world, minVisibility, aspectRatio } = this;
+    return jointAngle(pose, joint, { world, minVisibility, aspectRatio });
+  }
+
+  /**
+   * Returns the template in a form that can be saved as JSON
+   * @returns {PoseTemplateData}
+   */
+  toJSON() {
+    const { name, world, tolerance, minVisibility, minJointFraction, aspectRatio, angles } = this;
+    return { name, world, tolerance, minVisibility, minJointFraction, aspectRatio, angles };
+  }
+}
+
+/**
+ * Counts repetitions between two templates, eg. squatting and standing.
+ * A rep is counted when the body goes from `start` to `end` and back again.
+ *
+ * ```js
+ * const reps = new RepCounter(standing, squat);
+ * reps.addEventListener(`rep`, event => console.log(event.detail.count));
+ * reps.update(pose);
+ * ```
+ *
+ * Events:
+ * - phase: Body now matches one of the templates. Detail: { phase: `start`|`end`, template }
+ * - rep: A rep was completed. Detail: { count, durationMs }
+ */
+export class RepCounter extends EventTarget {
+  /** @type RepCounterOptions */
+  options;
+  /** @type PoseTemplate */
+  start;
+  /** @type PoseTemplate */
+  end;
+  /** @type {`start`|`end`|undefined} */
+  phase;
+  count = 0;
+  /**
+   * When the current rep began
+   * @type {number|undefined}
+   */
+  #repStartedAt;
+
+  /**
+   * Defaults:
+   * * threshold: 0.8 - how closely (0..1) a pose has to match a template
+   * @param {PoseTemplate} start Template a rep starts & finishes at
+   * @param {PoseTemplate} end Template half-way through a rep
+   * @param {Partial<RepCounterOptions>} [options]
+   */
+  constructor(start, end, options = {}) {
+    super();
+    this.start = start;
+    this.end = end;
+    this.options = {
+      threshold: 0.8,
+      ...options
+    };
+  }
+
+  /**
+   * Update with a pose. Returns the number of reps so far.
+   * @param {PoseData} pose
+   * @param {number} [now] Timestamp of data
+   */
+  update(pose, now = performance.now()) {
+    const { threshold } = this.options;
+    const startScore = this.start.score(pose);
+    const endScore = this.end.score(pose);
+    // If both match, go with the closer
+    if (startScore >= threshold && startScore >= endScore) {
+      if (this.phase === `end` && this.#repStartedAt !== undefined) {
+        this.count++;
+        this.dispatchEvent(new CustomEvent(`rep`, { detail: { count: this.count, durationMs: now - this.#repStartedAt } }));
+      }
+      if (this.phase !== `start`) this.#changePhase(`start`, now);
+    } else if (endScore >= threshold && this.phase === `start`) {
+      this.#changePhase(`end`, now);
+    }
+    return this.count;
+  }
+
+  /**
+   * Start counting again
+   */
+  reset() {
+    this.count = 0;
+    this.phase = undefined;
+    this.#repStartedAt = undefined;
+  }
+
+  /**
+   * @param {`start`|`end`} phase
+   * @param {number} now
+   */
+  #changePhase(phase, now) {
+    this.phase = phase;
+    if (phase === `start`) this.#repStartedAt = now;
+    const template = phase === `start` ? this.start : this.end;
+    this.dispatchEvent(new CustomEvent(`phase`, { detail: { phase, template } }));
+  }
+}
@@ -1,40 +1,161 @@
 // @ts-ignore
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
 import { Poses } from './Poses.js';
+import { PoseIdentifier } from './PoseIdentifier.js';
+import { LandmarksSmoother } from '../../util/smoothing.js';
+import { EnvelopeRouter } from '../../../relay/envelope.js';
 
+/**
+ * @typedef {{
+ *  identity?: boolean | Partial<import('./PoseIdentifier.js').PoseIdentifierOptions>
+ *  smoothing?: import('../../util/smoothing.js').LandmarksSmoothingOptions
+ * }} PosesConsumerOptions
+ */
+
+/**
+ * Receives poses and passes them to a PosesTracker (`poses`).
+ *
+ * If the `identity` option is set, poses are given stable ids by a PoseIdentifier.
+ * Otherwise the sender's ids are kept.
+ * If the `smoothing` option is set, landmarks are smoothed before being tracked, see ml/util/smoothing.js
+ * In addition to the PosesTracker's own events, it dispatches:
+ * - pose-lost: Pose hasn't been seen for a moment, but might reappear. Detail: PoseTracker
+ * - pose-reacquired: A lost pose has reappeared. Detail: PoseTracker
+ */
 export class PosesConsumer {
   remote;
   poses;
   options;
+  router = new EnvelopeRouter();
+  /** @type {PoseIdentifier|undefined} */
+  identifier;
+  /**
+   * Smoothers for landmarks & world landmarks, keyed by guid
+   * @type {Map<string,{ landmarks:LandmarksSmoother, world:LandmarksSmoother }>}
+   */
+  smoothers = new Map();
+  /** @type {ReturnType<typeof setInterval>|undefined} */
+  #lostTimer;
 
   /**
    * 
-   * @param {undefined|(Partial<Poses.PosesTrackerOptions> & import("./Poses.js").RemoteOptions)} [options]
+   * @param {undefined|(Partial<Poses.PosesTrackerOptions> & import("./Poses.js").RemoteOptions & PosesConsumerOptions)} [options]
    */
   constructor(options) {
     this.options = options;
     this.poses = new Poses.PosesTracker(options);
+    if (options?.identity) this.initIdentity(options.identity === true ? {} : options.identity);
+    if (options?.smoothing) {
+      this.poses.addEventListener(`expired`, event => {
+        this.smoothers.delete(/** @type CustomEvent */(event).detail.guid);
+      });
+    }
     setTimeout(() => this.init(), 100);
   }
 
+  /**
+   * Sets up the PoseIdentifier, forwarding its events to the PosesTracker
+   * @param {Partial<import('./PoseIdentifier.js').PoseIdentifierOptions>} [options]
+   */
+  initIdentity(options = {}) {
+    // Poses need to be lost before the tracker expires them
+    const maxAgeMs = this.options?.maxAgeMs ?? 10_000;
+    const identifier = new PoseIdentifier({ lostAfterMs: Math.min(500, maxAgeMs / 2), ...options });
+    const forward = (/** @type string */ type, /** @type Event */ event) => {
+      const { from, id } = /** @type CustomEvent */(event).detail;
+      const tracker = this.poses.getByGuid(`${from}-${id}`);
+      if (tracker) this.poses.dispatchEvent(new CustomEvent(type, { detail: tracker }));
+    };
+    identifier.addEventListener(`lost`, event => {
+      forward(`pose-lost`, event);
+    });
+    identifier.addEventListener(`reacquired`, event => {
+      // Wait until the pose has been passed to the tracker
+      queueMicrotask(() => {
+        forward(`pose-reacquired`, event);
+      });
+    });
+    clearInterval(this.#lostTimer);
+    this.#lostTimer = setInterval(() => {
+      identifier.checkLost();
+    }, 100);
+    this.identifier = identifier;
+  }
+
+  /**
+   * Stops checking for lost poses
+   */
+  dispose() {
+    clearInterval(this.#lostTimer);
+    this.#lostTimer = undefined;
+  }
+
   init() {
+    this.router.on(`pose`, (poseData, envelope) => this.onPoses(envelope.from ?? ``, poseData));
+    this.router.onUnhandled = (packet) => {
+      console.warn(`Not getting pose data as expected. Is sender set to 'pose'?`);
+      console.log(packet);
+    };
     this.remote = new Remote(this.options);
     this.remote.onData = this.onReceivedPoses.bind(this);
   }
 
+  /**
+   * Handles a packet received via Remote. It can be
+   * an envelope of type 'pose' or untyped pose data.
+   * @param {any} packet
+   */
   onReceivedPoses(packet) {
-    const { _from, data } = packet;
-    const poseData = /** @type Poses.PoseData[] */(JSON.parse(data));
+    this.router.handle(packet);
+  }
 
-    if (!Array.isArray(poseData)) {
-      console.warn(`Not getting an array as expected. ${typeof poseData} Is sender set to 'pose'?`);
-      console.log(poseData);
-      return;
+  /**
+   * Pass each pose over to the poses tracker
+   * @param {string} from Sender id
+   * @param {Poses.PoseData[]} poseData
+   */
+  onPoses(from, poseData) {
+    if (this.identifier) poseData = this.identifier.identify(from, poseData);
+    for (const pose of poseData) {
+      this.poses.seen(from, this.smooth(from, pose));
     }
+  }
 
-    // Pass each pose over to the poses tracker
-    for (const pose of poseData) {
-      this.poses.seen(_from, pose);
+  /**
+   * Returns the pose with smoothed landmarks if the `smoothing` option is set
+   * @param {string} from Sender id
+   * @param {Poses.PoseData} pose
+   * @returns {Poses.PoseData}
+   */
+  smooth(from, pose) {
+    const options = this.options?.smoothing;
+    if (!options) return pose;
+    const guid = `${from}-${pose.poseid ?? 0}`;
+    let s = this.smoothers.get(guid);
+    if (!s) {
+      const names = pose.landmarks.map((_, index) => Poses.getLandmarkNameByIndex(index));
+      s = { landmarks: new LandmarksSmoother(options, names), world: new LandmarksSmoother(options, names) };
+      this.smoothers.set(guid, s);
     }
+    return {
+      ...pose,
+      landmarks: s.landmarks.smooth(pose.landmarks),
+      world: pose.world ? s.world.smooth(pose.world) : pose.world
+    };
+  }
+
+  /**
+   * Returns the velocity of a landmark, in units per second.
+   * Returns _undefined_ if the `smoothing` option isn't set or the pose is unknown.
+   * ```js
+   * consumer.getVelocity(pose.guid, `left_wrist`); // { x, y, z }
+   * ```
+   * @param {string} guid Guid of pose
+   * @param {Poses.PoseLandmarks|number} nameOrIndex
+   * @param {boolean} [world] If _true_, velocity of world landmark
+   */
+  getVelocity(guid, nameOrIndex, world = false) {
+    const s = this.smoothers.get(guid);
+    return world ? s?.world.velocity(nameOrIndex) : s?.landmarks.velocity(nameOrIndex);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,83 @@
+import * as MlVision from '../lib/index.js';
+import { createEnvelope } from '../../relay/envelope.js';
+
+/**
+ * Run your own models (eg. a segmenter, gesture classifier or TFLite image classifier)
+ * in a sender sketch. A registered mode is run by MlVision's Processing like the
+ * built-in modes, so results go through the same Dispatcher: they are broadcast via
+ * Remote, recorded, and drawn on the overlay.
+ *
+ * Results are sent as envelopes (see relay/envelope.js) with the mode as their type,
+ * so receivers can tell them apart: `router.on(`segment`, data => { ... })`.
+ *
+ * A model implements MlVision's IModel interface:
+ * ```js
+ * registerModel(`segment`, {
+ *  create: (modelOptions) => ({
+ *    async init() { ...load model...; return true; },
+ *    compute(video, callback, timestamp) { callback(result); },
+ *    dispose() { }
+ *  }),
+ *  // Optional, draw results on overlay
+ *  draw: (ctx, data, size) => { }
+ * });
+ *
+ * // Register before creating MlVision, so the mode can be its `mode` and shows in the model selector
+ * const ds = new MlVision(`#is`, { mode: `segment`, wasmBase: `/ml/lib`, ... });
+ * ds.init();
+ * ```
+ *
+ * Processing calls `compute` on a timer once it has called `init`, without waiting
+ * for it to finish, as it does with built-in models. Skip calls until the model is loaded.
+ *
+ * The registry is part of the ml/lib build, see the Custom models section of README.md.
+ */
+
+/**
+ * @typedef {import('../lib/index.js').CustomModel} CustomModel
+ */
+
+/**
+ * Models as registered, by mode
+ * @type {Map<string,CustomModel>}
+ */
+const registered = new Map();
+
+/**
+ * Registers a model under a mode name. MlVision's `validateProcessorMode`,
+ * `getProcessorModes` and `Processing.setMode` then accept it.
+ * @param {string} mode
+ * @param {CustomModel} model
+ */
+export const registerModel = (mode, model) => {
+  if (typeof model?.create !== `function`) throw new Error(`Param 'model.create' should be a function`);
+  const { draw } = model;
+  MlVision.registerModel(mode, {
+    create: (options) => {
+      const created = model.create(options);
+      return {
+        init: () => created.init(),
+        // Dispatcher only sends data, so wrap it to say which mode it's from
+        compute: (video, callback, timestamp) => created.compute(video, data => callback(createEnvelope(mode, data)), timestamp),
+        dispose: () => created.dispose()
+      };
+    },
+    draw: draw ? (ctx, envelope, size) => draw(ctx, envelope.data, size) : undefined
+  });
+  registered.set(mode, model);
+};
+
+/**
+ * Removes a registered model
+ * @param {string} mode
+ */
+export const unregisterModel = (mode) => {
+  registered.delete(mode);
+  return MlVision.unregisterModel(mode);
+};
+
+/**
+ * Returns a registered model, or _undefined_
+ * @param {string} mode
+ */
+export const getModel = (mode) => registered.get(mode);
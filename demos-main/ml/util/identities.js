@@ -0,0 +1,281 @@
+/**
+ * Gives things seen frame after frame (eg. poses or hands) ids that persist,
+ * by matching each to where a previously seen one is predicted to be.
+ *
+ * This is the part shared by PoseIdentifier (ml/pose/util) and IdMatcher (tracking.js).
+ * Subclasses decide what makes an observation a good match by implementing `cost`
+ * and `reacquireCost`, and can keep their own state per id in `updated`.
+ *
+ * A lost id is kept for `reacquireWindowMs`, and given back if `reacquireCost`
+ * finds an observation that matches it.
+ *
+ * Events:
+ * - lost: Not seen for `lostAfterMs`. Detail: { from, id }
+ * - reacquired: A lost id was seen again. Detail: { from, id, lostMs }
+ */
+
+/**
+ * @typedef {{ x: number, y: number }} Point
+ */
+
+/**
+ * @typedef {{
+ *  centroid: Point|undefined
+ * }} Observation
+ */
+
+/**
+ * @typedef {{
+ *  maxDistance: number
+ *  lostAfterMs: number
+ *  reacquireWindowMs: number
+ *  idPrefix: string
+ * }} IdentitiesOptions
+ */
+
+/**
+ * @typedef {{
+ *  id: string
+ *  from: string
+ *  centroid: Point
+ *  velocity: Point
+ *  lastSeen: number
+ *  lostAt?: number
+ * }} TrackedIdentity
+ */
+
+/**
+ * How much a new measurement changes tracked values, eg. velocity
+ */
+export const smoothing = 0.2;
+
+/**
+ * @template {Observation} O
+ * @template {TrackedIdentity} T
+ */
+export class Identities extends EventTarget {
+  /** @type IdentitiesOptions */
+  options;
+  /** @type T[] */
+  #tracked = [];
+  #nextId = 1;
+
+  /**
+   * Defaults:
+   * * maxDistance: 0.15 - how far (in normalised coordinates) from its predicted position an observation can be
+   * * lostAfterMs: 500 - an id not seen for this long is lost
+   * * reacquireWindowMs: 5000 - how long a lost id can be reacquired
+   * * idPrefix: `` - put before ids, eg `t` gives `t1`, `t2`...
+   * @param {Partial<IdentitiesOptions>} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      maxDistance: 0.15,
+      lostAfterMs: 500,
+      reacquireWindowMs: 5000,
+      idPrefix: ``,
+      ...options
+    };
+  }
+
+  /**
+   * Returns how well an observation matches a tracked id, lower being better,
+   * or _undefined_ if it can't be the same. Only called for observations within
+   * `maxDistance` of where the id is predicted to be.
+   * @param {T} _t
+   * @param {O} _o
+   * @param {number} distance Distance from predicted position
+   * @returns {number|undefined}
+   */
+  cost(_t, _o, distance) {
+    return distance;
+  }
+
+  /**
+   * Returns how well an observation matches a lost id, lower being better,
+   * or _undefined_ if it can't be the same.
+   * @param {T} _t
+   * @param {O} _o
+   * @returns {number|undefined}
+   */
+  reacquireCost(_t, _o) {
+    return;
+  }
+
+  /**
+   * Called when an id is given to an observation, before its position is updated.
+   * For subclasses to keep state, eg. body proportions.
+   * @param {T} _t
+   * @param {O} _o
+   */
+  updated(_t, _o) {
+    // No-op
+  }
+
+  /**
+   * Returns the tracked id for each observation from a sender.
+   * Observations without a centroid aren't given an id.
+   * Call with each frame of data, even if it's empty.
+   * @param {string} from Sender id
+   * @param {O[]} observations
+   * @param {number} [now] Timestamp of data
+   * @returns {Array<T|undefined>}
+   */
+  assign(from, observations, now = performance.now()) {
+    const { maxDistance } = this.options;
+    this.checkLost(now);
+
+    /** @type {Array<T|undefined>} */
+    const assigned = Array.from({ length: observations.length });
+
+    // Rank all plausible pairings, best first
+    const candidates = [];
+    for (const t of this.#tracked) {
+      if (t.from !== from || t.lostAt !== undefined) continue;
+      const predicted = predict(t, now);
+      for (const [ index, o ] of observations.entries()) {
+        if (!o.centroid) continue;
+        const distance = Math.hypot(predicted.x - o.centroid.x, predicted.y - o.centroid.y);
+        if (distance > maxDistance) continue;
+        const cost = this.cost(t, o, distance);
+        if (cost !== undefined) candidates.push({ t, index, cost });
+      }
+    }
+    candidates.sort((a, b) => a.cost - b.cost);
+    const taken = new Set();
+    for (const { t, index } of candidates) {
+      if (taken.has(t) || assigned[index]) continue;
+      taken.add(t);
+      assigned[index] = t;
+    }
+
+    for (const [ index, o ] of observations.entries()) {
+      if (assigned[index] || !o.centroid) continue;
+      assigned[index] = this.#reacquire(from, o, now) ?? this.#add(from, o, o.centroid, now);
+    }
+
+    for (const [ index, o ] of observations.entries()) {
+      const t = assigned[index];
+      if (!t || !o.centroid) continue;
+      this.updated(t, o);
+      update(t, o.centroid, now);
+    }
+    return assigned;
+  }
+
+  /**
+   * Marks ids not seen for `lostAfterMs` as lost, and forgets lost ids
+   * older than `reacquireWindowMs`. Called by `assign`, but should also
+   * be called periodically in case a sender stops sending.
+   * @param {number} [now]
+   */
+  checkLost(now = performance.now()) {
+    const { lostAfterMs, reacquireWindowMs } = this.options;
+    for (const t of this.#tracked) {
+      if (t.lostAt !== undefined || now - t.lastSeen <= lostAfterMs) continue;
+      t.lostAt = t.lastSeen;
+      this.dispatchEvent(new CustomEvent(`lost`, { detail: { from: t.from, id: t.id } }));
+    }
+    this.#tracked = this.#tracked.filter(t => t.lostAt === undefined || now - t.lostAt <= reacquireWindowMs);
+  }
+
+  /**
+   * Returns the ids currently tracked (not lost) for a sender
+   * @param {string} from
+   */
+  * getIds(from) {
+    for (const t of this.#tracked) {
+      if (t.from === from && t.lostAt === undefined) yield t.id;
+    }
+  }
+
+  /**
+   * Forget all ids
+   */
+  clear() {
+    this.#tracked = [];
+  }
+
+  /**
+   * Returns the state for a new id. Subclasses add their own fields from the observation.
+   * @param {string} id
+   * @param {string} from
+   * @param {O} _o
+   * @param {Point} centroid
+   * @param {number} now
+   * @returns {T}
+   */
+  create(id, from, _o, centroid, now) {
+    return /** @type T */({ id, from, centroid, velocity: { x: 0, y: 0 }, lastSeen: now });
+  }
+
+  /**
+   * Returns the lost id that best matches, if any
+   * @param {string} from
+   * @param {O} o
+   * @param {number} now
+   */
+  #reacquire(from, o, now) {
+    let best;
+    let bestCost = Number.POSITIVE_INFINITY;
+    for (const t of this.#tracked) {
+      if (t.from !== from || t.lostAt === undefined) continue;
+      const cost = this.reacquireCost(t, o);
+      if (cost === undefined || cost > bestCost) continue;
+      best = t;
+      bestCost = cost;
+    }
+    if (!best || best.lostAt === undefined) return;
+    const lostMs = now - best.lostAt;
+    best.lostAt = undefined;
+    // Position is unknown after being lost
+    best.velocity = { x: 0, y: 0 };
+    best.lastSeen = now;
+    this.dispatchEvent(new CustomEvent(`reacquired`, { detail: { from, id: best.id, lostMs } }));
+    return best;
+  }
+
+  /**
+   * Start tracking a new id
+   * @param {string} from
+   * @param {O} o
+   * @param {Point} centroid
+   * @param {number} now
+   * @returns {T}
+   */
+  #add(from, o, centroid, now) {
+    const t = this.create(`${this.options.idPrefix}${this.#nextId++}`, from, o, centroid, now);
+    this.#tracked.push(t);
+    return t;
+  }
+}
+
+/**
+ * Predicts where a tracked id is by now, based on its velocity
+ * @param {TrackedIdentity} t
+ * @param {number} now
+ * @returns {Point}
+ */
+const predict = (t, now) => {
+  const elapsed = now - t.lastSeen;
+  return { x: t.centroid.x + t.velocity.x * elapsed, y: t.centroid.y + t.velocity.y * elapsed };
+};
+
+/**
+ * Updates the position and velocity of a tracked id
+ * @param {TrackedIdentity} t
+ * @param {Point} centroid
+ * @param {number} now
+ */
+const update = (t, centroid, now) => {
+  const elapsed = now - t.lastSeen;
+  if (elapsed > 0) {
+    t.velocity = {
+      x: t.velocity.x + ((centroid.x - t.centroid.x) / elapsed - t.velocity.x) * smoothing,
+      y: t.velocity.y + ((centroid.y - t.centroid.y) / elapsed - t.velocity.y) * smoothing
+    };
+  }
+  t.centroid = centroid;
+  t.lastSeen = now;
+};
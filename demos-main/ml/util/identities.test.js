@@ -0,0 +1,70 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IdMatcher, MultiTracker } from './tracking.js';
+import { PoseIdentifier } from '../pose/util/PoseIdentifier.js';
+
+/**
+ * Returns a pose with its shoulders & hips around `x`. Shoulders are `width` apart.
+ * @param {string} poseid
+ * @param {number} x
+ * @param {number} [width]
+ */
+const pose = (poseid, x, width = 0.1) => {
+  const landmarks = Array.from({ length: 33 }, () => ({ x, y: 0.5, z: 0, visibility: 1 }));
+  landmarks[11] = { x: x - width / 2, y: 0.3, z: 0, visibility: 1 };
+  landmarks[12] = { x: x + width / 2, y: 0.3, z: 0, visibility: 1 };
+  landmarks[23] = { x: x - 0.04, y: 0.6, z: 0, visibility: 1 };
+  landmarks[24] = { x: x + 0.04, y: 0.6, z: 0, visibility: 1 };
+  return /** @type any */({ poseid, landmarks });
+};
+
+test(`IdMatcher keeps ids as hands move, and reacquires lost ones`, () => {
+  const matcher = new IdMatcher({ lostAfterMs: 100 });
+  /** @type string[] */
+  const events = [];
+  matcher.addEventListener(`lost`, event => events.push(`lost ${/** @type CustomEvent */(event).detail.id}`));
+  matcher.addEventListener(`reacquired`, event => events.push(`reacquired ${/** @type CustomEvent */(event).detail.id}`));
+
+  const [ a, b ] = matcher.match(`s`, [ { centroid: { x: 0.2, y: 0.5 }, key: `Left` }, { centroid: { x: 0.8, y: 0.5 }, key: `Right` } ], 0);
+  assert.deepEqual(matcher.match(`s`, [ { centroid: { x: 0.75, y: 0.5 }, key: `Right` }, { centroid: { x: 0.25, y: 0.5 }, key: `Left` } ], 10), [ b, a ]);
+
+  // Left hand leaves and comes back
+  matcher.match(`s`, [ { centroid: { x: 0.75, y: 0.5 }, key: `Right` } ], 60);
+  matcher.match(`s`, [ { centroid: { x: 0.75, y: 0.5 }, key: `Right` } ], 120);
+  assert.deepEqual(events, [ `lost ${a}` ]);
+  assert.deepEqual(matcher.match(`s`, [ { centroid: { x: 0.75, y: 0.5 }, key: `Right` }, { centroid: { x: 0.3, y: 0.5 }, key: `Left` } ], 150), [ b, a ]);
+  assert.deepEqual(events, [ `lost ${a}`, `reacquired ${a}` ]);
+
+  // Other senders get their own ids
+  assert.notEqual(matcher.match(`other`, [ { centroid: { x: 0.3, y: 0.5 } } ], 300)[0], a);
+});
+
+test(`PoseIdentifier gives prefixed ids, and reacquires by proportions`, () => {
+  const identifier = new PoseIdentifier({ lostAfterMs: 100 });
+  const [ narrow, wide ] = identifier.identify(`s`, [ pose(`1`, 0.3, 0.1), pose(`2`, 0.7, 0.2) ], 0);
+  assert.match(narrow.poseid, /^t\d+$/);
+  assert.notEqual(narrow.poseid, wide.poseid);
+
+  // Sender swaps its ids, but bodies are where they were
+  const swapped = identifier.identify(`s`, [ pose(`1`, 0.71, 0.2), pose(`2`, 0.31, 0.1) ], 10);
+  assert.deepEqual(swapped.map(p => p.poseid), [ wide.poseid, narrow.poseid ]);
+
+  // Narrow body leaves, and comes back somewhere else
+  identifier.identify(`s`, [ pose(`2`, 0.72, 0.2) ], 200);
+  const [ back ] = identifier.identify(`s`, [ pose(`3`, 0.1, 0.1) ], 300);
+  assert.equal(back.poseid, narrow.poseid);
+
+  // Poses without a torso keep the sender's id
+  const headless = pose(`9`, 0.5);
+  headless.landmarks = [];
+  assert.equal(identifier.identify(`s`, [ headless ], 310)[0].poseid, `9`);
+});
+
+test(`MultiTracker only loses and reacquires ids before they expire`, () => {
+  const { lostAfterMs, reacquireWindowMs } = new MultiTracker(`face`, { maxAgeMs: 1000 }).options;
+  assert.equal(lostAfterMs, 500);
+  assert.equal(reacquireWindowMs, 1000);
+  assert.equal(new MultiTracker(`face`).options.reacquireWindowMs, 5000);
+  assert.equal(new MultiTracker(`face`, { maxAgeMs: 1000, reacquireWindowMs: 3000 }).options.reacquireWindowMs, 3000);
+});
@@ -0,0 +1,85 @@
+/**
+ * Loads recording files in Node, and plays them to the relay server as if
+ * they came from a sender. Sketches can then be run without a camera.
+ *
+ * ```
+ * node ml/util/play-recording.js walk.ndjson [--url ws://localhost:8081/ws] [--speed 2] [--loop] [--name walk]
+ * ```
+ *
+ * Use `loadRecordings` to read recordings in tests, see recording-player.js
+ */
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import WebSocket from 'ws';
+import { textToRecordings } from './recording-files.js';
+import { RecordingPlayer } from './recording-player.js';
+
+/**
+ * @typedef {import('../lib/index.js').RecordingData} RecordingData
+ */
+
+/**
+ * Reads recordings from a JSON or NDJSON file
+ * @param {string} file
+ * @returns {Promise<RecordingData[]>}
+ */
+export const loadRecordings = async (file) => textToRecordings(await readFile(file, `utf8`));
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: `string`, default: `ws://localhost:8081/ws` },
+      speed: { type: `string`, default: `1` },
+      loop: { type: `boolean`, default: false },
+      name: { type: `string` },
+      from: { type: `string`, default: `recording` }
+    }
+  });
+  const [ file ] = positionals;
+  if (!file) {
+    console.error(`Usage: node ml/util/play-recording.js <file> [--url ws://localhost:8081/ws] [--speed 1] [--loop] [--name recording] [--from id]`);
+    process.exitCode = 1;
+    return;
+  }
+  const speed = Number(values.speed);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    console.error(`--speed should be a number above zero. Got: ${values.speed}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const recordings = await loadRecordings(file);
+  const recording = values.name === undefined ? recordings[0] : recordings.find(r => r.name === values.name);
+  if (!recording) {
+    console.error(`Recording '${values.name}' not found. File has: ${recordings.map(r => r.name).join(`, `)}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const ws = new WebSocket(values.url);
+  await new Promise((resolve, reject) => {
+    ws.once(`open`, resolve);
+    ws.once(`error`, reject);
+  });
+
+  const player = new RecordingPlayer(recording, { speed, loop: values.loop, from: values.from });
+  player.onRemote = packet => {
+    // Fields Remote expects of messages arriving over a websocket
+    ws.send(JSON.stringify({ ...packet, _id: randomUUID(), _channel: `ws-bc` }));
+  };
+  ws.once(`close`, () => {
+    player.stop();
+  });
+  process.once(`SIGINT`, () => {
+    player.stop();
+  });
+
+  console.log(`Playing '${recording.name}' (${recording.mode}, ${recording.samples.length} samples every ${player.intervalMs}ms) to ${values.url}`);
+  await player.start();
+  ws.close();
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? ``).href) await main();
@@ -0,0 +1,229 @@
+/**
+ * Exporting and importing recordings made with MlVision's recording panel.
+ *
+ * MlVision keeps recordings in the browser's local storage, so they can't
+ * otherwise be moved between computers. Recordings can be saved as:
+ * - JSON: the RecordingData as a single object
+ * - NDJSON: a header line with name, mode and rate, then one line per sample.
+ *   Handy for large recordings, or to use with line-based tools.
+ *
+ * Imported recordings show up in the recording panel like any other.
+ *
+ * ```js
+ * const mlv = new MlVision(`#is`, { ... });
+ * mlv.init();
+ * document.body.append(createRecordingControls(mlv));
+ * ```
+ *
+ * Or load a recording kept alongside a sketch:
+ * ```js
+ * importRecordings(mlv, await fetchRecordings(`./walking.ndjson`));
+ * ```
+ */
+
+/**
+ * @typedef {import('../lib/index.js').RecordingData} RecordingData
+ * @typedef {import('../lib/index.js').MlVision} MlVision
+ * @typedef {`json`|`ndjson`} RecordingFormat
+ */
+
+/**
+ * Marks the header line of NDJSON recordings
+ */
+const ndjsonFormat = `ixfx-ml-recording`;
+
+/**
+ * Returns the recording store of MlVision.
+ * It isn't directly exposed, but recorders are given it.
+ * @param {MlVision} mlv
+ */
+const getStore = (mlv) => mlv.sources.createRecorder().recordings;
+
+/**
+ * Returns all recordings stored by MlVision
+ * @param {MlVision} mlv
+ * @returns {RecordingData[]}
+ */
+export const getRecordings = (mlv) => {
+  const store = getStore(mlv);
+  return mlv.sources.recordings
+    .map(source => store.getRecording(source.id))
+    .filter(r => r !== undefined);
+};
+
+/**
+ * Converts a recording to text in the given format
+ * @param {RecordingData} recording
+ * @param {RecordingFormat} format
+ * @returns {string}
+ */
+export const recordingToText = (recording, format) => {
+  if (format === `json`) return JSON.stringify(recording);
+  const { samples, ...header } = recording;
+  return [
+    JSON.stringify({ format: ndjsonFormat, ...header }),
+    ...samples.map(s => JSON.stringify(s))
+  ].join(`\n`) + `\n`;
+};
+
+/**
+ * Parses recordings from text, which can be JSON (a recording or an array of them) or NDJSON.
+ * Throws an error if text isn't a valid recording.
+ * @param {string} text
+ * @returns {RecordingData[]}
+ */
+export const textToRecordings = (text) => {
+  const trimmed = text.trim();
+  const lines = trimmed.split(/\r?\n/);
+  let parsed;
+  if (lines.length > 1 && lines[0].includes(ndjsonFormat)) {
+    const { format, ...header } = JSON.parse(lines[0]);
+    const samples = [];
+    for (const [ index, line ] of lines.slice(1).entries()) {
+      if (line.trim().length === 0) continue;
+      try {
+        samples.push(JSON.parse(line));
+      } catch {
+        throw new Error(`Sample on line ${index + 2} is not valid JSON`);
+      }
+    }
+    parsed = { ...header, samples };
+  } else {
+    parsed = JSON.parse(trimmed);
+  }
+  const recordings = Array.isArray(parsed) ? parsed : [ parsed ];
+  for (const r of recordings) validateRecording(r);
+  return recordings;
+};
+
+/**
+ * Throws an error if `data` doesn't look like a recording
+ * @param {any} data
+ */
+export const validateRecording = (data) => {
+  if (typeof data !== `object` || data === null) throw new Error(`Recording should be an object`);
+  if (typeof data.name !== `string` || data.name.length === 0) throw new Error(`Recording is missing 'name'`);
+  if (typeof data.mode !== `string`) throw new Error(`Recording '${data.name}' is missing 'mode'`);
+  if (typeof data.rateMs !== `number` || data.rateMs <= 0) throw new Error(`Recording '${data.name}' should have a positive 'rateMs'`);
+  if (!Array.isArray(data.samples)) throw new Error(`Recording '${data.name}' is missing 'samples'`);
+};
+
+/**
+ * Adds recordings to MlVision, so they can be played back.
+ * Recordings with the same name as an existing one are renamed, eg 'walk (2)'.
+ * Returns the names they were added with.
+ * @param {MlVision} mlv
+ * @param {RecordingData[]} recordings
+ * @returns {string[]}
+ */
+export const importRecordings = (mlv, recordings) => {
+  const store = getStore(mlv);
+  const names = [];
+  for (const r of recordings) {
+    validateRecording(r);
+    let name = r.name;
+    for (let index = 2; store.getRecording(name); index++) name = `${r.name} (${index})`;
+    store.add({ ...r, name });
+    names.push(name);
+  }
+  return names;
+};
+
+/**
+ * Fetches recordings from a URL, eg. a file kept alongside a sketch
+ * @param {string} url
+ * @returns {Promise<RecordingData[]>}
+ */
+export const fetchRecordings = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not fetch ${url}: ${response.status}`);
+  return textToRecordings(await response.text());
+};
+
+/**
+ * Reads recordings from a file, eg. from a file input
+ * @param {File} file
+ * @returns {Promise<RecordingData[]>}
+ */
+export const readRecordingFile = async (file) => textToRecordings(await file.text());
+
+/**
+ * Saves a recording as a file download
+ * @param {RecordingData} recording
+ * @param {RecordingFormat} format
+ */
+export const downloadRecording = (recording, format) => {
+  const type = format === `json` ? `application/json` : `application/x-ndjson`;
+  const url = URL.createObjectURL(new Blob([ recordingToText(recording, format) ], { type }));
+  const link = document.createElement(`a`);
+  link.href = url;
+  link.download = `${recording.name.replaceAll(/[^\w .-]/g, `_`)}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Creates a small panel to export and import recordings.
+ * Recording files can also be dropped onto the panel.
+ * @param {MlVision} mlv
+ * @returns {HTMLElement}
+ */
+export const createRecordingControls = (mlv) => {
+  const el = document.createElement(`div`);
+  el.className = `recording-files`;
+  el.style.cssText = `position: fixed; left: 0.5em; bottom: 0.5em; z-index: 10; padding: 0.5em; background: hsl(0 0% 0% / 0.6); color: white; font: 12px sans-serif; display: flex; gap: 0.3em; align-items: center`;
+  el.innerHTML = `
+    <select title="Recording to export"></select>
+    <button data-format="json" title="Save recording as JSON">JSON</button>
+    <button data-format="ndjson" title="Save recording as newline-delimited JSON">NDJSON</button>
+    <label>| Import <input type="file" accept=".json,.ndjson,application/json" multiple></label>
+    <span class="status"></span>`;
+  const select = /** @type HTMLSelectElement */(el.querySelector(`select`));
+  const input = /** @type HTMLInputElement */(el.querySelector(`input`));
+  const status = /** @type HTMLElement */(el.querySelector(`.status`));
+
+  const refresh = () => {
+    const names = mlv.sources.recordings.map(r => r.id);
+    select.innerHTML = names.length === 0 ? `<option value="">No recordings</option>` : ``;
+    for (const name of names) select.add(new Option(name, name));
+  };
+
+  /**
+   * @param {FileList|null} files
+   */
+  const importFiles = async (files) => {
+    try {
+      const names = [];
+      for (const file of files ?? []) {
+        names.push(...importRecordings(mlv, await readRecordingFile(file)));
+      }
+      status.textContent = `Imported: ${names.join(`, `)}`;
+    } catch (error) {
+      status.textContent = error instanceof Error ? error.message : String(error);
+      console.error(error);
+    }
+  };
+
+  for (const button of el.querySelectorAll(`button`)) {
+    button.addEventListener(`click`, () => {
+      const recording = getStore(mlv).getRecording(select.value);
+      if (!recording) return;
+      downloadRecording(recording, /** @type RecordingFormat */(button.dataset.format));
+    });
+  }
+  input.addEventListener(`change`, async () => {
+    await importFiles(input.files);
+    input.value = ``;
+  });
+  el.addEventListener(`dragover`, event => {
+    event.preventDefault();
+  });
+  el.addEventListener(`drop`, event => {
+    event.preventDefault();
+    importFiles(event.dataTransfer?.files ?? null);
+  });
+
+  mlv.sources.addEventListener(`updated`, refresh);
+  refresh();
+  return el;
+};
@@ -0,0 +1,202 @@
+/**
+ * Plays back recordings without a camera, browser or MlVision.
+ *
+ * Samples are given in the same shape as a live sender would produce them:
+ * - `onDispatch(mode, data)`: as MlVision's dispatcher `onData`
+ * - `onRemote(packet)`: as Remote's `onData` in a receiving sketch, ie. `{ _from, data }`
+ *   where `data` is the sample as a JSON string.
+ *
+ * This makes it possible to test the hand helpers, pose metrics or sketch logic
+ * in Node against a fixed recording (see recording-player.test.js):
+ *
+ * ```js
+ * const [ recording ] = await loadRecordings(`./walk.ndjson`); // see play-recording.js
+ * const player = new RecordingPlayer(recording);
+ * player.onDispatch = (mode, data) => { ... };
+ * await player.start(); // Resolves when recording has played through
+ * ```
+ *
+ * Modules importing `@ixfx/...` need `node --import ./node-import-map.mjs`.
+ * PosesConsumer imports Remote from a URL, so it can't be used in Node.
+ *
+ * Or without timers, stepping through samples as fast as possible:
+ * ```js
+ * for (const { data } of player.frames()) { ... }
+ * ```
+ */
+
+/**
+ * @typedef {import('../lib/index.js').RecordingData} RecordingData
+ */
+
+/**
+ * @typedef {{
+ *  rateMs: number
+ *  speed: number
+ *  loop: boolean
+ *  from: string
+ * }} RecordingPlayerOptions
+ */
+
+/**
+ * @typedef {{
+ *  _from: string
+ *  data: string
+ * }} RemotePacket
+ */
+
+/**
+ * @typedef {Readonly<{
+ *  index: number
+ *  mode: string
+ *  data: any
+ *  remote: RemotePacket
+ * }>} Frame
+ */
+
+/**
+ * Returns a sample as a receiving sketch would get it from Remote
+ * @param {any} sample
+ * @param {string} from Sender id
+ * @returns {RemotePacket}
+ */
+export const toRemotePacket = (sample, from) => ({ _from: from, data: JSON.stringify(sample) });
+
+export class RecordingPlayer {
+  /** @type RecordingData */
+  recording;
+  /** @type RecordingPlayerOptions */
+  options;
+  /** @type {((mode:string, data:any) => void)|undefined} */
+  onDispatch;
+  /** @type {((packet:RemotePacket) => void)|undefined} */
+  onRemote;
+
+  #position = 0;
+  /** @type {ReturnType<typeof setTimeout>|undefined} */
+  #timer;
+  /** @type {(() => void)|undefined} */
+  #resolve;
+
+  /**
+   * Plays back at the recording's `rateMs` by default. Note that MlVision's own
+   * player plays back at half that speed.
+   * @param {RecordingData} recording
+   * @param {Partial<RecordingPlayerOptions>} [options]
+   */
+  constructor(recording, options = {}) {
+    this.recording = recording;
+    this.options = {
+      rateMs: options.rateMs ?? recording.rateMs,
+      speed: options.speed ?? 1,
+      loop: options.loop ?? false,
+      from: options.from ?? `recording`
+    };
+    const { speed, rateMs } = this.options;
+    if (!Number.isFinite(speed) || speed <= 0) throw new Error(`Param 'options.speed' should be a number above zero. Got: ${speed}`);
+    if (!Number.isFinite(rateMs) || rateMs <= 0) throw new Error(`Param 'options.rateMs' should be a number above zero. Got: ${rateMs}`);
+  }
+
+  /**
+   * Index of the next sample to be played
+   */
+  get position() {
+    return this.#position;
+  }
+
+  /**
+   * _True_ if playing with timers
+   */
+  get isPlaying() {
+    return this.#timer !== undefined;
+  }
+
+  /**
+   * _True_ if all samples have been played and not looping
+   */
+  get isComplete() {
+    return !this.options.loop && this.#position >= this.recording.samples.length;
+  }
+
+  /**
+   * Milliseconds between samples
+   */
+  get intervalMs() {
+    return this.options.rateMs / this.options.speed;
+  }
+
+  /**
+   * Plays the next sample, returning it as a frame.
+   * Returns _undefined_ if the recording is complete.
+   *
+   * Like MlVision's dispatcher, empty samples (eg. when nothing was detected)
+   * aren't emitted, but are still returned.
+   * @returns {Frame|undefined}
+   */
+  step() {
+    const { samples, mode } = this.recording;
+    if (this.#position >= samples.length) {
+      if (!this.options.loop || samples.length === 0) return;
+      this.#position = 0;
+    }
+    const index = this.#position++;
+    const data = samples[index];
+    const frame = { index, mode, data, remote: toRemotePacket(data, this.options.from) };
+    if (data) {
+      this.onDispatch?.(mode, data);
+      this.onRemote?.(frame.remote);
+    }
+    return frame;
+  }
+
+  /**
+   * Plays through samples without waiting, yielding each frame.
+   * If looping, this never ends by itself.
+   */
+  * frames() {
+    let frame = this.step();
+    while (frame !== undefined) {
+      yield frame;
+      frame = this.step();
+    }
+  }
+
+  /**
+   * Plays samples at `intervalMs`.
+   * Returns a promise that resolves when the recording is complete or `stop()` is called.
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.stop();
+    if (this.isComplete) this.#position = 0;
+    return new Promise(resolve => {
+      this.#resolve = resolve;
+      const tick = () => {
+        if (this.step() === undefined) {
+          this.stop();
+          return;
+        }
+        this.#timer = setTimeout(tick, this.intervalMs);
+      };
+      tick();
+    });
+  }
+
+  /**
+   * Stops playing. Playback continues from the same position if started again.
+   */
+  stop() {
+    clearTimeout(this.#timer);
+    this.#timer = undefined;
+    const resolve = this.#resolve;
+    this.#resolve = undefined;
+    resolve?.();
+  }
+
+  /**
+   * Goes back to the start of the recording
+   */
+  rewind() {
+    this.#position = 0;
+  }
+}
@@ -0,0 +1,70 @@
+// Run with `npm test`. Plays fixtures/hand-gestures.ndjson, see fixtures/README.md
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { loadRecordings } from './play-recording.js';
+import { RecordingPlayer } from './recording-player.js';
+
+const fixture = fileURLToPath(new URL(`./fixtures/hand-gestures.ndjson`, import.meta.url));
+
+test(`loads an NDJSON recording`, async () => {
+  const [ recording ] = await loadRecordings(fixture);
+  assert.equal(recording.name, `hand-gestures`);
+  assert.equal(recording.mode, `hand`);
+  assert.equal(recording.rateMs, 33);
+  assert.equal(recording.samples.length, 35);
+  assert.equal(recording.samples[0].landmarks[0].length, 21);
+});
+
+test(`steps through frames as a sender would dispatch them`, async () => {
+  const [ recording ] = await loadRecordings(fixture);
+  const player = new RecordingPlayer(recording, { from: `test` });
+  /** @type any[] */
+  const dispatched = [];
+  /** @type any[] */
+  const packets = [];
+  player.onDispatch = (mode, data) => dispatched.push({ mode, data });
+  player.onRemote = packet => packets.push(packet);
+
+  const frames = [ ...player.frames() ];
+  assert.equal(frames.length, recording.samples.length);
+  assert.ok(player.isComplete);
+  assert.equal(dispatched.length, recording.samples.length);
+  assert.equal(dispatched[0].mode, `hand`);
+  assert.deepEqual(dispatched[5].data, recording.samples[5]);
+  assert.equal(packets[0]._from, `test`);
+  assert.deepEqual(JSON.parse(packets[10].data), recording.samples[10]);
+});
+
+test(`plays with timers, resolving when complete`, async () => {
+  const [ recording ] = await loadRecordings(fixture);
+  // 1ms between samples
+  const player = new RecordingPlayer(recording, { speed: 33 });
+  assert.equal(player.intervalMs, 1);
+  let count = 0;
+  player.onDispatch = () => count++;
+  await player.start();
+  assert.equal(count, recording.samples.length);
+  assert.equal(player.isPlaying, false);
+});
+
+test(`rejects speeds that aren't positive and finite`, async () => {
+  const [ recording ] = await loadRecordings(fixture);
+  for (const speed of [ 0, -1, Number.NaN, Number.POSITIVE_INFINITY ]) {
+    assert.throws(() => new RecordingPlayer(recording, { speed }), /speed/);
+  }
+});
+
+test(`play-recording.js exits with an error for a bad --speed`, async () => {
+  const script = fileURLToPath(new URL(`./play-recording.js`, import.meta.url));
+  for (const speed of [ `0`, `abc`, `-2` ]) {
+    const { code, stderr } = await new Promise(resolve => {
+      execFile(process.execPath, [ script, fixture, `--speed=${speed}` ], { timeout: 10_000 }, (error, _stdout, stderr) => {
+        resolve({ code: error?.code, stderr });
+      });
+    });
+    assert.equal(code, 1, `--speed ${speed}`);
+    assert.match(stderr, /--speed should be a number above zero/);
+  }
+});
@@ -0,0 +1,361 @@
+/**
+ * Filters to smooth out jittery landmarks, rather than each sketch
+ * averaging values itself.
+ *
+ * Three kinds of filter are available:
+ * - `one-euro`: Smooths a lot when still, and less when moving quickly, so there's little lag.
+ *   Tune `minCutoff` to reduce jitter, and `beta` to reduce lag. Usually the best choice.
+ * - `kalman`: Assumes a constant velocity, predicting where a point is headed.
+ *   Lower `processNoise` for smoother but slower response.
+ * - `exponential`: Simple blend of new and previous values by `alpha`.
+ *
+ * Defaults are tuned for normalised (0..1) coordinates. All filters also
+ * estimate velocity, in units per second.
+ *
+ * Works on any stream of points:
+ * ```js
+ * const smoother = new PointSmoother({ type: `one-euro`, beta: 5 });
+ * const smoothed = smoother.filter(point); // { x, y, z? }
+ * smoother.velocity; // { x, y, z }
+ * ```
+ *
+ * Or a set of landmarks, with options per landmark:
+ * ```js
+ * const smoother = new LandmarksSmoother({ type: `kalman`, landmarks: { nose: { processNoise: 1 } } }, names);
+ * const smoothed = smoother.smooth(pose.landmarks);
+ * ```
+ */
+
+/**
+ * @typedef {`one-euro`|`kalman`|`exponential`} SmoothingType
+ */
+
+/**
+ * @typedef {{
+ *  type: SmoothingType
+ *  minCutoff: number
+ *  beta: number
+ *  derivativeCutoff: number
+ *  processNoise: number
+ *  measurementNoise: number
+ *  alpha: number
+ * }} SmoothingOptions
+ */
+
+/**
+ * @typedef {Partial<SmoothingOptions> & {
+ *  landmarks?: Record<string, Partial<SmoothingOptions>>
+ * }} LandmarksSmoothingOptions
+ */
+
+/**
+ * @typedef {{
+ *  filter: (value:number, elapsedSec:number) => number
+ *  velocity: number
+ *  reset: () => void
+ * }} ScalarFilter
+ */
+
+/**
+ * @typedef {{ x: number, y: number, z?: number }} Point
+ */
+
+/**
+ * Default options for each kind of filter
+ * @type {SmoothingOptions}
+ */
+export const smoothingDefaults = Object.freeze({
+  type: `one-euro`,
+  // One Euro: cutoff frequency (Hz) when still, how much cutoff increases with speed, cutoff for velocity
+  minCutoff: 1,
+  beta: 20,
+  derivativeCutoff: 1,
+  // Kalman: variance of acceleration, variance of measurements
+  processNoise: 5,
+  measurementNoise: 0.0001,
+  // Exponential: how much of the new value to use (0..1)
+  alpha: 0.5
+});
+
+/**
+ * Returns the smoothing factor for a low-pass filter at `cutoff` Hz
+ * @param {number} cutoff
+ * @param {number} elapsedSec
+ */
+const lowPassAlpha = (cutoff, elapsedSec) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / elapsedSec);
+};
+
+/**
+ * One Euro filter: an adaptive low-pass filter which filters more
+ * when the value changes slowly.
+ * See https://gery.casiez.net/1euro/
+ * @param {Partial<SmoothingOptions>} [options]
+ * @returns {ScalarFilter}
+ */
+export const oneEuroFilter = (options = {}) => {
+  const { minCutoff, beta, derivativeCutoff } = { ...smoothingDefaults, ...options };
+  /** @type {number|undefined} */
+  let value;
+  let velocity = 0;
+  return {
+    filter(v, elapsedSec) {
+      if (value === undefined || elapsedSec <= 0) {
+        value ??= v;
+        return value;
+      }
+      const rawVelocity = (v - value) / elapsedSec;
+      velocity += (rawVelocity - velocity) * lowPassAlpha(derivativeCutoff, elapsedSec);
+      const cutoff = minCutoff + beta * Math.abs(velocity);
+      value += (v - value) * lowPassAlpha(cutoff, elapsedSec);
+      return value;
+    },
+    get velocity() {
+      return velocity;
+    },
+    reset() {
+      value = undefined;
+      velocity = 0;
+    }
+  };
+};
+
+/**
+ * Kalman filter with a constant velocity model
+ * @param {Partial<SmoothingOptions>} [options]
+ * @returns {ScalarFilter}
+ */
+export const kalmanFilter = (options = {}) => {
+  const { processNoise: q, measurementNoise: r } = { ...smoothingDefaults, ...options };
+  /** @type {number|undefined} */
+  let position;
+  let velocity = 0;
+  // Covariance
+  let p00 = 1;
+  let p01 = 0;
+  let p11 = 1;
+  return {
+    filter(v, dt) {
+      if (position === undefined || dt <= 0) {
+        position ??= v;
+        return position;
+      }
+      // Predict
+      position += velocity * dt;
+      const dt2 = dt * dt;
+      p00 += dt * (2 * p01 + dt * p11) + q * dt2 * dt2 / 4;
+      p01 += dt * p11 + q * dt2 * dt / 2;
+      p11 += q * dt2;
+
+      // Correct with measurement
+      const s = p00 + r;
+      const k0 = p00 / s;
+      const k1 = p01 / s;
+      const innovation = v - position;
+      position += k0 * innovation;
+      velocity += k1 * innovation;
+      p11 -= k1 * p01;
+      p01 -= k0 * p01;
+      p00 -= k0 * p00;
+      return position;
+    },
+    get velocity() {
+      return velocity;
+    },
+    reset() {
+      position = undefined;
+      velocity = 0;
+      p00 = 1;
+      p01 = 0;
+      p11 = 1;
+    }
+  };
+};
+
+/**
+ * Exponential smoothing
+ * @param {Partial<SmoothingOptions>} [options]
+ * @returns {ScalarFilter}
+ */
+export const exponentialFilter = (options = {}) => {
+  const { alpha } = { ...smoothingDefaults, ...options };
+  /** @type {number|undefined} */
+  let value;
+  let velocity = 0;
+  return {
+    filter(v, elapsedSec) {
+      if (value === undefined) {
+        value = v;
+        return value;
+      }
+      const previous = value;
+      value += (v - value) * alpha;
+      if (elapsedSec > 0) velocity = (value - previous) / elapsedSec;
+      return value;
+    },
+    get velocity() {
+      return velocity;
+    },
+    reset() {
+      value = undefined;
+      velocity = 0;
+    }
+  };
+};
+
+/**
+ * Creates a filter for a single number
+ * @param {Partial<SmoothingOptions>} [options]
+ * @returns {ScalarFilter}
+ */
+export const scalarFilter = (options = {}) => {
+  const type = options.type ?? smoothingDefaults.type;
+  switch (type) {
+    case `one-euro`: {
+      return oneEuroFilter(options);
+    }
+    case `kalman`: {
+      return kalmanFilter(options);
+    }
+    case `exponential`: {
+      return exponentialFilter(options);
+    }
+    default: {
+      throw new Error(`Unknown smoothing type: '${type}'. Expected: one-euro, kalman or exponential`);
+    }
+  }
+};
+
+/**
+ * Smooths a stream of points, eg. a single landmark
+ */
+export class PointSmoother {
+  #x;
+  #y;
+  #z;
+  /** @type {number|undefined} */
+  #lastTime;
+
+  /**
+   * @param {Partial<SmoothingOptions>} [options]
+   */
+  constructor(options = {}) {
+    this.#x = scalarFilter(options);
+    this.#y = scalarFilter(options);
+    this.#z = scalarFilter(options);
+  }
+
+  /**
+   * Returns a smoothed copy of `point`. Other properties (eg. visibility) are kept.
+   * @template {Point} T
+   * @param {T} point
+   * @param {number} [timestamp] Time in milliseconds
+   * @returns {T}
+   */
+  filter(point, timestamp = performance.now()) {
+    const elapsedSec = this.#lastTime === undefined ? 0 : (timestamp - this.#lastTime) / 1000;
+    this.#lastTime = timestamp;
+    const smoothed = {
+      ...point,
+      x: this.#x.filter(point.x, elapsedSec),
+      y: this.#y.filter(point.y, elapsedSec)
+    };
+    if (point.z !== undefined) smoothed.z = this.#z.filter(point.z, elapsedSec);
+    return smoothed;
+  }
+
+  /**
+   * Velocity in units per second
+   * @returns {{ x:number, y:number, z:number }}
+   */
+  get velocity() {
+    return { x: this.#x.velocity, y: this.#y.velocity, z: this.#z.velocity };
+  }
+
+  /**
+   * Start again, forgetting previous values
+   */
+  reset() {
+    this.#x.reset();
+    this.#y.reset();
+    this.#z.reset();
+    this.#lastTime = undefined;
+  }
+}
+
+/**
+ * Smooths a set of landmarks, eg. of a pose or hand, with a PointSmoother for each.
+ *
+ * Options for particular landmarks can be given by name or index, eg.
+ * to smooth hands more than the rest of the body:
+ * ```js
+ * const options = { beta: 5, landmarks: { left_wrist: { beta: 1 }, right_wrist: { beta: 1 } } }
+ * ```
+ */
+export class LandmarksSmoother {
+  /** @type {PointSmoother[]} */
+  #smoothers = [];
+  #options;
+  #names;
+
+  /**
+   * @param {LandmarksSmoothingOptions} [options]
+   * @param {readonly string[]} [names] Names of landmarks, in index order
+   */
+  constructor(options = {}, names = []) {
+    this.#options = options;
+    this.#names = names;
+  }
+
+  /**
+   * Returns smoothed copies of `landmarks`
+   * @template {Point} T
+   * @param {readonly T[]} landmarks
+   * @param {number} [timestamp] Time in milliseconds
+   * @returns {T[]}
+   */
+  smooth(landmarks, timestamp = performance.now()) {
+    return landmarks.map((lm, index) => this.#smootherFor(index).filter(lm, timestamp));
+  }
+
+  /**
+   * Returns the velocity of each landmark, in units per second
+   */
+  get velocities() {
+    return this.#smoothers.map(s => s.velocity);
+  }
+
+  /**
+   * Returns the velocity of a landmark by name or index, in units per second
+   * @param {string|number} nameOrIndex
+   */
+  velocity(nameOrIndex) {
+    const index = typeof nameOrIndex === `number` ? nameOrIndex : this.#names.indexOf(nameOrIndex);
+    return this.#smoothers[index]?.velocity;
+  }
+
+  /**
+   * Start again, forgetting previous values
+   */
+  reset() {
+    for (const s of this.#smoothers) s.reset();
+  }
+
+  /**
+   * @param {number} index
+   */
+  #smootherFor(index) {
+    let s = this.#smoothers[index];
+    if (s) return s;
+    const { landmarks = {}, ...options } = this.#options;
+    const name = this.#names[index];
+    s = new PointSmoother({
+      ...options,
+      ...landmarks[index],
+      ...(name === undefined ? {} : landmarks[name])
+    });
+    this.#smoothers[index] = s;
+    return s;
+  }
+}
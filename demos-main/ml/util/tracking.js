@@ -0,0 +1,566 @@
+/**
+ * Keeps track of several hands or faces over time, much like PosesTracker does for poses.
+ *
+ * Hand and face results arrive as arrays whose order can change from frame to frame.
+ * `IdMatcher` gives each a persistent id by matching it to where a hand/face was
+ * predicted to be, and `MultiTracker` keeps a `LandmarksTracker` for each id, with a
+ * PointTracker per landmark.
+ *
+ * See HandsTracker (ml/hand/util) and FacesTracker (ml/face/util), which build on this.
+ */
+import { Points, PointsTracker, Rects } from '@ixfx/geometry.js';
+import { LandmarksSmoother } from './smoothing.js';
+import { Identities } from './identities.js';
+
+/**
+ * @typedef {import('@ixfx/geometry.js').Point} Point
+ * @typedef {import('@ixfx/trackers.js').TrackedValueOpts} TrackedValueOpts
+ */
+
+/**
+ * @typedef {{
+ *  centroid: Point|undefined
+ *  key?: string|undefined
+ * }} Observation
+ */
+
+/**
+ * @typedef {import('./identities.js').IdentitiesOptions & {
+ *  reacquireDistance: number
+ * }} IdMatcherOptions
+ */
+
+/**
+ * @typedef {import('./identities.js').TrackedIdentity & {
+ *  key: string|undefined
+ * }} TrackedId
+ */
+
+/**
+ * @typedef {TrackedValueOpts & {
+ *  smoothing?: import('./smoothing.js').LandmarksSmoothingOptions
+ * }} LandmarksTrackerOptions
+ */
+
+/**
+ * @typedef {LandmarksTrackerOptions & IdMatcherOptions & {
+ *  maxAgeMs: number
+ * }} MultiTrackerOptions
+ */
+
+/**
+ * Gives observations (eg. hands) persistent ids, by matching them to where
+ * previously seen observations are predicted to be. See identities.js.
+ *
+ * Observations can have a `key`, eg. handedness, in which case they only match
+ * observations with the same key.
+ *
+ * A lost id is kept for `reacquireWindowMs` and given back if an observation
+ * appears within `reacquireDistance` of where it was lost.
+ *
+ * Events:
+ * - lost: Not seen for `lostAfterMs`. Detail: { from, id }
+ * - reacquired: A lost id was seen again. Detail: { from, id, lostMs }
+ * @extends {Identities<Observation,TrackedId>}
+ */
+export class IdMatcher extends Identities {
+  /**
+   * Defaults:
+   * * maxDistance: 0.15 - how far (in normalised coordinates) from its predicted position an observation can be
+   * * reacquireDistance: 0.3 - how far from where it was lost an observation can be reacquired
+   * * lostAfterMs: 500 - an id not seen for this long is lost
+   * * reacquireWindowMs: 5000 - how long a lost id can be reacquired
+   * @param {Partial<IdMatcherOptions>} [options]
+   */
+  constructor(options = {}) {
+    super(options);
+    // Not declared as a field, as that would reset what the base class set
+    /** @type IdMatcherOptions */
+    this.options = {
+      ...this.options,
+      reacquireDistance: 0.3,
+      ...options
+    };
+  }
+
+  /**
+   * Returns an id for each observation from a sender.
+   * Observations without a centroid aren't given an id.
+   * Call with each frame of data, even if it's empty.
+   * @param {string} from Sender id
+   * @param {Observation[]} observations
+   * @param {number} [now] Timestamp of data
+   * @returns {Array<string|undefined>}
+   */
+  match(from, observations, now = performance.now()) {
+    return this.assign(from, observations, now).map(t => t?.id);
+  }
+
+  /**
+   * @param {TrackedId} t
+   * @param {Observation} o
+   * @param {number} distance
+   */
+  cost(t, o, distance) {
+    if (sameKey(t.key, o.key)) return distance;
+  }
+
+  /**
+   * @param {TrackedId} t
+   * @param {Observation} o
+   */
+  reacquireCost(t, o) {
+    if (!o.centroid || !sameKey(t.key, o.key)) return;
+    const distance = Points.distance(t.centroid, o.centroid);
+    if (distance <= this.options.reacquireDistance) return distance;
+  }
+
+  /**
+   * @param {TrackedId} t
+   * @param {Observation} o
+   */
+  updated(t, o) {
+    t.key ??= o.key;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} from
+   * @param {Observation} o
+   * @param {Point} centroid
+   * @param {number} now
+   * @returns {TrackedId}
+   */
+  create(id, from, o, centroid, now) {
+    return { ...super.create(id, from, o, centroid, now), key: undefined };
+  }
+}
+
+/**
+ * Returns _false_ if both keys are known and different
+ * @param {string|undefined} a
+ * @param {string|undefined} b
+ */
+const sameKey = (a, b) => a === undefined || b === undefined || a === b;
+
+/**
+ * Keeps track of the landmarks of a single hand or face, with a
+ * [PointTracker](https://api.ixfx.fun/classes/Trackers.PointTracker) for each landmark.
+ *
+ * If the `smoothing` option is set, landmarks are smoothed before being tracked, see smoothing.js
+ * @template T Raw data type
+ */
+export class LandmarksTracker {
+  /** @type PointsTracker */
+  points;
+  #fromId;
+  #id;
+  #guid;
+  #names;
+  #seen = 0;
+  #hue;
+  /** @type {T|undefined} */
+  #data;
+  /** @type {Point[]} */
+  #landmarks = [];
+  /** @type {LandmarksSmoother|undefined} */
+  smoother;
+
+  /**
+   * @param {string} fromId Sender id
+   * @param {string} id Id, unique for this sender
+   * @param {readonly string[]} names Names of landmarks, in index order
+   * @param {Partial<LandmarksTrackerOptions>} [options]
+   */
+  constructor(fromId, id, names, options = {}) {
+    this.#fromId = fromId;
+    this.#id = id;
+    this.#guid = fromId + `-` + id;
+    this.#names = names;
+    this.#hue = Math.random() * 360;
+    this.points = new PointsTracker({
+      sampleLimit: options.sampleLimit ?? 10,
+      storeIntermediate: options.storeIntermediate ?? false
+    });
+    if (options.smoothing) this.smoother = new LandmarksSmoother(options.smoothing, names);
+  }
+
+  /**
+   * Reset stored data for the tracker
+   */
+  reset() {
+    this.points.reset();
+    this.smoother?.reset();
+  }
+
+  /**
+   * Update with new data
+   * @param {T} data Raw data
+   * @param {Point[]} landmarks Landmarks of data, in index order
+   */
+  async seenLandmarks(data, landmarks) {
+    this.#seen = Date.now();
+    this.#data = data;
+    if (this.smoother) landmarks = this.smoother.smooth(landmarks);
+    this.#landmarks = landmarks;
+    for (const [ index, lm ] of landmarks.entries()) {
+      await this.points.seen(this.#names[index] ?? index.toString(), lm);
+    }
+  }
+
+  /**
+   * Returns a [PointTracker](https://api.ixfx.fun/classes/Trackers.PointTracker) for a landmark by name or index
+   * @param {string|number} nameOrIndex
+   */
+  landmark(nameOrIndex) {
+    return this.points.get(this.#nameOf(nameOrIndex));
+  }
+
+  /**
+   * Returns the last position of a landmark.
+   * Throws an error if there's no data for it.
+   * @param {string|number} nameOrIndex
+   * @returns {Point}
+   */
+  landmarkValue(nameOrIndex) {
+    const name = this.#nameOf(nameOrIndex);
+    const index = typeof nameOrIndex === `number` ? nameOrIndex : this.#names.indexOf(name);
+    const pt = this.#landmarks[index];
+    if (pt === undefined) throw new Error(`No data for point '${name}'`);
+    return pt;
+  }
+
+  /**
+   * Returns the velocity of a landmark in units per second,
+   * or _undefined_ if the `smoothing` option isn't set
+   * @param {string|number} nameOrIndex
+   */
+  landmarkVelocity(nameOrIndex) {
+    return this.smoother?.velocity(nameOrIndex);
+  }
+
+  /**
+   * Returns all the PointTrackers (ie. landmarks)
+   */
+  * getPointTrackers() {
+    yield* this.points.store.values();
+  }
+
+  /**
+   * Returns the last landmarks, smoothed if the `smoothing` option is set.
+   * Use `last` for the raw data.
+   * @returns {Point[]}
+   */
+  get landmarks() {
+    return this.#landmarks;
+  }
+
+  /**
+   * Returns the centroid of the landmarks,
+   * or {0.5,0.5} if data is missing
+   * @returns {Point}
+   */
+  get centroid() {
+    if (this.#landmarks.length === 0) return { x: 0.5, y: 0.5 };
+    return Points.centroid(...this.#landmarks);
+  }
+
+  /**
+   * Returns the bounding box of the landmarks
+   */
+  get box() {
+    if (this.#landmarks.length === 0) return Rects.EmptyPositioned;
+    return Points.bbox(...this.#landmarks);
+  }
+
+  /**
+   * Returns the middle of the bounding box
+   * @returns {Point}
+   */
+  get middle() {
+    const box = this.box;
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  }
+
+  /**
+   * Returns the randomly-assigned hue (0..360)
+   */
+  get hue() {
+    return this.#hue;
+  }
+
+  /**
+   * Returns a CSS colour based on the randomly-assigned hue
+   */
+  get hsl() {
+    return `hsl(${this.#hue}, 70%, 50%)`;
+  }
+
+  /**
+   * Returns the globally unique id (fromId-id)
+   */
+  get guid() {
+    return this.#guid;
+  }
+
+  /**
+   * Returns the id, which is only unique for a sender
+   */
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * Returns the id of the sender
+   */
+  get fromId() {
+    return this.#fromId;
+  }
+
+  /**
+   * Returns milliseconds since last updated
+   */
+  get elapsed() {
+    return Date.now() - this.#seen;
+  }
+
+  /**
+   * Returns the last raw data
+   * @returns {T|undefined}
+   */
+  get last() {
+    return this.#data;
+  }
+
+  /**
+   * @param {string|number} nameOrIndex
+   * @returns {string}
+   */
+  #nameOf(nameOrIndex) {
+    if (nameOrIndex === undefined) throw new TypeError(`Param 'nameOrIndex' is undefined. Expected landmark name or numerical index`);
+    if (typeof nameOrIndex === `string`) return nameOrIndex;
+    return this.#names[nameOrIndex] ?? nameOrIndex.toString();
+  }
+}
+
+/**
+ * Keeps track of several hands or faces, from one or more senders.
+ * Subclasses provide `createTracker`.
+ *
+ * Events (where 'kind' is eg. 'hand'):
+ * - added: New id. Detail: tracker
+ * - expired: Not seen for `maxAgeMs` and removed. Detail: tracker
+ * - kind-lost: Not seen for a moment, but might reappear. Detail: tracker
+ * - kind-reacquired: A lost one has reappeared. Detail: tracker
+ * @template {LandmarksTracker<any>} T
+ */
+export class MultiTracker extends EventTarget {
+  /** @type string */
+  kind;
+  /** @type IdMatcher */
+  matcher;
+  /** @type {Map<string,T>} */
+  #data = new Map();
+  /** @type MultiTrackerOptions */
+  options;
+  /** @type {Array<{ from:string, id:string }>} */
+  #reacquired = [];
+  /** @type {ReturnType<typeof setInterval>|undefined} */
+  #timer;
+
+  /**
+   * @param {string} kind Prefix for lost & reacquired events
+   * @param {Partial<MultiTrackerOptions>} [options]
+   */
+  constructor(kind, options = {}) {
+    super();
+    this.kind = kind;
+    const maxAgeMs = options.maxAgeMs ?? 10_000;
+    this.options = {
+      maxAgeMs,
+      sampleLimit: 100,
+      storeIntermediate: false,
+      // Needs to be lost before it expires, and only reacquired while its tracker is kept
+      lostAfterMs: Math.min(500, maxAgeMs / 2),
+      reacquireDistance: 0.3,
+      reacquireWindowMs: Math.min(5000, maxAgeMs),
+      maxDistance: 0.15,
+      ...options
+    };
+    this.matcher = new IdMatcher(this.options);
+    this.matcher.addEventListener(`lost`, event => {
+      const { from, id } = /** @type CustomEvent */(event).detail;
+      const tracker = this.#data.get(`${from}-${id}`);
+      if (tracker) this.dispatchEvent(new CustomEvent(`${kind}-lost`, { detail: tracker }));
+    });
+    this.matcher.addEventListener(`reacquired`, event => {
+      // Dispatched once the tracker has the new data
+      this.#reacquired.push(/** @type CustomEvent */(event).detail);
+    });
+  }
+
+  /**
+   * Checks for lost and expired trackers while there are any.
+   * Started when something is tracked, so a tracker that's never used has no timer running.
+   */
+  #startTimer() {
+    if (this.#timer !== undefined) return;
+    this.#timer = setInterval(() => {
+      this.matcher.checkLost();
+      const expired = [ ...this.#data.entries() ].filter(entry => entry[1].elapsed > this.options.maxAgeMs);
+      for (const [ guid, tracker ] of expired) {
+        this.#data.delete(guid);
+        this.dispatchEvent(new CustomEvent(`expired`, { detail: tracker }));
+      }
+      // Ids are lost before they expire, so there's nothing left to check
+      if (this.#data.size === 0) this.dispose();
+    }, 100);
+  }
+
+  /**
+   * Creates a tracker for a new id
+   * @param {string} _from
+   * @param {string} _id
+   * @returns {T}
+   */
+  createTracker(_from, _id) {
+    throw new Error(`createTracker should be implemented by subclass`);
+  }
+
+  /**
+   * Matches items to their ids and passes them to their trackers.
+   * Returns the guid of each item, in the same order.
+   * @param {string} from Sender id
+   * @param {Array<{ observation: Observation, update: (tracker:T) => Promise<void> }>} items
+   * @returns {Array<string|undefined>}
+   */
+  track(from, items) {
+    if (from === undefined) throw new Error(`Param 'from' is undefined`);
+    const ids = this.matcher.match(from, items.map(item => item.observation));
+    const guids = ids.map((id, index) => {
+      if (id === undefined) return;
+      const guid = `${from}-${id}`;
+      let tracker = this.#data.get(guid);
+      if (tracker === undefined) {
+        tracker = this.createTracker(from, id);
+        this.#data.set(guid, tracker);
+        this.#startTimer();
+        this.#update(items[index], tracker);
+        this.dispatchEvent(new CustomEvent(`added`, { detail: tracker }));
+      } else {
+        this.#update(items[index], tracker);
+      }
+      return guid;
+    });
+
+    for (const { from, id } of this.#reacquired.splice(0)) {
+      const tracker = this.#data.get(`${from}-${id}`);
+      if (tracker) this.dispatchEvent(new CustomEvent(`${this.kind}-reacquired`, { detail: tracker }));
+    }
+    return guids;
+  }
+
+  /**
+   * Passes an item to its tracker. Updating is async, so errors are logged
+   * rather than left as unhandled rejections.
+   * @param {{ update: (tracker:T) => Promise<void> }} item
+   * @param {T} tracker
+   */
+  #update(item, tracker) {
+    item.update(tracker).catch(error => console.error(`Could not update ${tracker.guid}`, error));
+  }
+
+  /**
+   * Enumerates trackers in the order they were first seen
+   */
+  * get() {
+    yield* [ ...this.#data.values() ];
+  }
+
+  /**
+   * Enumerates trackers, most recently updated first
+   */
+  * getByAge() {
+    const trackers = [ ...this.#data.values() ];
+    trackers.sort((a, b) => a.elapsed - b.elapsed);
+    yield* trackers;
+  }
+
+  /**
+   * Enumerates trackers, leftmost first
+   */
+  * getByHorizontal() {
+    const trackers = [ ...this.#data.values() ];
+    trackers.sort((a, b) => a.middle.x - b.middle.x);
+    yield* trackers;
+  }
+
+  /**
+   * Enumerates trackers from a sender
+   * @param {string} senderId
+   */
+  * getFromSender(senderId) {
+    for (const tracker of [ ...this.#data.values() ]) {
+      if (tracker.fromId === senderId) yield tracker;
+    }
+  }
+
+  /**
+   * Enumerates the unique sender ids
+   */
+  * getSenderIds() {
+    yield* new Set([ ...this.#data.values() ].map(t => t.fromId));
+  }
+
+  /**
+   * Enumerates the PointTracker for a landmark across all trackers
+   * @param {string|number} nameOrIndex
+   */
+  * getPointTrackers(nameOrIndex) {
+    for (const tracker of this.get()) {
+      const pt = tracker.landmark(nameOrIndex);
+      if (pt) yield pt;
+    }
+  }
+
+  /**
+   * Enumerates the last raw data of each tracker
+   */
+  * getRaw() {
+    for (const tracker of this.get()) {
+      if (tracker.last !== undefined) yield tracker.last;
+    }
+  }
+
+  /**
+   * Returns the tracker for a globally-unique id (sender-id)
+   * @param {string} guid
+   * @returns {T|undefined}
+   */
+  getByGuid(guid) {
+    return this.#data.get(guid);
+  }
+
+  /**
+   * Returns the number of trackers
+   */
+  get size() {
+    return this.#data.size;
+  }
+
+  /**
+   * Clear all data
+   */
+  clear() {
+    this.#data.clear();
+    this.matcher.clear();
+  }
+
+  /**
+   * Stops checking for lost and expired trackers, until something new is tracked
+   */
+  dispose() {
+    clearInterval(this.#timer);
+    this.#timer = undefined;
+  }
+}
@@ -0,0 +1,401 @@
+/**
+ * Named regions of the camera frame, with events when tracked points
+ * go in and out of them.
+ *
+ * Zones are polygons or rectangles in normalised (0..1) coordinates:
+ * ```js
+ * const zones = new ZoneWatcher([
+ *  { name: `door`, x: 0, y: 0, width: 0.2, height: 1 },
+ *  { name: `stage`, points: [ { x: 0.3, y: 1 }, { x: 0.5, y: 0.6 }, { x: 0.7, y: 1 } ] }
+ * ]);
+ *
+ * zones.addEventListener(`enter`, event => {
+ *  const { zone, track, landmark } = event.detail;
+ * });
+ *
+ * // Points of a tracked thing, by name or as an array
+ * zones.update(pose.guid, { left_wrist: ..., right_wrist: ... });
+ * ```
+ *
+ * Events, for each landmark as well as the track as a whole (where `landmark` is _undefined_):
+ * - enter: Went into a zone. Detail: { zone, track, landmark, durationMs: 0 }
+ * - exit: Left a zone. Detail: { zone, track, landmark, durationMs } with how long it was inside
+ * - dwell: Has been inside a zone for `dwellMs`. Detail: { zone, track, landmark, durationMs }
+ *
+ * A track is inside a zone while any of its landmarks are.
+ */
+
+/**
+ * @typedef {{ x: number, y: number, visibility?: number }} Point
+ */
+
+/**
+ * @typedef {{ name: string, points: Point[] } | { name: string, x: number, y: number, width: number, height: number }} ZoneDefinition
+ */
+
+/**
+ * @typedef {{
+ *  debounceMs: number
+ *  dwellMs: number
+ *  landmarks: Array<string|number>
+ *  names: readonly string[]
+ *  minVisibility: number
+ * }} ZoneWatcherOptions
+ */
+
+/**
+ * @typedef {Readonly<{
+ *  zone: string
+ *  track: string
+ *  landmark: string|undefined
+ *  durationMs: number
+ * }>} ZoneEventDetail
+ */
+
+/**
+ * State of something in relation to a zone
+ * @typedef {{
+ *  inside: boolean
+ *  pending?: boolean
+ *  pendingSince: number
+ *  enteredAt: number
+ *  dwelled: boolean
+ * }} ZoneState
+ */
+
+export class Zone {
+  /** @type string */
+  name;
+  /**
+   * Corners of zone, in normalised coordinates
+   * @type {Point[]}
+   */
+  points;
+
+  /**
+   * @param {ZoneDefinition} definition
+   */
+  constructor(definition) {
+    this.name = definition.name;
+    if (`points` in definition) {
+      if (definition.points.length < 3) throw new Error(`Zone '${definition.name}' needs at least three points`);
+      this.points = definition.points.map(p => ({ x: p.x, y: p.y }));
+    } else {
+      const { x, y, width, height } = definition;
+      this.points = [ { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height } ];
+    }
+  }
+
+  /**
+   * Returns _true_ if point is inside the zone
+   * @param {Point} point
+   */
+  contains(point) {
+    // Count how many edges a ray from the point crosses
+    let inside = false;
+    const { points } = this;
+    for (let index = 0, previous = points.length - 1; index < points.length; previous = index++) {
+      const a = points[index];
+      const b = points[previous];
+      if ((a.y > point.y) === (b.y > point.y)) continue;
+      const crossX = a.x + (point.y - a.y) / (b.y - a.y) * (b.x - a.x);
+      if (point.x < crossX) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * Returns the zone in a form that can be saved as JSON
+   */
+  toJSON() {
+    return { name: this.name, points: this.points };
+  }
+}
+
+/**
+ * Watches points of tracks (eg. poses, hands or detected objects), dispatching events
+ * as they enter, exit and dwell in zones.
+ */
+export class ZoneWatcher extends EventTarget {
+  /** @type ZoneWatcherOptions */
+  options;
+  /** @type {Map<string,Zone>} */
+  zones = new Map();
+  /**
+   * State per track, per zone: for the track as a whole and each of its landmarks
+   * @type {Map<string,Map<string,{ track:ZoneState, landmarks:Map<string,ZoneState> }>>}
+   */
+  #states = new Map();
+
+  /**
+   * Defaults:
+   * * debounceMs: 100 - how long something has to be in or out of a zone before it counts
+   * * dwellMs: 1000 - how long something has to be inside for a `dwell` event
+   * * landmarks: landmarks to watch, by name or index. Defaults to all
+   * * names: names of landmarks in index order, so they can be watched by name when given as an array
+   * * minVisibility: 0.5 - points less visible than this count as outside every zone
+   * @param {ZoneDefinition[]} [zones]
+   * @param {Partial<ZoneWatcherOptions>} [options]
+   */
+  constructor(zones = [], options = {}) {
+    super();
+    this.options = {
+      debounceMs: 100,
+      dwellMs: 1000,
+      landmarks: [],
+      names: [],
+      minVisibility: 0.5,
+      ...options
+    };
+    for (const zone of zones) this.add(zone);
+  }
+
+  /**
+   * Adds a zone, replacing any with the same name
+   * @param {ZoneDefinition} definition
+   */
+  add(definition) {
+    const zone = new Zone(definition);
+    this.zones.set(zone.name, zone);
+    return zone;
+  }
+
+  /**
+   * Removes a zone. Anything inside exits.
+   * @param {string} name
+   * @param {number} [now]
+   */
+  remove(name, now = performance.now()) {
+    for (const [ track, zones ] of this.#states) {
+      const state = zones.get(name);
+      if (!state) continue;
+      for (const [ landmark, landmarkState ] of state.landmarks) this.#exit(name, track, landmark, landmarkState, now);
+      this.#exit(name, track, undefined, state.track, now);
+      zones.delete(name);
+    }
+    this.zones.delete(name);
+  }
+
+  /**
+   * Update with the latest points of a track.
+   * Points can be a single point, an array (eg. of landmarks) or an object of named points.
+   * Landmarks that aren't visible, or are missing from `points`, count as outside (after `debounceMs`).
+   * @param {string} track Id of track, eg. a pose's guid
+   * @param {Point|Point[]|Record<string,Point>} points
+   * @param {number} [now] Timestamp of data
+   */
+  update(track, points, now = performance.now()) {
+    const { minVisibility } = this.options;
+    let zones = this.#states.get(track);
+    if (!zones) {
+      zones = new Map();
+      this.#states.set(track, zones);
+    }
+    const named = this.#watched(points);
+    for (const zone of this.zones.values()) {
+      let state = zones.get(zone.name);
+      if (!state) {
+        state = { track: createState(), landmarks: new Map() };
+        zones.set(zone.name, state);
+      }
+      // Landmarks seen before are outside unless they are visible now
+      /** @type {Map<string,boolean>} */
+      const landmarksInside = new Map([ ...state.landmarks.keys() ].map(landmark => [ landmark, false ]));
+      for (const [ landmark, point ] of named) {
+        if (point && (point.visibility ?? 1) >= minVisibility) landmarksInside.set(landmark, zone.contains(point));
+      }
+      for (const [ landmark, isInside ] of landmarksInside) {
+        let landmarkState = state.landmarks.get(landmark);
+        if (!landmarkState) {
+          landmarkState = createState();
+          state.landmarks.set(landmark, landmarkState);
+        }
+        this.#updateState(zone.name, track, landmark, landmarkState, isInside, now);
+      }
+      // Landmarks are already debounced, so the track follows them straight away
+      const inside = [ ...state.landmarks.values() ].some(s => s.inside);
+      this.#updateState(zone.name, track, undefined, state.track, inside, now, true);
+    }
+  }
+
+  /**
+   * Forget a track, eg. when it's no longer seen. It exits any zones it was in.
+   * @param {string} track
+   * @param {number} [now]
+   */
+  forget(track, now = performance.now()) {
+    for (const [ zone, state ] of this.#states.get(track) ?? []) {
+      for (const [ landmark, landmarkState ] of state.landmarks) this.#exit(zone, track, landmark, landmarkState, now);
+      this.#exit(zone, track, undefined, state.track, now);
+    }
+    this.#states.delete(track);
+  }
+
+  /**
+   * Returns the names of zones a track (or one of its landmarks) is inside
+   * @param {string} track
+   * @param {string} [landmark]
+   * @returns {string[]}
+   */
+  getZonesOf(track, landmark) {
+    const names = [];
+    for (const [ zone, state ] of this.#states.get(track) ?? []) {
+      const s = landmark === undefined ? state.track : state.landmarks.get(landmark);
+      if (s?.inside) names.push(zone);
+    }
+    return names;
+  }
+
+  /**
+   * Returns the ids of tracks inside a zone
+   * @param {string} zone
+   * @returns {string[]}
+   */
+  getTracksIn(zone) {
+    const tracks = [];
+    for (const [ track, zones ] of this.#states) {
+      if (zones.get(zone)?.track.inside) tracks.push(track);
+    }
+    return tracks;
+  }
+
+  /**
+   * Returns the points to watch, keyed by landmark name (or index if it has no name)
+   * @param {Point|Point[]|Record<string,Point>} points
+   * @returns {Array<[string,Point]>}
+   */
+  #watched(points) {
+    const { landmarks, names } = this.options;
+    /** @type {Array<[string,Point]>} */
+    let named;
+    if (Array.isArray(points)) {
+      named = points.map((p, index) => [ names[index] ?? index.toString(), p ]);
+    } else if (typeof points.x === `number` && typeof points.y === `number`) {
+      named = [ [ `point`, /** @type Point */(points) ] ];
+    } else {
+      named = Object.entries(/** @type Record<string,Point> */(points));
+    }
+    if (landmarks.length === 0) return named;
+    const watched = new Set(landmarks.map(l => (typeof l === `number` ? names[l] ?? l.toString() : l)));
+    return named.filter(([ name ]) => watched.has(name));
+  }
+
+  /**
+   * Enters, exits or dwells, depending on whether something is inside
+   * @param {string} zone
+   * @param {string} track
+   * @param {string|undefined} landmark
+   * @param {ZoneState} state
+   * @param {boolean} inside
+   * @param {number} now
+   * @param {boolean} [immediate] Skip debouncing
+   */
+  #updateState(zone, track, landmark, state, inside, now, immediate = false) {
+    if (inside === state.inside) {
+      state.pending = undefined;
+    } else {
+      if (state.pending !== inside) {
+        state.pending = inside;
+        state.pendingSince = now;
+      }
+      if (immediate || now - state.pendingSince >= this.options.debounceMs) {
+        if (inside) {
+          state.inside = true;
+          state.pending = undefined;
+          state.enteredAt = now;
+          state.dwelled = false;
+          this.#dispatch(`enter`, zone, track, landmark, 0);
+        } else {
+          this.#exit(zone, track, landmark, state, now);
+        }
+      }
+    }
+    if (state.inside && !state.dwelled && now - state.enteredAt >= this.options.dwellMs) {
+      state.dwelled = true;
+      this.#dispatch(`dwell`, zone, track, landmark, now - state.enteredAt);
+    }
+  }
+
+  /**
+   * @param {string} zone
+   * @param {string} track
+   * @param {string|undefined} landmark
+   * @param {ZoneState} state
+   * @param {number} now
+   */
+  #exit(zone, track, landmark, state, now) {
+    state.pending = undefined;
+    if (!state.inside) return;
+    state.inside = false;
+    this.#dispatch(`exit`, zone, track, landmark, now - state.enteredAt);
+  }
+
+  /**
+   * @param {`enter`|`exit`|`dwell`} type
+   * @param {string} zone
+   * @param {string} track
+   * @param {string|undefined} landmark
+   * @param {number} durationMs
+   */
+  #dispatch(type, zone, track, landmark, durationMs) {
+    /** @type ZoneEventDetail */
+    const detail = { zone, track, landmark, durationMs };
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+/**
+ * @returns {ZoneState}
+ */
+const createState = () => ({ inside: false, pendingSince: 0, enteredAt: 0, dwelled: false });
+
+/**
+ * Draws zones on a canvas. Zones with something inside are filled.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ZoneWatcher} watcher
+ * @param {{ width:number, height:number }} size Size of canvas
+ */
+export const drawZones = (ctx, watcher, size) => {
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.font = `14px sans-serif`;
+  for (const zone of watcher.zones.values()) {
+    const occupied = watcher.getTracksIn(zone.name).length > 0;
+    ctx.beginPath();
+    for (const p of zone.points) ctx.lineTo(p.x * size.width, p.y * size.height);
+    ctx.closePath();
+    ctx.fillStyle = occupied ? `hsla(50, 100%, 50%, 0.3)` : `hsla(200, 100%, 50%, 0.1)`;
+    ctx.fill();
+    ctx.strokeStyle = occupied ? `hsl(50, 100%, 50%)` : `hsl(200, 100%, 50%)`;
+    ctx.stroke();
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.fillText(zone.name, zone.points[0].x * size.width + 4, zone.points[0].y * size.height + 16);
+  }
+  ctx.restore();
+};
+
+/**
+ * Draws zones on top of MlVision's overlay, eg. in a sender sketch to help place them.
+ * Returns a function to stop drawing.
+ *
+ * ```js
+ * const ds = new MlVision(`#is`, { ... });
+ * ds.init();
+ * attachZoneOverlay(ds.el.overlayEl.value, zones);
+ * ```
+ * @param {import('../lib/index.js').OverlayElement|undefined} overlay
+ * @param {ZoneWatcher} watcher
+ */
+export const attachZoneOverlay = (overlay, watcher) => {
+  if (!overlay) throw new Error(`Overlay element not available (yet?)`);
+  const draw = overlay.draw;
+  overlay.draw = (mode, data) => {
+    draw.call(overlay, mode, data);
+    const canvas = overlay.canvasEl.value;
+    const ctx = canvas?.getContext(`2d`);
+    if (canvas && ctx) drawZones(ctx, watcher, canvas);
+  };
+  return () => {
+    overlay.draw = draw;
+  };
+};
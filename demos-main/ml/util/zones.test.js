@@ -0,0 +1,111 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZoneWatcher } from './zones.js';
+
+const inside = { x: 0.2, y: 0.5 };
+const outside = { x: 0.8, y: 0.5 };
+
+/**
+ * Returns a watcher with a zone covering the left half of the frame,
+ * and the events it dispatches, as eg. `enter left a wrist`.
+ * Events for the track as a whole end with `*`
+ * @param {Partial<import('./zones.js').ZoneWatcherOptions>} [options]
+ */
+const watch = (options) => {
+  const zones = new ZoneWatcher([ { name: `left`, x: 0, y: 0, width: 0.5, height: 1 } ], options);
+  /** @type string[] */
+  const events = [];
+  /** @type number[] */
+  const durations = [];
+  for (const type of [ `enter`, `exit`, `dwell` ]) {
+    zones.addEventListener(type, event => {
+      const { zone, track, landmark, durationMs } = /** @type CustomEvent */(event).detail;
+      events.push(`${type} ${zone} ${track} ${landmark ?? `*`}`);
+      durations.push(durationMs);
+    });
+  }
+  return { zones, events, durations };
+};
+
+test(`enters and exits only after debounceMs`, () => {
+  const { zones, events, durations } = watch({ debounceMs: 100 });
+  zones.update(`a`, inside, 0);
+  zones.update(`a`, inside, 50);
+  assert.deepEqual(events, []);
+  zones.update(`a`, inside, 100);
+  assert.deepEqual(events, [ `enter left a point`, `enter left a *` ]);
+  assert.deepEqual(zones.getZonesOf(`a`), [ `left` ]);
+  assert.deepEqual(zones.getTracksIn(`left`), [ `a` ]);
+
+  // Briefly outside doesn't count
+  zones.update(`a`, outside, 150);
+  zones.update(`a`, inside, 200);
+  zones.update(`a`, outside, 250);
+  zones.update(`a`, outside, 300);
+  assert.equal(events.length, 2);
+
+  zones.update(`a`, outside, 350);
+  assert.deepEqual(events.slice(2), [ `exit left a point`, `exit left a *` ]);
+  assert.deepEqual(durations.slice(2), [ 250, 250 ]);
+  assert.deepEqual(zones.getTracksIn(`left`), []);
+});
+
+test(`dwells once while inside`, () => {
+  const { zones, events, durations } = watch({ debounceMs: 0, dwellMs: 300 });
+  for (const now of [ 0, 100, 200, 300, 500, 800 ]) zones.update(`a`, inside, now);
+  assert.deepEqual(events, [ `enter left a point`, `enter left a *`, `dwell left a point`, `dwell left a *` ]);
+  assert.deepEqual(durations.slice(2), [ 300, 300 ]);
+
+  // Dwells again after going out and back in
+  zones.update(`a`, outside, 900);
+  zones.update(`a`, inside, 1000);
+  zones.update(`a`, inside, 1300);
+  assert.equal(events.filter(event => event.startsWith(`dwell`)).length, 4);
+});
+
+test(`counts invisible and missing landmarks as outside`, () => {
+  const { zones, events } = watch({ debounceMs: 0, minVisibility: 0.5 });
+  zones.update(`a`, { wrist: { ...inside, visibility: 0.9 }, elbow: { ...inside, visibility: 0.9 } }, 0);
+  assert.deepEqual(events, [ `enter left a wrist`, `enter left a elbow`, `enter left a *` ]);
+
+  // Track stays inside while any landmark is
+  zones.update(`a`, { wrist: { ...inside, visibility: 0.9 }, elbow: { ...inside, visibility: 0.1 } }, 100);
+  assert.deepEqual(events.slice(3), [ `exit left a elbow` ]);
+  assert.deepEqual(zones.getZonesOf(`a`), [ `left` ]);
+  assert.deepEqual(zones.getZonesOf(`a`, `wrist`), [ `left` ]);
+
+  zones.update(`a`, {}, 200);
+  assert.deepEqual(events.slice(4), [ `exit left a wrist`, `exit left a *` ]);
+  assert.deepEqual(zones.getZonesOf(`a`), []);
+});
+
+test(`only watches the given landmarks`, () => {
+  const { zones, events } = watch({ debounceMs: 0, landmarks: [ 1 ], names: [ `nose`, `wrist` ] });
+  zones.update(`a`, [ inside, outside ], 0);
+  assert.deepEqual(events, []);
+  zones.update(`a`, [ outside, inside ], 100);
+  assert.deepEqual(events, [ `enter left a wrist`, `enter left a *` ]);
+});
+
+test(`tracks exit when a zone is removed or the track is forgotten`, () => {
+  const { zones, events, durations } = watch({ debounceMs: 0 });
+  zones.add({ name: `all`, x: 0, y: 0, width: 1, height: 1 });
+  zones.update(`a`, inside, 0);
+  zones.update(`b`, inside, 0);
+  assert.equal(events.length, 8);
+
+  zones.remove(`left`, 100);
+  assert.deepEqual(events.slice(8), [ `exit left a point`, `exit left a *`, `exit left b point`, `exit left b *` ]);
+  assert.deepEqual(durations.slice(8), [ 100, 100, 100, 100 ]);
+  assert.deepEqual(zones.getZonesOf(`a`), [ `all` ]);
+
+  zones.forget(`a`, 200);
+  assert.deepEqual(events.slice(12), [ `exit all a point`, `exit all a *` ]);
+  assert.deepEqual(zones.getTracksIn(`all`), [ `b` ]);
+
+  // Forgetting again, or a track never seen, does nothing
+  zones.forget(`a`, 300);
+  zones.forget(`c`, 300);
+  assert.equal(events.length, 14);
+});
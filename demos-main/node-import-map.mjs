@@ -0,0 +1,30 @@
+/**
+ * Resolves `@ixfx` imports in Node the same way the import maps in the demo pages do,
+ * so modules using ixfx can be run and tested in Node:
+ *
+ * ```
+ * node --import ./node-import-map.mjs script.js
+ * ```
+ *
+ * Used by `npm test`. Needs Node 20.6 or later, for `module.register`.
+ * Modules importing from URLs (eg. https://unpkg.com/...) still can't be loaded in Node.
+ */
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+const ixfx = new URL(`./ixfx/`, import.meta.url);
+
+/**
+ * Resolve hook, run by Node in its hooks thread
+ * @param {string} specifier
+ * @param {any} context
+ * @param {Function} nextResolve
+ */
+export const resolve = (specifier, context, nextResolve) => {
+  if (specifier === `@ixfx`) return nextResolve(new URL(`index.js`, ixfx).href, context);
+  if (specifier.startsWith(`@ixfx/`)) return nextResolve(new URL(specifier.slice(`@ixfx/`.length), ixfx).href, context);
+  return nextResolve(specifier, context);
+};
+
+// When imported with --import, register this file as hooks
+if (isMainThread) register(import.meta.url);
@@ -1,5 +1,6 @@
 // @ts-ignore
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
+import { createEnvelope } from '../../relay/envelope.js';
 
 const settings = Object.freeze({
   remote: new Remote({
@@ -24,7 +25,7 @@ const onPointerMove = (event) => {
     movementY: event.movementY / window.innerHeight,
     pressure: event.pressure
   };
-  remote.broadcast(d);
+  remote.broadcast(createEnvelope(`pointer`, d, remote.id));
 };
 
 const setup = () => {
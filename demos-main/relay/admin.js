@@ -0,0 +1,113 @@
+/**
+ * Routes for the relay's admin page
+ */
+import Express from 'express';
+import path, { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @typedef {{
+ *  paused: boolean
+ * }} RelayState
+ */
+
+/**
+ * Returns a router serving the admin page and its API:
+ * - GET /admin: the page
+ * - GET /admin/clients: connected clients and relay state
+ * - POST /admin/clients/:id/kick: disconnect a client
+ * - POST /admin/pause: pause or resume relaying, eg. `{ "paused": true }`
+ *
+ * The POST routes are only allowed from this computer, unless `allowRemote` is _true_.
+ * Requests which have come through a proxy, such as ngrok, are not from this computer
+ * even though they arrive from the loopback address.
+ *
+ * To stop other sites open in the browser from using the POST routes, they must be
+ * sent as JSON, and if the browser gives an `Origin` it must be the relay's own.
+ * @param {import('./clients.js').ClientRegistry<any>} clients
+ * @param {RelayState} relay
+ * @param {{ allowRemote?: boolean }} [options]
+ */
+export const createAdminRouter = (clients, relay, options = {}) => {
+  const router = Express.Router();
+
+  /** @type {Express.RequestHandler} */
+  const localOnly = (request, resource, next) => {
+    if (!isSameOrigin(request) || !request.is(`application/json`)) {
+      resource.status(403).send(`Admin actions must be sent as JSON from the admin page.`);
+      return;
+    }
+    if (options.allowRemote || isLocalRequest(request)) {
+      next();
+      return;
+    }
+    resource.status(403).send(`Admin actions are only allowed from localhost. Set ADMIN_REMOTE to allow from other computers.`);
+  };
+
+  router.get(`/admin`, function (request, resource) {
+    resource.sendFile(path.join(__dirname, `admin.html`));
+  });
+
+  router.get(`/admin/clients`, function (request, resource) {
+    resource.json({
+      paused: relay.paused,
+      clients: clients.list()
+    });
+  });
+
+  router.post(`/admin/clients/:id/kick`, localOnly, Express.json(), function (request, resource) {
+    const kicked = clients.kick(request.params.id);
+    resource.sendStatus(kicked ? 200 : 404);
+  });
+
+  router.post(`/admin/pause`, localOnly, Express.json(), function (request, resource) {
+    const paused = request.body?.paused;
+    relay.paused = typeof paused === `boolean` ? paused : !relay.paused;
+    console.log(relay.paused ? `Relaying paused` : `Relaying resumed`);
+    resource.json({ paused: relay.paused });
+  });
+
+  return router;
+};
+
+/**
+ * _True_ if address is the loopback address
+ * @param {string|undefined} address
+ */
+const isLocal = (address) => address === `127.0.0.1` || address === `::1` || address === `::ffff:127.0.0.1`;
+
+/**
+ * _True_ if the request is from this computer, and wasn't forwarded by a proxy
+ * @param {Express.Request} request
+ */
+const isLocalRequest = (request) => {
+  if (!isLocal(request.socket.remoteAddress)) return false;
+  if (request.headers[`x-forwarded-for`] !== undefined || request.headers.forwarded !== undefined) return false;
+  return isLocalHost(request.headers.host);
+};
+
+/**
+ * _True_ if `host` header names this computer, eg `localhost:8081`
+ * @param {string|undefined} host
+ */
+const isLocalHost = (host) => {
+  if (!host) return false;
+  const hostname = host.replace(/:\d+$/, ``);
+  return hostname === `localhost` || hostname === `127.0.0.1` || hostname === `[::1]`;
+};
+
+/**
+ * _True_ if the request has no `Origin`, or it's the same as the host the request was sent to
+ * @param {Express.Request} request
+ */
+const isSameOrigin = (request) => {
+  const { origin, host } = request.headers;
+  if (origin === undefined) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
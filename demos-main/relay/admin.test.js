@@ -0,0 +1,86 @@
+// Run with `npm test`. Sends admin requests to a server on the loopback address.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import Express from 'express';
+import { createAdminRouter } from './admin.js';
+
+/**
+ * Starts a server with the admin routes. Clients can be kicked if their id is `a`.
+ */
+const setup = async () => {
+  const relay = { paused: false };
+  /** @type string[] */
+  const kicked = [];
+  const clients = /** @type any */({
+    list: () => [],
+    kick: (/** @type string */ id) => {
+      if (id !== `a`) return false;
+      kicked.push(id);
+      return true;
+    }
+  });
+  const app = Express();
+  app.use(createAdminRouter(clients, relay));
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, `127.0.0.1`, () => resolve(undefined)));
+  const { port } = /** @type import('node:net').AddressInfo */(server.address());
+
+  /**
+   * Posts to `path`, resolving with the status code
+   * @param {string} path
+   * @param {Record<string,string>} headers
+   * @param {string} [body]
+   * @returns {Promise<number|undefined>}
+   */
+  const post = (path, headers = {}, body = `{}`) => new Promise((resolve, reject) => {
+    const request = http.request({ port, host: `127.0.0.1`, path, method: `POST`, headers: { 'Content-Type': `application/json`, ...headers } }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on(`error`, reject);
+    request.end(body);
+  });
+  return { relay, kicked, post, port, close: () => server.close() };
+};
+
+test(`allows admin actions from localhost`, async () => {
+  const { relay, kicked, post, port, close } = await setup();
+  try {
+    assert.equal(await post(`/admin/pause`, {}, JSON.stringify({ paused: true })), 200);
+    assert.equal(relay.paused, true);
+    assert.equal(await post(`/admin/clients/a/kick`, { Origin: `http://127.0.0.1:${port}` }), 200);
+    assert.deepEqual(kicked, [ `a` ]);
+    assert.equal(await post(`/admin/clients/b/kick`), 404);
+  } finally {
+    close();
+  }
+});
+
+test(`refuses admin actions forwarded by a proxy`, async () => {
+  const { relay, kicked, post, close } = await setup();
+  try {
+    assert.equal(await post(`/admin/pause`, { 'X-Forwarded-For': `203.0.113.1` }), 403);
+    assert.equal(await post(`/admin/pause`, { Forwarded: `for=203.0.113.1` }), 403);
+    assert.equal(await post(`/admin/pause`, { Host: `example.ngrok.app` }), 403);
+    assert.equal(await post(`/admin/clients/a/kick`, { 'X-Forwarded-For': `203.0.113.1` }), 403);
+    assert.equal(relay.paused, false);
+    assert.deepEqual(kicked, []);
+  } finally {
+    close();
+  }
+});
+
+test(`refuses admin actions from other sites`, async () => {
+  const { relay, kicked, post, close } = await setup();
+  try {
+    assert.equal(await post(`/admin/clients/a/kick`, { Origin: `https://example.com` }), 403);
+    // Forms can post without a preflight, but not as JSON
+    assert.equal(await post(`/admin/clients/a/kick`, { 'Content-Type': `text/plain` }), 403);
+    assert.equal(await post(`/admin/pause`, { 'Content-Type': `application/x-www-form-urlencoded` }, `paused=true`), 403);
+    assert.equal(relay.paused, false);
+    assert.deepEqual(kicked, []);
+  } finally {
+    close();
+  }
+});
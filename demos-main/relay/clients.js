@@ -0,0 +1,133 @@
+/**
+ * Keeps track of connected websocket clients and what they send,
+ * for the admin page.
+ */
+
+/**
+ * How long message times are kept for computing rate
+ */
+const rateWindowMs = 5000;
+
+/**
+ * @typedef {{
+ *  id: string
+ *  room: string
+ *  address: string
+ *  codec: string
+ *  connectedAt: number
+ *  messages: number
+ *  messagesPerSec: number
+ *  lastMessageAt: number
+ *  lastPreview: string
+ * }} ClientInfo
+ */
+
+/**
+ * @template {{ close:(code?:number, reason?:string)=>void }} T
+ */
+export class ClientRegistry {
+  /** @type Map<T,ClientInfo & { times:number[] }> */
+  #clients = new Map();
+  #nextId = 1;
+
+  /**
+   * Adds a client, returning its id
+   * @param {T} client
+   * @param {string} room
+   * @param {string} address Remote address of client
+   * @param {string} codec Codec client uses
+   */
+  add(client, room, address, codec) {
+    const id = String(this.#nextId++);
+    this.#clients.set(client, {
+      id,
+      room,
+      address,
+      codec,
+      connectedAt: Date.now(),
+      messages: 0,
+      messagesPerSec: 0,
+      lastMessageAt: 0,
+      lastPreview: ``,
+      times: []
+    });
+    return id;
+  }
+
+  /**
+   * @param {T} client
+   */
+  remove(client) {
+    this.#clients.delete(client);
+  }
+
+  /**
+   * Returns info on a client
+   * @param {T} client
+   * @returns {ClientInfo|undefined}
+   */
+  get(client) {
+    return this.#clients.get(client);
+  }
+
+  /**
+   * Notes that `client` has sent a message
+   * @param {T} client
+   * @param {string} preview Short, printable preview of message
+   */
+  seen(client, preview) {
+    const c = this.#clients.get(client);
+    if (!c) return;
+    const now = Date.now();
+    c.messages++;
+    c.lastMessageAt = now;
+    c.lastPreview = preview;
+    c.times.push(now);
+    dropOldTimes(c, now);
+  }
+
+  /**
+   * Returns info on all clients
+   * @returns {ClientInfo[]}
+   */
+  list() {
+    const now = Date.now();
+    return [ ...this.#clients.values() ].map(c => {
+      dropOldTimes(c, now);
+      const { times, ...info } = c;
+      return {
+        ...info,
+        messagesPerSec: times.length / (Math.min(rateWindowMs, now - c.connectedAt) / 1000 || 1)
+      };
+    });
+  }
+
+  /**
+   * Closes the connection of the client with `id`.
+   * Returns _false_ if client was not found.
+   * @param {string} id
+   */
+  kick(id) {
+    for (const [ client, info ] of this.#clients) {
+      if (info.id !== id) continue;
+      client.close(4000, `Kicked`);
+      this.#clients.delete(client);
+      return true;
+    }
+    return false;
+  }
+
+  get size() {
+    return this.#clients.size;
+  }
+}
+
+/**
+ * Drops message times outside of the rate window
+ * @param {{ times: number[] }} client
+ * @param {number} now
+ */
+const dropOldTimes = (client, now) => {
+  const { times } = client;
+  while (times.length > 0 && now - times[0] > rateWindowMs) times.shift();
+};
@@ -0,0 +1,170 @@
+/**
+ * Handles the formats messages are relayed in.
+ *
+ * Clients use the `json` codec by default, sending and receiving JSON text.
+ * A client can instead opt for MessagePack by connecting with the `msgpack`
+ * websocket sub-protocol or a `?codec=msgpack` query parameter:
+ *
+ * ```js
+ * const ws = new WebSocket(`wss://${location.host}/ws`, [ `msgpack` ]);
+ * ```
+ *
+ * The relay converts between the two, so JSON and MessagePack clients can be
+ * mixed. Binary frames from JSON clients (eg. camera frames) aren't
+ * interpreted, and are passed through unchanged to all clients.
+ */
+import { decode, encode } from './msgpack.js';
+
+/**
+ * @typedef {`json`|`msgpack`} Codecs
+ */
+
+/**
+ * Returns the codec a client has asked for
+ * @param {{ protocol?:string }} ws
+ * @param {{ query?:any }} request
+ * @returns {Codecs}
+ */
+export const negotiateCodec = (ws, request) => {
+  if (ws.protocol === `msgpack`) return `msgpack`;
+  if (request.query?.codec === `msgpack`) return `msgpack`;
+  return `json`;
+};
+
+/**
+ * Returns _true_ if a received message is binary.
+ * Newer versions of 'ws' pass `isBinary`, older versions give text as a string.
+ * @param {any} message
+ * @param {boolean} [isBinary]
+ */
+export const isBinaryMessage = (message, isBinary) => isBinary ?? typeof message !== `string`;
+
+/**
+ * A relayed message, converted between codecs as needed.
+ * Conversions are done at most once, no matter how many clients it's sent to.
+ * MessagePack from clients is decoded when received, so it can be validated and logged.
+ */
+export class RelayMessage {
+  /** @type string|undefined */
+  #text;
+  /** @type Uint8Array|undefined */
+  #packed;
+  /** @type Buffer|undefined */
+  #raw;
+
+  /**
+   * Use one of the static methods to create
+   * @param {{ text?:string, packed?:Uint8Array, raw?:Buffer }} data
+   */
+  constructor(data) {
+    this.#text = data.text;
+    this.#packed = data.packed;
+    this.#raw = data.raw;
+  }
+
+  /**
+   * Creates from a message received from a client.
+   * Throws an error if a MessagePack client sends data that can't be decoded.
+   * @param {any} message
+   * @param {boolean} binary
+   * @param {Codecs} codec Codec of sender
+   */
+  static fromClient(message, binary, codec) {
+    if (!binary) return new RelayMessage({ text: String(message) });
+    const bytes = toBuffer(message);
+    if (codec === `msgpack`) return new RelayMessage({ packed: bytes, text: JSON.stringify(decode(bytes)) });
+    return new RelayMessage({ raw: bytes });
+  }
+
+  /**
+   * Creates from JSON text
+   * @param {string} text
+   */
+  static fromText(text) {
+    return new RelayMessage({ text });
+  }
+
+  /**
+   * Creates from uninterpreted binary data
+   * @param {Buffer} raw
+   */
+  static fromRaw(raw) {
+    return new RelayMessage({ raw });
+  }
+
+  /**
+   * _true_ if message is uninterpreted binary data
+   */
+  get isRaw() {
+    return this.#raw !== undefined;
+  }
+
+  /**
+   * Message as JSON text. Throws if message is raw binary.
+   */
+  get text() {
+    if (this.#text === undefined) throw new Error(`Raw binary message has no text`);
+    return this.#text;
+  }
+
+  /**
+   * Message as MessagePack. Throws if message is raw binary.
+   */
+  get packed() {
+    if (this.#packed === undefined) {
+      if (this.#text === undefined) throw new Error(`Raw binary message cannot be packed`);
+      this.#packed = encode(parseText(this.#text));
+    }
+    return this.#packed;
+  }
+
+  /**
+   * Uninterpreted binary data, if message is raw
+   */
+  get raw() {
+    return this.#raw;
+  }
+
+  /**
+   * Returns the data to send to a client using `codec`
+   * @param {Codecs} codec
+   * @returns {{ data:string|Uint8Array, binary:boolean }}
+   */
+  forCodec(codec) {
+    if (this.#raw) return { data: this.#raw, binary: true };
+    if (codec === `msgpack`) return { data: this.packed, binary: true };
+    return { data: this.text, binary: false };
+  }
+
+  /**
+   * Short description for logging. Binary data is summarised rather than printed.
+   * @param {number} [length] Max length of text
+   */
+  describe(length = 200) {
+    if (this.#raw) return `<binary, ${this.#raw.byteLength} bytes>`;
+    const text = this.text;
+    return text.length > length ? text.slice(0, length) + `…` : text;
+  }
+}
+
+/**
+ * Parses JSON, falling back to the text itself if it's not JSON
+ * @param {string} text
+ */
+const parseText = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * @param {Buffer|ArrayBuffer|Buffer[]} data
+ * @returns {Buffer}
+ */
+const toBuffer = (data) => {
+  if (Array.isArray(data)) return Buffer.concat(data);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  return data;
+};
@@ -0,0 +1,241 @@
+/**
+ * Serves the demos, so they can be opened from the relay server.
+ *
+ * The demo folder is served at `/` as well as `/demos-main/`, which is
+ * where the import maps in demo pages expect `@ixfx` to be found.
+ * Pages without an import map are given one. Folders without an
+ * index.html get a list of what's in them.
+ *
+ * When live reload is enabled, pages are injected with a script that
+ * reloads the page when its script.js, thing.js or util.js changes.
+ */
+import Express from 'express';
+import { readdirSync, watch } from 'node:fs';
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Files which cause a page to reload when they change
+ */
+export const reloadFiles = Object.freeze([ `script.js`, `thing.js`, `util.js` ]);
+
+/**
+ * Folders not watched for changes
+ */
+const unwatched = new Set([ `node_modules`, `ixfx`, `lib` ]);
+
+const importMap = `<script type="importmap">{ "imports": { "@ixfx":"/demos-main/ixfx/index.js", "@ixfx/": "/demos-main/ixfx/" } }</script>`;
+const reloadScript = `<script type="module" src="/relay/live-reload-client.js"></script>`;
+
+/**
+ * Returns a router serving the demos in `root`
+ * @param {string} root Folder of demos
+ * @param {{ liveReload:boolean }} options
+ */
+export const createDemosRouter = (root, options) => {
+  const router = Express.Router();
+
+  // Pages are sent with import map and reload script injected
+  router.get(/.*/, async function (request, resource, next) {
+    const file = pageFile(root, request.path);
+    if (!file) {
+      next();
+      return;
+    }
+    let html;
+    try {
+      html = await readFile(file, `utf8`);
+    } catch {
+      html = request.path.endsWith(`/`) ? await folderListing(path.dirname(file), request.path) : undefined;
+    }
+    if (html === undefined) {
+      next();
+      return;
+    }
+    resource.type(`html`).send(injectPage(html, options.liveReload));
+  });
+
+  router.use(`/demos-main`, Express.static(root));
+  router.use(`/ixfx`, Express.static(path.join(root, `ixfx`)));
+  router.use(Express.static(root));
+  return router;
+};
+
+/**
+ * Returns the HTML file a request is for, or _undefined_ if it's not for a page,
+ * or outside of `root`. Folders are redirected by Express.static when they lack a trailing slash.
+ * @param {string} root
+ * @param {string} requestPath
+ */
+const pageFile = (root, requestPath) => {
+  let p;
+  try {
+    p = decodeURIComponent(requestPath).replace(/^\/demos-main(?=\/)/, ``);
+  } catch {
+    return; // Malformed URI
+  }
+  if (p.endsWith(`/`)) p += `index.html`;
+  if (!p.endsWith(`.html`)) return;
+  const file = path.join(root, p);
+  if (!file.startsWith(root + path.sep)) return;
+  return file;
+};
+
+/**
+ * Returns a page linking to the folders and pages in `folder`,
+ * or _undefined_ if it can't be read
+ * @param {string} folder
+ * @param {string} requestPath
+ */
+const folderListing = async (folder, requestPath) => {
+  let entries;
+  try {
+    entries = await readdir(folder, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  const links = entries
+    .filter(entry => !entry.name.startsWith(`.`) && !unwatched.has(entry.name) && (entry.isDirectory() || entry.name.endsWith(`.html`)))
+    .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+    .map(name => `    <li><a href="${encodeURI(name)}">${escape(name)}</a></li>`);
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(requestPath)}</title>
+  <link rel="stylesheet" href="/demos.css">
+</head>
+<body>
+  <h1>${escape(requestPath)}</h1>
+  <ul>
+${links.join(`\n`)}
+  </ul>
+</body>
+</html>`;
+};
+
+/**
+ * @param {string} text
+ */
+const escape = (text) => text
+  .replaceAll(`&`, `&amp;`)
+  .replaceAll(`<`, `&lt;`)
+  .replaceAll(`>`, `&gt;`);
+
+/**
+ * Adds an import map if page doesn't have one, and the reload script if enabled
+ * @param {string} html
+ * @param {boolean} liveReload
+ */
+export const injectPage = (html, liveReload) => {
+  if (!html.includes(`type="importmap"`)) {
+    html = html.includes(`<head>`) ? html.replace(`<head>`, `<head>\n  ${importMap}`) : importMap + html;
+  }
+  if (liveReload) {
+    html = html.includes(`</body>`) ? html.replace(`</body>`, `  ${reloadScript}\n</body>`) : html + reloadScript;
+  }
+  return html;
+};
+
+/**
+ * Watches demo folders, telling pages to reload when their code changes.
+ * Pages connect with a websocket, giving the folder they are in.
+ */
+export class LiveReload {
+  /** @type Map<string,Set<import('ws').WebSocket>> */
+  #pages = new Map();
+  /** @type Map<string,ReturnType<typeof setTimeout>> */
+  #pending = new Map();
+  /** @type import('node:fs').FSWatcher[] */
+  #watchers = [];
+
+  /**
+   * @param {string} root Folder of demos
+   */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * Starts watching for changes. Folders added afterwards aren't watched.
+   */
+  start() {
+    for (const folder of watchedFolders(this.root)) {
+      const watcher = watch(folder, (event, filename) => {
+        if (filename && reloadFiles.includes(filename)) this.#changed(folder);
+      });
+      watcher.on(`error`, () => { /* eg. folder deleted */ });
+      this.#watchers.push(watcher);
+    }
+    return this.#watchers.length;
+  }
+
+  stop() {
+    for (const w of this.#watchers) w.close();
+    this.#watchers = [];
+  }
+
+  /**
+   * Adds a page, which is notified when code in `page` changes
+   * @param {import('ws').WebSocket} ws
+   * @param {string} page Path of page's folder, eg `/flow/debounce/`
+   */
+  add(ws, page) {
+    const folder = this.#folderOf(page);
+    if (!folder) {
+      ws.close();
+      return;
+    }
+    let set = this.#pages.get(folder);
+    if (!set) {
+      set = new Set();
+      this.#pages.set(folder, set);
+    }
+    set.add(ws);
+    ws.on(`close`, () => {
+      set.delete(ws);
+      if (set.size === 0) this.#pages.delete(folder);
+    });
+  }
+
+  /**
+   * @param {string} page
+   */
+  #folderOf(page) {
+    const folder = path.join(this.root, page.replace(/^\/demos-main(?=\/)/, ``));
+    if (folder !== this.root && !folder.startsWith(this.root + path.sep)) return;
+    return folder.replace(/[/\\]$/, ``);
+  }
+
+  /**
+   * Editors often write files more than once, so reloads are debounced
+   * @param {string} folder
+   */
+  #changed(folder) {
+    clearTimeout(this.#pending.get(folder));
+    this.#pending.set(folder, setTimeout(() => {
+      this.#pending.delete(folder);
+      for (const ws of this.#pages.get(folder) ?? []) {
+        try {
+          ws.send(`reload`);
+        } catch {
+          // can happen when page is closing
+        }
+      }
+    }, 100));
+  }
+}
+
+/**
+ * Returns `root` and the folders under it, except for hidden and unwatched folders
+ * @param {string} root
+ * @returns {string[]}
+ */
+const watchedFolders = (root) => {
+  const folders = [ root ];
+  for (const entry of readdirSync(root, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith(`.`) || unwatched.has(entry.name)) continue;
+    folders.push(...watchedFolders(path.join(root, entry.name)));
+  }
+  return folders;
+};
@@ -0,0 +1,236 @@
+/**
+ * Type-tagged envelopes for messages sent between sketches.
+ *
+ * Senders wrap their data in an envelope:
+ * ```js
+ * remote.broadcast(createEnvelope(`pointer`, { x, y, pointerId }));
+ * ```
+ *
+ * Receivers subscribe by type:
+ * ```js
+ * const router = new EnvelopeRouter();
+ * router.on(`pointer`, (data, envelope) => { ... });
+ * remote.onData = router.handle;
+ * ```
+ *
+ * Demo pages (eg. pointer/remote) import this directly, and the relay uses it to validate
+ * messages, so it and schemas.js must only use what both the browser and Node have.
+ */
+import { Schemas, validate } from './schemas.js';
+
+/**
+ * Version of the envelope format
+ */
+export const envelopeVersion = 1;
+
+/**
+ * @typedef {`pose`|`hand`|`face`|`objects`|`pointer`|`motion`|`keyboard`} EnvelopeTypes
+ */
+
+/**
+ * @typedef {{
+ *  type: EnvelopeTypes|string
+ *  version: number
+ *  from?: string
+ *  ts: number
+ *  data: any
+ * }} Envelope
+ */
+
+/**
+ * @typedef {(data:any, envelope:Envelope)=>void} EnvelopeHandler
+ */
+
+/**
+ * Wraps `data` in an envelope
+ * @param {EnvelopeTypes|string} type Type of data
+ * @param {any} data Payload
+ * @param {string} [from] Id of sender
+ * @returns {Envelope}
+ */
+export const createEnvelope = (type, data, from) => {
+  if (typeof type !== `string` || type.length === 0) throw new TypeError(`Param 'type' should be a non-empty string`);
+  /** @type Envelope */
+  const envelope = { type, version: envelopeVersion, ts: Date.now(), data };
+  if (from !== undefined) envelope.from = from;
+  return envelope;
+};
+
+/**
+ * Returns _true_ if `value` looks like an envelope
+ * @param {any} value
+ * @returns {value is Envelope}
+ */
+export const isEnvelope = (value) => {
+  if (typeof value !== `object` || value === null) return false;
+  return typeof value.type === `string` && typeof value.version === `number` && `data` in value;
+};
+
+/**
+ * Validates an envelope and its payload, if there is a schema for its type.
+ * Returns a list of problems, an empty list means it's valid.
+ * @param {Envelope} envelope
+ * @returns {string[]}
+ */
+export const validateEnvelope = (envelope) => {
+  if (!isEnvelope(envelope)) return [ `$: not an envelope` ];
+  /** @type string[] */
+  const errors = [];
+  if (typeof envelope.ts !== `number`) errors.push(`$.ts: expected number`);
+  if (envelope.from !== undefined && typeof envelope.from !== `string`) errors.push(`$.from: expected string`);
+  const schema = Schemas[envelope.type];
+  if (schema) errors.push(...validate(schema, envelope.data, `$.data`));
+  return errors;
+};
+
+/**
+ * Guesses the type of untyped data from its shape.
+ * Used for data from senders which don't yet use envelopes, eg. the ml senders.
+ *
+ * Several types are returned when it's ambiguous, eg. an empty list of detections
+ * could be from the face or objects sender.
+ * @param {any} data
+ * @returns {EnvelopeTypes[]}
+ */
+export const inferTypes = (data) => {
+  if (Array.isArray(data)) return data.every(d => typeof d === `object` && d !== null && `landmarks` in d) ? [ `pose` ] : [];
+  if (typeof data !== `object` || data === null) return [];
+  if (`handedness` in data) return [ `hand` ];
+  if (Array.isArray(data.detections)) {
+    if (data.detections.length === 0) return [ `face`, `objects` ];
+    return data.detections.some(d => d.keypoints?.length > 0) ? [ `face` ] : [ `objects` ];
+  }
+  if (`pointerId` in data) return [ `pointer` ];
+  if (`accel` in data && `rotRate` in data) return [ `motion` ];
+  if (`key` in data && `code` in data) return [ `keyboard` ];
+  return [];
+};
+
+/**
+ * Returns the envelope contained in a received packet.
+ *
+ * The packet is either an envelope itself (perhaps with extra
+ * fields added by Remote, such as `_from`), or bare data. If
+ * the data is sent as a JSON string, as the ml senders do, it's parsed.
+ *
+ * Returns _undefined_ if the packet is not an envelope.
+ * @param {any} packet
+ * @returns {Envelope|undefined}
+ */
+export const fromPacket = (packet) => {
+  if (isEnvelope(packet)) {
+    return withSender(packet, packet._from);
+  }
+  const data = parseMaybe(packet?.data);
+  if (isEnvelope(data)) return withSender(data, packet._from);
+};
+
+/**
+ * Routes received packets to handlers based on type.
+ *
+ * Untyped data (eg. from the ml senders) is routed based on its
+ * shape, see {@link inferTypes}.
+ *
+ * ```js
+ * const router = new EnvelopeRouter();
+ * router.on(`pose`, (poses, envelope) => {
+ *  // poses is the payload, envelope.from is the sender
+ * });
+ * remote.onData = router.handle;
+ * ```
+ */
+export class EnvelopeRouter {
+  /** @type Map<string,Set<EnvelopeHandler>> */
+  #handlers = new Map();
+
+  /**
+   * Called with packets that couldn't be routed
+   * @type {(packet:any)=>void}
+   */
+  onUnhandled = () => { /* noop */ };
+
+  constructor() {
+    this.handle = this.handle.bind(this);
+  }
+
+  /**
+   * Subscribe to messages of `type`.
+   * Returns a function to unsubscribe.
+   * @param {EnvelopeTypes|string} type
+   * @param {EnvelopeHandler} handler
+   */
+  on(type, handler) {
+    let set = this.#handlers.get(type);
+    if (!set) {
+      set = new Set();
+      this.#handlers.set(type, set);
+    }
+    set.add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Unsubscribe a handler
+   * @param {EnvelopeTypes|string} type
+   * @param {EnvelopeHandler} handler
+   */
+  off(type, handler) {
+    this.#handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Handles a received packet. Can be assigned directly to `Remote.onData`
+   * @param {any} packet
+   */
+  handle(packet) {
+    const envelope = fromPacket(packet);
+    if (envelope) {
+      if (!this.#dispatch(envelope)) this.onUnhandled(packet);
+      return;
+    }
+
+    // Untyped data
+    const data = parseMaybe(packet?.data ?? packet);
+    let handled = false;
+    for (const type of inferTypes(data)) {
+      const inferred = { type, version: 0, from: packet?._from, ts: Date.now(), data };
+      if (this.#dispatch(inferred)) handled = true;
+    }
+    if (!handled) this.onUnhandled(packet);
+  }
+
+  /**
+   * @param {Envelope} envelope
+   * @returns {boolean} True if there was a handler
+   */
+  #dispatch(envelope) {
+    const set = this.#handlers.get(envelope.type);
+    if (!set || set.size === 0) return false;
+    for (const h of set) h(envelope.data, envelope);
+    return true;
+  }
+}
+
+/**
+ * Parses JSON strings, returning other values as they are
+ * @param {any} value
+ */
+const parseMaybe = (value) => {
+  if (typeof value !== `string`) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Returns the envelope, using `from` as the sender if it doesn't have one
+ * @param {Envelope} envelope
+ * @param {string|undefined} from
+ * @returns {Envelope}
+ */
+const withSender = (envelope, from) => {
+  if (envelope.from !== undefined || from === undefined) return envelope;
+  return { ...envelope, from };
+};
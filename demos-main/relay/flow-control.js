@@ -0,0 +1,310 @@
+/**
+ * Rate limiting of incoming messages and backpressure for slow clients.
+ *
+ * A client sending too fast has messages above its rate limit dropped.
+ * A client receiving too slowly (ie. its websocket buffer is filling up) has messages
+ * queued rather than sent. How the queue is managed depends on the message type:
+ * - `coalesce`: only the latest message of the type from each sender is kept. Good for
+ *   continuous data like poses, where only the most recent matters.
+ * - `drop-oldest`: messages are kept in order, dropping the oldest when the queue is full.
+ *   Good for discrete events like key presses.
+ *
+ * Since types come from clients, the queue for a client is also limited in total.
+ */
+import { fromPacket, inferTypes } from './envelope.js';
+
+/**
+ * @typedef {`coalesce`|`drop-oldest`} BackpressurePolicy
+ */
+
+/**
+ * @typedef {{
+ *  highWaterMark: number
+ *  queueLimit: number
+ *  totalQueueLimit: number
+ *  defaultPolicy: BackpressurePolicy
+ *  policies: Record<string,BackpressurePolicy>
+ *  drainIntervalMs: number
+ * }} BackpressureOptions
+ */
+
+/**
+ * @typedef {{
+ *  bufferedAmount: number
+ *  send: (data:any, options:{binary:boolean})=>void
+ * }} Sendable
+ */
+
+/**
+ * @typedef {{
+ *  type: string
+ *  sender: unknown
+ *  data: any
+ *  binary: boolean
+ * }} QueuedMessage
+ */
+
+/**
+ * How often relays log dropped message counts
+ */
+export const statsIntervalMs = 10_000;
+
+/**
+ * Policies used unless overridden. Other types use `defaultPolicy`.
+ * @type {Record<string,BackpressurePolicy>}
+ */
+export const defaultPolicies = Object.freeze({
+  pose: `coalesce`,
+  hand: `coalesce`,
+  face: `coalesce`,
+  objects: `coalesce`,
+  pointer: `coalesce`,
+  motion: `coalesce`
+});
+
+/**
+ * Counts dropped messages, for logging
+ */
+export class FlowStats {
+  /** @type Map<string,number> */
+  #counts = new Map();
+
+  /**
+   * @param {string} reason Why message was dropped
+   * @param {string} key Eg. message type or client id
+   */
+  increment(reason, key) {
+    const k = `${reason} (${key})`;
+    this.#counts.set(k, (this.#counts.get(k) ?? 0) + 1);
+  }
+
+  /**
+   * Returns a summary of counts since last call, or _undefined_ if nothing was dropped.
+   */
+  flush() {
+    if (this.#counts.size === 0) return;
+    const summary = [ ...this.#counts.entries() ].map(([ k, v ]) => `${k}: ${v}`).join(`, `);
+    this.#counts.clear();
+    return summary;
+  }
+}
+
+/**
+ * Token bucket rate limiter, tracking each client separately
+ * @template T
+ */
+export class RateLimiter {
+  /** @type Map<T,{ tokens:number, last:number }> */
+  #buckets = new Map();
+
+  /**
+   * @param {number} ratePerSec Messages allowed per second. 0 for unlimited
+   * @param {number} [burst] Messages allowed in a burst. Defaults to `ratePerSec`
+   */
+  constructor(ratePerSec, burst) {
+    if (ratePerSec < 0 || Number.isNaN(ratePerSec)) throw new Error(`Param 'ratePerSec' should be zero or above. Got: ${ratePerSec}`);
+    this.ratePerSec = ratePerSec;
+    this.burst = burst ?? Math.max(1, ratePerSec);
+  }
+
+  /**
+   * Returns _true_ if `client` may send another message now
+   * @param {T} client
+   */
+  allow(client) {
+    if (this.ratePerSec === 0) return true;
+    const now = Date.now();
+    let b = this.#buckets.get(client);
+    if (!b) {
+      b = { tokens: this.burst, last: now };
+      this.#buckets.set(client, b);
+    }
+    b.tokens = Math.min(this.burst, b.tokens + ((now - b.last) / 1000) * this.ratePerSec);
+    b.last = now;
+    if (b.tokens < 1) return false;
+    b.tokens--;
+    return true;
+  }
+
+  /**
+   * @param {T} client
+   */
+  remove(client) {
+    this.#buckets.delete(client);
+  }
+}
+
+/**
+ * Queues messages for clients which aren't keeping up
+ * @template {Sendable} T
+ */
+export class Backpressure {
+  /** @type BackpressureOptions */
+  options;
+  /** @type Map<T,QueuedMessage[]> */
+  #queues = new Map();
+  #timer;
+
+  /**
+   * @param {FlowStats} stats
+   * @param {Partial<BackpressureOptions>} [options]
+   */
+  constructor(stats, options = {}) {
+    this.stats = stats;
+    this.options = {
+      highWaterMark: 256 * 1024,
+      queueLimit: 50,
+      totalQueueLimit: 500,
+      defaultPolicy: `drop-oldest`,
+      drainIntervalMs: 50,
+      ...options,
+      policies: {
+        ...defaultPolicies,
+        ...options.policies
+      }
+    };
+    this.#timer = setInterval(() => this.drain(), this.options.drainIntervalMs);
+    this.#timer.unref?.();
+  }
+
+  /**
+   * Sends data to `client`, or queues it if client is backed-up.
+   * @param {T} client
+   * @param {any} data
+   * @param {boolean} binary
+   * @param {()=>string} getType Returns the type of message. Only called if message needs queuing.
+   * @param {unknown} [sender] Where the message came from, eg. the sending websocket.
+   *  Messages are only coalesced with others from the same sender.
+   */
+  send(client, data, binary, getType, sender) {
+    const queue = this.#queues.get(client);
+    if (!queue && client.bufferedAmount <= this.options.highWaterMark) {
+      client.send(data, { binary });
+      return;
+    }
+    this.#enqueue(client, queue ?? [], { type: getType(), sender, data, binary });
+  }
+
+  /**
+   * Sends queued messages to clients which have caught up
+   */
+  drain() {
+    for (const [ client, queue ] of this.#queues) {
+      while (queue.length > 0 && client.bufferedAmount <= this.options.highWaterMark) {
+        const m = /** @type QueuedMessage */(queue.shift());
+        try {
+          client.send(m.data, { binary: m.binary });
+        } catch {
+          // can happen when client disconnects
+        }
+      }
+      if (queue.length === 0) this.#queues.delete(client);
+    }
+  }
+
+  /**
+   * Returns the policy for a message type
+   * @param {string} type
+   * @returns {BackpressurePolicy}
+   */
+  policyFor(type) {
+    return this.options.policies[type] ?? this.options.defaultPolicy;
+  }
+
+  /**
+   * @param {T} client
+   */
+  remove(client) {
+    this.#queues.delete(client);
+  }
+
+  dispose() {
+    clearInterval(this.#timer);
+    this.#queues.clear();
+  }
+
+  /**
+   * @param {T} client
+   * @param {QueuedMessage[]} queue
+   * @param {QueuedMessage} message
+   */
+  #enqueue(client, queue, message) {
+    const { queueLimit, totalQueueLimit } = this.options;
+    this.#queues.set(client, queue);
+    if (this.policyFor(message.type) === `coalesce`) {
+      const index = queue.findIndex(m => m.type === message.type && m.sender === message.sender);
+      if (index >= 0) {
+        queue[index] = message;
+        this.stats.increment(`coalesced`, message.type);
+        return;
+      }
+    }
+    queue.push(message);
+
+    // Drop oldest message of the same type if there are too many
+    if (queue.filter(m => m.type === message.type).length > queueLimit) {
+      queue.splice(queue.findIndex(m => m.type === message.type), 1);
+      this.stats.increment(`dropped oldest`, message.type);
+    }
+
+    // Drop oldest message of any type if the queue is too long
+    if (queue.length > totalQueueLimit) {
+      const [ dropped ] = queue.splice(0, 1);
+      this.stats.increment(`dropped oldest`, dropped.type);
+    }
+  }
+}
+
+/**
+ * Returns the type of a relayed message: the envelope type, the type
+ * inferred from the shape of untyped data, `binary` or `other`.
+ * @param {string|Uint8Array} data
+ * @param {boolean} binary
+ */
+export const messageType = (data, binary) => {
+  if (binary) return `binary`;
+  let packet;
+  try {
+    packet = JSON.parse(/** @type string */(data));
+  } catch {
+    return `other`;
+  }
+  const envelope = fromPacket(packet);
+  if (envelope) return envelope.type;
+
+  let payload = packet?.data ?? packet;
+  if (typeof payload === `string`) {
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      return `other`;
+    }
+  }
+  return inferTypes(payload)[0] ?? `other`;
+};
+
+/**
+ * Parses policies from text, eg. `pose:coalesce,keyboard:drop-oldest`
+ * @param {string|undefined} text
+ * @returns {Record<string,BackpressurePolicy>}
+ */
+export const parsePolicies = (text) => {
+  /** @type Record<string,BackpressurePolicy> */
+  const policies = {};
+  if (!text) return policies;
+  for (const pair of text.split(`,`)) {
+    const [ type, policy ] = pair.split(`:`).map(s => s.trim());
+    policies[type] = parsePolicy(policy);
+  }
+  return policies;
+};
+
+/**
+ * Parses a policy, throwing an error if it's not valid
+ * @param {string|undefined} text
+ * @returns {BackpressurePolicy}
+ */
+export const parsePolicy = (text) => {
+  if (text === `coalesce` || text === `drop-oldest`) return text;
+  throw new Error(`Backpressure policy should be 'coalesce' or 'drop-oldest'. Got: ${text}`);
+};
@@ -0,0 +1,56 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Backpressure, FlowStats } from './flow-control.js';
+
+/**
+ * A client that's backed up until `caughtUp` is set
+ */
+const slowClient = () => {
+  const client = {
+    bufferedAmount: Number.POSITIVE_INFINITY,
+    /** @type any[] */
+    sent: [],
+    /** @param {any} data */
+    send(data) {
+      client.sent.push(data);
+    },
+    caughtUp() {
+      client.bufferedAmount = 0;
+    }
+  };
+  return client;
+};
+
+test(`coalesces messages of a type from each sender`, () => {
+  const backpressure = new Backpressure(new FlowStats());
+  const client = slowClient();
+  const senderA = {};
+  const senderB = {};
+  try {
+    backpressure.send(client, `a1`, false, () => `pose`, senderA);
+    backpressure.send(client, `b1`, false, () => `pose`, senderB);
+    backpressure.send(client, `a2`, false, () => `pose`, senderA);
+    backpressure.send(client, `b2`, false, () => `pose`, senderB);
+    client.caughtUp();
+    backpressure.drain();
+    assert.deepEqual(client.sent, [ `a2`, `b2` ]);
+  } finally {
+    backpressure.dispose();
+  }
+});
+
+test(`limits the queue of a client across types`, () => {
+  const backpressure = new Backpressure(new FlowStats(), { queueLimit: 5, totalQueueLimit: 10 });
+  const client = slowClient();
+  try {
+    for (let index = 0; index < 100; index++) {
+      backpressure.send(client, index, false, () => `type-${index}`);
+    }
+    client.caughtUp();
+    backpressure.drain();
+    assert.deepEqual(client.sent, [ 90, 91, 92, 93, 94, 95, 96, 97, 98, 99 ]);
+  } finally {
+    backpressure.dispose();
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * Self-signed certificates, so the relay can serve HTTPS and WSS on the local network.
+ *
+ * Phones only allow sensors, camera and so on in a secure context, which
+ * plain HTTP to a LAN address isn't. The certificate is generated once and
+ * cached, and only generated again if it expires or the computer's network
+ * addresses change.
+ *
+ * Browsers will warn that the certificate isn't trusted. This is expected,
+ * and the warning can be bypassed (eg. 'Advanced' then 'Proceed').
+ */
+import { X509Certificate } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import qrcode from 'qrcode-terminal';
+import selfsigned from 'selfsigned';
+
+/**
+ * How long generated certificates are valid for
+ */
+const validDays = 365;
+
+/**
+ * @typedef {{
+ *  key: string
+ *  cert: string
+ * }} Certificate
+ */
+
+/**
+ * Returns the IPv4 addresses of this computer on the local network
+ * @returns {string[]}
+ */
+export const lanAddresses = () => Object.values(os.networkInterfaces())
+  .flat()
+  .filter(i => i !== undefined && i.family === `IPv4` && !i.internal)
+  .map(i => /** @type os.NetworkInterfaceInfo */(i).address);
+
+/**
+ * Loads the certificate cached in `folder`, generating a new one if there
+ * isn't one, or it doesn't cover `addresses`.
+ * @param {string} folder Folder to cache certificate in
+ * @param {string[]} addresses IP addresses certificate should be valid for, in addition to localhost
+ * @returns {Promise<Certificate & { generated:boolean }>}
+ */
+export const loadCertificate = async (folder, addresses) => {
+  const keyFile = path.join(folder, `key.pem`);
+  const certFile = path.join(folder, `cert.pem`);
+  try {
+    const key = await readFile(keyFile, `utf8`);
+    const cert = await readFile(certFile, `utf8`);
+    if (covers(cert, addresses)) return { key, cert, generated: false };
+  } catch {
+    // Not cached yet
+  }
+
+  const { key, cert } = await generateCertificate(addresses);
+  await mkdir(folder, { recursive: true });
+  await writeFile(keyFile, key, { mode: 0o600 });
+  await writeFile(certFile, cert);
+  return { key, cert, generated: true };
+};
+
+/**
+ * Generates a self-signed certificate for localhost and `addresses`
+ * @param {string[]} addresses
+ * @returns {Promise<Certificate>}
+ */
+export const generateCertificate = async (addresses) => {
+  const notBeforeDate = new Date();
+  const notAfterDate = new Date(notBeforeDate.getTime() + validDays * 24 * 60 * 60 * 1000);
+  const pems = await selfsigned.generate([ { name: `commonName`, value: `localhost` } ], {
+    keySize: 2048,
+    algorithm: `sha256`,
+    notBeforeDate,
+    notAfterDate,
+    extensions: [
+      {
+        name: `subjectAltName`,
+        altNames: [
+          { type: 2, value: `localhost` },
+          { type: 7, ip: `127.0.0.1` },
+          ...addresses.map(ip => ({ type: 7, ip }))
+        ]
+      }
+    ]
+  });
+  return { key: pems.private, cert: pems.cert };
+};
+
+/**
+ * Returns _true_ if certificate is still valid and covers all of `addresses`
+ * @param {string} pem
+ * @param {string[]} addresses
+ */
+const covers = (pem, addresses) => {
+  const cert = new X509Certificate(pem);
+  // Allow a day's margin so it doesn't expire mid-session
+  if (new Date(cert.validTo).getTime() - Date.now() < 24 * 60 * 60 * 1000) return false;
+  return addresses.every(ip => cert.checkIP(ip) !== undefined);
+};
+
+/**
+ * Prints a QR code for `url` to the terminal, so it can be opened by pointing a phone's camera at it
+ * @param {string} url
+ */
+export const printQrCode = (url) => {
+  qrcode.generate(url, { small: true }, code => {
+    console.log(code);
+  });
+};
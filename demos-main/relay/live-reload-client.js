@@ -0,0 +1,34 @@
+/**
+ * Reloads the page when the relay server says its code has changed.
+ * Injected into pages by the server when live reload is enabled, see relay/demos.js
+ *
+ * Pages can opt out with a `data-server-no-reload` attribute on the body,
+ * eg. senders which would lose their camera stream when reloaded.
+ */
+const page = location.pathname.replace(/[^/]*$/, ``);
+// Reconnect delay doubles each failed attempt, up to the max, then stops trying
+const reconnectMs = 2000;
+const maxReconnectMs = 30_000;
+const maxAttempts = 10;
+let attempts = 0;
+
+const connect = () => {
+  const protocol = location.protocol === `https:` ? `wss` : `ws`;
+  const ws = new WebSocket(`${protocol}://${location.host}/live-reload?page=${encodeURIComponent(page)}`);
+  ws.addEventListener(`open`, () => {
+    attempts = 0;
+  });
+  ws.addEventListener(`message`, () => {
+    location.reload();
+  });
+  ws.addEventListener(`close`, () => {
+    // Server may have restarted
+    if (attempts >= maxAttempts) {
+      console.log(`Live reload: server not available, no longer trying to connect`);
+      return;
+    }
+    setTimeout(connect, Math.min(maxReconnectMs, reconnectMs * 2 ** attempts));
+    attempts++;
+  });
+};
+if (document.body?.dataset.serverNoReload === undefined) connect();
@@ -0,0 +1,446 @@
+/**
+ * A small MessagePack codec (https://msgpack.org/).
+ *
+ * Values are encoded with the same semantics as JSON.stringify: object keys
+ * with _undefined_ values are skipped and objects with `toJSON()` are encoded
+ * by what it returns. In addition, Uint8Array and ArrayBuffer are encoded as
+ * binary, which JSON can't do.
+ *
+ * ```js
+ * const bytes = encode({ x: 0.5, y: 0.2 }); // Uint8Array
+ * const value = decode(bytes); // { x: 0.5, y: 0.2 }
+ * ```
+ *
+ * The relay decodes frames from any client with this, and sketches using the
+ * `msgpack` sub-protocol import it in the browser (see README.md). Decoded maps
+ * are plain objects, built the same way JSON.parse builds them.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encodes a value as MessagePack
+ * @param {any} value
+ * @returns {Uint8Array}
+ */
+export const encode = (value) => {
+  const writer = new Writer();
+  writeValue(writer, value);
+  return writer.bytes();
+};
+
+/**
+ * Decodes MessagePack-encoded bytes. Throws an error if data is malformed or
+ * uses extension types.
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {any}
+ */
+export const decode = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const reader = new Reader(bytes);
+  const value = readValue(reader);
+  if (reader.pos !== bytes.length) throw new Error(`Unexpected ${bytes.length - reader.pos} trailing byte(s)`);
+  return value;
+};
+
+class Writer {
+  buffer = new Uint8Array(256);
+  view = new DataView(this.buffer.buffer);
+  pos = 0;
+
+  /**
+   * Makes sure there's room for `length` more bytes
+   * @param {number} length
+   */
+  ensure(length) {
+    if (this.pos + length <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.pos + length) size *= 2;
+    const buffer = new Uint8Array(size);
+    buffer.set(this.buffer);
+    this.buffer = buffer;
+    this.view = new DataView(buffer.buffer);
+  }
+
+  /**
+   * @param {number} v
+   */
+  u8(v) {
+    this.ensure(1);
+    this.view.setUint8(this.pos, v);
+    this.pos += 1;
+  }
+
+  /**
+   * @param {number} v
+   */
+  u16(v) {
+    this.ensure(2);
+    this.view.setUint16(this.pos, v);
+    this.pos += 2;
+  }
+
+  /**
+   * @param {number} v
+   */
+  u32(v) {
+    this.ensure(4);
+    this.view.setUint32(this.pos, v);
+    this.pos += 4;
+  }
+
+  /**
+   * @param {number} v
+   */
+  f64(v) {
+    this.ensure(8);
+    this.view.setFloat64(this.pos, v);
+    this.pos += 8;
+  }
+
+  /**
+   * @param {Uint8Array} v
+   */
+  raw(v) {
+    this.ensure(v.length);
+    this.buffer.set(v, this.pos);
+    this.pos += v.length;
+  }
+
+  bytes() {
+    return this.buffer.slice(0, this.pos);
+  }
+}
+
+/**
+ * @param {Writer} w
+ * @param {any} value
+ */
+const writeValue = (w, value) => {
+  if (value === null || value === undefined) {
+    w.u8(0xC0);
+    return;
+  }
+  if (typeof value === `object` && typeof value.toJSON === `function`) {
+    value = value.toJSON();
+  }
+  switch (typeof value) {
+    case `boolean`: {
+      w.u8(value ? 0xC3 : 0xC2);
+      return;
+    }
+    case `number`: {
+      writeNumber(w, value);
+      return;
+    }
+    case `string`: {
+      writeString(w, value);
+      return;
+    }
+    case `object`: {
+      if (value instanceof ArrayBuffer) {
+        writeBinary(w, new Uint8Array(value));
+      } else if (value instanceof Uint8Array) {
+        writeBinary(w, value);
+      } else if (ArrayBuffer.isView(value)) {
+        // Other typed arrays, eg Float32Array, are encoded as an array of numbers
+        writeArray(w, Array.from(/** @type any */(value)));
+      } else if (Array.isArray(value)) {
+        writeArray(w, value);
+      } else {
+        writeMap(w, value);
+      }
+      return;
+    }
+    default: {
+      throw new TypeError(`Cannot encode type: ${typeof value}`);
+    }
+  }
+};
+
+/**
+ * @param {Writer} w
+ * @param {number} v
+ */
+const writeNumber = (w, v) => {
+  if (!Number.isFinite(v)) {
+    // Same as JSON.stringify
+    w.u8(0xC0);
+  } else if (Number.isInteger(v) && v >= 0 && v <= 0xFF_FF_FF_FF) {
+    if (v < 0x80) {
+      w.u8(v);
+    } else if (v <= 0xFF) {
+      w.u8(0xCC);
+      w.u8(v);
+    } else if (v <= 0xFF_FF) {
+      w.u8(0xCD);
+      w.u16(v);
+    } else {
+      w.u8(0xCE);
+      w.u32(v);
+    }
+  } else if (Number.isInteger(v) && v < 0 && v >= -0x80_00_00_00) {
+    if (v >= -32) {
+      w.u8(v & 0xFF);
+    } else if (v >= -0x80) {
+      w.u8(0xD0);
+      w.u8(v & 0xFF);
+    } else if (v >= -0x80_00) {
+      w.u8(0xD1);
+      w.u16(v & 0xFF_FF);
+    } else {
+      w.u8(0xD2);
+      w.u32(v >>> 0);
+    }
+  } else {
+    w.u8(0xCB);
+    w.f64(v);
+  }
+};
+
+/**
+ * @param {Writer} w
+ * @param {string} v
+ */
+const writeString = (w, v) => {
+  const bytes = textEncoder.encode(v);
+  const length = bytes.length;
+  if (length < 32) {
+    w.u8(0xA0 | length);
+  } else if (length <= 0xFF) {
+    w.u8(0xD9);
+    w.u8(length);
+  } else if (length <= 0xFF_FF) {
+    w.u8(0xDA);
+    w.u16(length);
+  } else {
+    w.u8(0xDB);
+    w.u32(length);
+  }
+  w.raw(bytes);
+};
+
+/**
+ * @param {Writer} w
+ * @param {Uint8Array} v
+ */
+const writeBinary = (w, v) => {
+  const length = v.length;
+  if (length <= 0xFF) {
+    w.u8(0xC4);
+    w.u8(length);
+  } else if (length <= 0xFF_FF) {
+    w.u8(0xC5);
+    w.u16(length);
+  } else {
+    w.u8(0xC6);
+    w.u32(length);
+  }
+  w.raw(v);
+};
+
+/**
+ * @param {Writer} w
+ * @param {any[]} v
+ */
+const writeArray = (w, v) => {
+  const length = v.length;
+  if (length < 16) {
+    w.u8(0x90 | length);
+  } else if (length <= 0xFF_FF) {
+    w.u8(0xDC);
+    w.u16(length);
+  } else {
+    w.u8(0xDD);
+    w.u32(length);
+  }
+  for (const item of v) writeValue(w, item);
+};
+
+/**
+ * @param {Writer} w
+ * @param {Record<string,any>} v
+ */
+const writeMap = (w, v) => {
+  const entries = Object.entries(v).filter(([ _, value ]) => value !== undefined && typeof value !== `function`);
+  const length = entries.length;
+  if (length < 16) {
+    w.u8(0x80 | length);
+  } else if (length <= 0xFF_FF) {
+    w.u8(0xDE);
+    w.u16(length);
+  } else {
+    w.u8(0xDF);
+    w.u32(length);
+  }
+  for (const [ key, value ] of entries) {
+    writeString(w, key);
+    writeValue(w, value);
+  }
+};
+
+class Reader {
+  pos = 0;
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  /**
+   * Advances position by `length`, returning the position before
+   * @param {number} length
+   */
+  take(length) {
+    if (this.pos + length > this.bytes.length) throw new Error(`Unexpected end of data`);
+    const pos = this.pos;
+    this.pos += length;
+    return pos;
+  }
+
+  u8() {
+    return this.view.getUint8(this.take(1));
+  }
+
+  u16() {
+    return this.view.getUint16(this.take(2));
+  }
+
+  u32() {
+    return this.view.getUint32(this.take(4));
+  }
+
+  /**
+   * @param {number} length
+   */
+  raw(length) {
+    const pos = this.take(length);
+    return this.bytes.slice(pos, pos + length);
+  }
+}
+
+/**
+ * @param {Reader} r
+ * @returns {any}
+ */
+const readValue = (r) => {
+  const type = r.u8();
+  if (type < 0x80) return type;
+  if (type <= 0x8F) return readMap(r, type & 0x0F);
+  if (type <= 0x9F) return readArray(r, type & 0x0F);
+  if (type <= 0xBF) return readString(r, type & 0x1F);
+  if (type >= 0xE0) return type - 0x1_00;
+
+  switch (type) {
+    case 0xC0: {
+      return null;
+    }
+    case 0xC2: {
+      return false;
+    }
+    case 0xC3: {
+      return true;
+    }
+    case 0xC4: {
+      return r.raw(r.u8());
+    }
+    case 0xC5: {
+      return r.raw(r.u16());
+    }
+    case 0xC6: {
+      return r.raw(r.u32());
+    }
+    case 0xCA: {
+      return r.view.getFloat32(r.take(4));
+    }
+    case 0xCB: {
+      return r.view.getFloat64(r.take(8));
+    }
+    case 0xCC: {
+      return r.u8();
+    }
+    case 0xCD: {
+      return r.u16();
+    }
+    case 0xCE: {
+      return r.u32();
+    }
+    case 0xCF: {
+      return Number(r.view.getBigUint64(r.take(8)));
+    }
+    case 0xD0: {
+      return r.view.getInt8(r.take(1));
+    }
+    case 0xD1: {
+      return r.view.getInt16(r.take(2));
+    }
+    case 0xD2: {
+      return r.view.getInt32(r.take(4));
+    }
+    case 0xD3: {
+      return Number(r.view.getBigInt64(r.take(8)));
+    }
+    case 0xD9: {
+      return readString(r, r.u8());
+    }
+    case 0xDA: {
+      return readString(r, r.u16());
+    }
+    case 0xDB: {
+      return readString(r, r.u32());
+    }
+    case 0xDC: {
+      return readArray(r, r.u16());
+    }
+    case 0xDD: {
+      return readArray(r, r.u32());
+    }
+    case 0xDE: {
+      return readMap(r, r.u16());
+    }
+    case 0xDF: {
+      return readMap(r, r.u32());
+    }
+    default: {
+      throw new Error(`Unsupported MessagePack type: 0x${type.toString(16)}`);
+    }
+  }
+};
+
+/**
+ * @param {Reader} r
+ * @param {number} length
+ */
+const readString = (r, length) => {
+  const pos = r.take(length);
+  return textDecoder.decode(r.bytes.subarray(pos, pos + length));
+};
+
+/**
+ * @param {Reader} r
+ * @param {number} length
+ */
+const readArray = (r, length) => {
+  const array = [];
+  for (let i = 0; i < length; i++) array.push(readValue(r));
+  return array;
+};
+
+/**
+ * @param {Reader} r
+ * @param {number} length
+ */
+const readMap = (r, length) => {
+  /** @type Record<string,any> */
+  const map = {};
+  for (let i = 0; i < length; i++) {
+    const key = String(readValue(r));
+    // Defined rather than assigned, so a `__proto__` key is kept as data like JSON.parse does
+    Object.defineProperty(map, key, { value: readValue(r), enumerable: true, writable: true, configurable: true });
+  }
+  return map;
+};
@@ -0,0 +1,82 @@
+// Run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decode, encode } from './msgpack.js';
+
+/**
+ * Encodes and decodes a value
+ * @param {any} value
+ */
+const roundTrip = (value) => decode(encode(value));
+
+test(`round trips JSON values`, () => {
+  const values = [
+    null,
+    true,
+    false,
+    0,
+    1,
+    127,
+    128,
+    255,
+    65_535,
+    65_536,
+    0xFF_FF_FF_FF,
+    2 ** 40,
+    -1,
+    -32,
+    -33,
+    -129,
+    -32_769,
+    -(2 ** 40),
+    0.5,
+    -1234.5678,
+    ``,
+    `hello`,
+    `é ✓ 🙂`,
+    `x`.repeat(40),
+    `x`.repeat(300),
+    `x`.repeat(70_000),
+    [],
+    [ 1, `two`, [ 3 ], { four: 4 } ],
+    Array.from({ length: 20 }, (_, index) => index),
+    {},
+    { x: 0.5, y: 0.2, nested: { deep: [ { a: null } ] } },
+    Object.fromEntries(Array.from({ length: 20 }, (_, index) => [ `k${index}`, index ]))
+  ];
+  for (const value of values) assert.deepEqual(roundTrip(value), value);
+});
+
+test(`encodes like JSON.stringify`, () => {
+  const value = {
+    skipped: undefined,
+    fn: () => 1,
+    infinite: Number.POSITIVE_INFINITY,
+    missing: Number.NaN,
+    date: new Date(0),
+    floats: new Float32Array([ 0.5, 1 ])
+  };
+  assert.deepEqual(roundTrip(value), { infinite: null, missing: null, date: `1970-01-01T00:00:00.000Z`, floats: [ 0.5, 1 ] });
+});
+
+test(`round trips binary`, () => {
+  const bytes = new Uint8Array([ 0, 1, 2, 255 ]);
+  assert.deepEqual(roundTrip(bytes), bytes);
+  assert.deepEqual(roundTrip(bytes.buffer), bytes);
+  assert.deepEqual(roundTrip({ data: new Uint8Array(300) }).data.length, 300);
+});
+
+test(`keeps a __proto__ key as data, like JSON.parse`, () => {
+  const json = `{"__proto__":{"x":1},"a":2}`;
+  const decoded = roundTrip(JSON.parse(json));
+  assert.equal(Object.getPrototypeOf(decoded), Object.prototype);
+  assert.equal(decoded.x, undefined);
+  assert.deepEqual(Object.keys(decoded), [ `__proto__`, `a` ]);
+  assert.equal(JSON.stringify(decoded), json);
+});
+
+test(`rejects malformed data`, () => {
+  assert.throws(() => decode(new Uint8Array([ 0x92, 0x01 ])), /end of data/);
+  assert.throws(() => decode(new Uint8Array([ 0x01, 0x02 ])), /trailing/);
+  assert.throws(() => decode(new Uint8Array([ 0xC1 ])), /Unsupported/);
+});
@@ -0,0 +1,297 @@
+/**
+ * Bridges the relay and OSC (Open Sound Control) over UDP, for tools
+ * like Max/MSP, TouchDesigner and SuperCollider.
+ *
+ * Relayed JSON is sent as bundles of OSC messages, one per value, with the
+ * address being the path to the value. The first part of the address is
+ * the envelope type (or the type inferred from the data), eg:
+ *
+ * ```
+ * /pointer/x 0.5
+ * /motion/accel/x 0.12
+ * ```
+ *
+ * Pose and hand landmarks are given names rather than indexes:
+ *
+ * ```
+ * /pose/0/left_wrist/x 0.41
+ * /pose/0/world/left_wrist/x -0.2
+ * /hand/0/index_finger_tip/y 0.3
+ * /hand/0/handedness "Left"
+ * ```
+ *
+ * Received OSC works the other way around: each message sets a value in the
+ * latest data for its type, which is then broadcast as a typed envelope.
+ * This means a tool can send `/pointer/x` and `/pointer/y` separately.
+ */
+import dgram from 'node:dgram';
+import { createEnvelope, fromPacket, inferTypes } from './envelope.js';
+import { addressSegments, decodePacket, encodeBundles, flatten, unflatten } from './osc.js';
+
+export const poseLandmarkNames = Object.freeze([ `nose`, `left_eye_inner`, `left_eye`, `left_eye_outer`, `right_eye_inner`, `right_eye`, `right_eye_outer`, `left_ear`, `right_ear`, `mouth_left`, `mouth_right`, `left_shoulder`, `right_shoulder`, `left_elbow`, `right_elbow`, `left_wrist`, `right_wrist`, `left_pinky`, `right_pinky`, `left_index`, `right_index`, `left_thumb`, `right_thumb`, `left_hip`, `right_hip`, `left_knee`, `right_knee`, `left_ankle`, `right_ankle`, `left_heel`, `right_heel`, `left_foot_index`, `right_foot_index` ]);
+
+export const handLandmarkNames = Object.freeze([ `wrist`, `thumb_cmc`, `thumb_mcp`, `thumb_ip`, `thumb_tip`, `index_finger_mcp`, `index_finger_pip`, `index_finger_dip`, `index_finger_tip`, `middle_finger_mcp`, `middle_finger_pip`, `middle_finger_dip`, `middle_finger_tip`, `ring_finger_mcp`, `ring_finger_pip`, `ring_finger_dip`, `ring_finger_tip`, `pinky_mcp`, `pinky_pip`, `pinky_dip`, `pinky_tip` ]);
+
+/**
+ * Sent by the relay to the OSC tool
+ */
+export const oscSender = `osc`;
+
+/**
+ * @typedef {{
+ *  host: string
+ *  port: number
+ * }} OscTarget
+ */
+
+/**
+ * @typedef {{
+ *  send?: OscTarget
+ *  listenPort?: number
+ *  onReceived?: (envelopeText:string)=>void
+ *  onSendError?: (error:Error, addresses:string[])=>void
+ * }} OscBridgeOptions
+ */
+
+export class OscBridge {
+  /** @type dgram.Socket */
+  #socket;
+  /**
+   * Latest data received for each type
+   * @type Record<string,any>
+   */
+  #received = Object.create(null);
+
+  /**
+   * @param {OscBridgeOptions} options
+   */
+  constructor(options) {
+    this.options = options;
+    this.#socket = dgram.createSocket(`udp4`);
+    this.#socket.on(`message`, (bytes, info) => {
+      try {
+        this.#onPacket(bytes);
+      } catch (error) {
+        console.warn(`Could not handle OSC from ${info.address}:${info.port}.`, error instanceof Error ? error.message : error);
+      }
+    });
+    this.#socket.on(`error`, error => {
+      console.error(`OSC socket error`, error);
+    });
+  }
+
+  /**
+   * Starts listening, if a port was given
+   * @returns {Promise<void>}
+   */
+  start() {
+    const { listenPort } = this.options;
+    if (listenPort === undefined) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      this.#socket.once(`error`, reject);
+      this.#socket.bind(listenPort, () => {
+        this.#socket.off(`error`, reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Sends a relayed JSON message as OSC. Nothing is sent if there's no
+   * target, or message has no values.
+   *
+   * Large messages, such as several poses, are split over bundles that fit in a UDP datagram.
+   * Bundles which couldn't be sent are passed to the `onSendError` option, or logged.
+   * Returns a promise that resolves with the errors once all bundles have been sent.
+   * @param {string} text
+   * @returns {Promise<Error[]>}
+   */
+  forward(text) {
+    const { send } = this.options;
+    if (!send) return Promise.resolve([]);
+    const messages = toOsc(text);
+    if (messages.length === 0) return Promise.resolve([]);
+    return Promise.all(encodeBundles(messages).map(bundle => new Promise(resolve => {
+      /** @param {Error|null} error */
+      const sent = error => {
+        if (error) this.#onSendError(error, bundle.messages.map(m => m.address));
+        resolve(error ?? undefined);
+      };
+      try {
+        this.#socket.send(bundle.bytes, send.port, send.host, sent);
+      } catch (error) {
+        sent(error instanceof Error ? error : new Error(String(error)));
+      }
+    }))).then(errors => errors.filter(error => error !== undefined));
+  }
+
+  close() {
+    this.#socket.close();
+  }
+
+  /**
+   * @param {Error} error
+   * @param {string[]} addresses
+   */
+  #onSendError(error, addresses) {
+    if (this.options.onSendError) {
+      this.options.onSendError(error, addresses);
+      return;
+    }
+    console.warn(`Could not send OSC for ${addresses[0]}${addresses.length > 1 ? ` and ${addresses.length - 1} more` : ``}.`, error.message);
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  #onPacket(bytes) {
+    /** @type Set<string> */
+    const changed = new Set();
+    for (const m of decodePacket(bytes)) {
+      const path = addressSegments(m.address);
+      if (path.length === 0) continue;
+      try {
+        unflatten(this.#received, path, m.args);
+      } catch (error) {
+        console.warn(`Ignoring OSC message '${m.address}'.`, error instanceof Error ? error.message : error);
+        continue;
+      }
+      changed.add(path[0]);
+    }
+    for (const type of changed) {
+      const data = fromNamedLandmarks(type, structuredClone(this.#received[type]));
+      this.options.onReceived?.(JSON.stringify(createEnvelope(type, data, oscSender)));
+    }
+  }
+}
+
+/**
+ * Converts relayed JSON to OSC messages.
+ * Returns an empty array if text isn't JSON.
+ * @param {string} text
+ * @returns {import('./osc.js').OscMessage[]}
+ */
+export const toOsc = (text) => {
+  let packet;
+  try {
+    packet = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  const envelope = fromPacket(packet);
+  let type;
+  let data;
+  if (envelope) {
+    type = envelope.type;
+    data = envelope.data;
+  } else {
+    data = packet?.data ?? packet;
+    if (typeof data === `string`) {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        // Leave as a string
+      }
+    }
+    type = inferTypes(data)[0] ?? `data`;
+  }
+  return flatten(toNamedLandmarks(type, data), `/${type}`);
+};
+
+/**
+ * Replaces landmark arrays in pose and hand data with objects keyed by landmark name
+ * @param {string} type
+ * @param {any} data
+ */
+export const toNamedLandmarks = (type, data) => {
+  if (type === `pose` && Array.isArray(data)) {
+    return data.map(({ landmarks, world, ...rest }) => ({
+      ...rest,
+      ...named(poseLandmarkNames, landmarks),
+      ...(world && { world: named(poseLandmarkNames, world) })
+    }));
+  }
+  if (type === `hand` && Array.isArray(data?.landmarks)) {
+    return data.landmarks.map((landmarks, index) => {
+      const category = data.handedness?.[index]?.[0];
+      const world = data.worldLandmarks?.[index];
+      return {
+        ...named(handLandmarkNames, landmarks),
+        ...(world && { world: named(handLandmarkNames, world) }),
+        ...(category && { handedness: category.categoryName, score: category.score })
+      };
+    });
+  }
+  return data;
+};
+
+/**
+ * Reverse of {@link toNamedLandmarks}, so data received as OSC has the same
+ * shape as data from the ml senders. Landmarks not received are given a visibility of 0.
+ * @param {string} type
+ * @param {any} data
+ */
+export const fromNamedLandmarks = (type, data) => {
+  if (type === `pose` && Array.isArray(data)) {
+    return data.map(pose => {
+      const { world, ...rest } = withoutNames(poseLandmarkNames, pose ?? {});
+      return {
+        poseid: ``,
+        ...rest,
+        landmarks: indexed(poseLandmarkNames, pose ?? {}),
+        ...(world && { world: indexed(poseLandmarkNames, world) })
+      };
+    });
+  }
+  if (type === `hand` && Array.isArray(data)) {
+    const hands = data.map(h => h ?? {});
+    return {
+      landmarks: hands.map(h => indexed(handLandmarkNames, h)),
+      worldLandmarks: hands.map(h => indexed(handLandmarkNames, h.world ?? {})),
+      handedness: hands.map((h, index) => [ {
+        categoryName: h.handedness ?? ``,
+        displayName: h.handedness ?? ``,
+        score: h.score ?? 1,
+        index
+      } ])
+    };
+  }
+  return data;
+};
+
+/**
+ * Parses `host:port` or just `port`, with host defaulting to localhost
+ * @param {string} text
+ * @returns {OscTarget}
+ */
+export const parseTarget = (text) => {
+  const [ host, port ] = text.includes(`:`) ? text.split(`:`) : [ `127.0.0.1`, text ];
+  return { host, port: parsePort(port) };
+};
+
+/**
+ * @param {string} text
+ */
+export const parsePort = (text) => {
+  const port = Number.parseInt(text);
+  if (Number.isNaN(port) || port <= 0 || port > 65_535) throw new Error(`Invalid port: ${text}`);
+  return port;
+};
+
+/**
+ * @param {readonly string[]} names
+ * @param {any[]|undefined} landmarks
+ */
+const named = (names, landmarks) => Object.fromEntries((landmarks ?? []).map((l, index) => [ names[index] ?? String(index), l ]));
+
+/**
+ * @param {readonly string[]} names
+ * @param {Record<string,any>} object
+ */
+const indexed = (names, object) => names.map(n => object[n] ?? { x: 0, y: 0, z: 0, visibility: 0 });
+
+/**
+ * @param {readonly string[]} names
+ * @param {Record<string,any>} object
+ */
+const withoutNames = (names, object) => Object.fromEntries(Object.entries(object).filter(([ k ]) => !names.includes(k)));
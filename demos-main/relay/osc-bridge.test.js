@@ -0,0 +1,177 @@
+// Run with `npm test`. Sends OSC to the bridge over the loopback address.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import { createEnvelope } from './envelope.js';
+import { OscBridge, poseLandmarkNames, toOsc } from './osc-bridge.js';
+import { decodePacket, encodeBundle, encodeMessage, maxArrayIndex, maxBundleBytes } from './osc.js';
+
+/**
+ * Returns a UDP port that is free
+ * @returns {Promise<number>}
+ */
+const freePort = () => new Promise(resolve => {
+  const socket = dgram.createSocket(`udp4`);
+  socket.bind(0, `127.0.0.1`, () => {
+    const { port } = socket.address();
+    socket.close(() => resolve(port));
+  });
+});
+
+/**
+ * Starts a bridge listening on loopback, and a socket to send to it.
+ * `send` resolves with the envelopes broadcast after a packet.
+ */
+const setup = async () => {
+  const listenPort = await freePort();
+  /** @type any[] */
+  let envelopes = [];
+  const bridge = new OscBridge({
+    listenPort,
+    onReceived: text => envelopes.push(JSON.parse(text))
+  });
+  await bridge.start();
+  const socket = dgram.createSocket(`udp4`);
+
+  /**
+   * Sends a packet, resolving with envelopes it caused
+   * @param {Uint8Array} packet
+   */
+  const send = (packet) => new Promise((resolve, reject) => {
+    envelopes = [];
+    socket.send(packet, listenPort, `127.0.0.1`, error => {
+      if (error) reject(error);
+      // Give the bridge a moment to handle it
+      else setTimeout(() => resolve(envelopes), 50);
+    });
+  });
+  const close = () => {
+    socket.close();
+    bridge.close();
+  };
+  return { bridge, send, close };
+};
+
+test(`sets values from received OSC`, async () => {
+  const { send, close } = await setup();
+  try {
+    const envelopes = await send(encodeBundle([
+      { address: `/pointer/x`, args: [ 0.25 ] },
+      { address: `/pointer/y`, args: [ 0.75 ] }
+    ]));
+    assert.equal(envelopes.length, 1);
+    assert.equal(envelopes[0].type, `pointer`);
+    assert.equal(envelopes[0].from, `osc`);
+    assert.deepEqual(envelopes[0].data, { x: 0.25, y: 0.75 });
+  } finally {
+    close();
+  }
+});
+
+test(`ignores addresses that would pollute prototypes`, async () => {
+  const { send, close } = await setup();
+  try {
+    for (const address of [ `/__proto__/polluted`, `/pointer/__proto__/polluted`, `/pointer/constructor/prototype/polluted`, `/prototype/polluted` ]) {
+      const envelopes = await send(encodeMessage(address, [ 1 ]));
+      assert.deepEqual(envelopes, [], address);
+    }
+    // @ts-ignore
+    assert.equal(({}).polluted, undefined);
+    // @ts-ignore
+    assert.equal(Object.prototype.polluted, undefined);
+
+    // Other messages in the bundle still work
+    const envelopes = await send(encodeBundle([
+      { address: `/__proto__/polluted`, args: [ 1 ] },
+      { address: `/pointer/x`, args: [ 0.5 ] }
+    ]));
+    assert.equal(envelopes.length, 1);
+    assert.equal(envelopes[0].data.x, 0.5);
+    // @ts-ignore
+    assert.equal(({}).polluted, undefined);
+  } finally {
+    close();
+  }
+});
+
+test(`ignores array indexes that are too high`, async () => {
+  const { send, close } = await setup();
+  try {
+    assert.deepEqual(await send(encodeMessage(`/pose/99999999/x`, [ 1 ])), []);
+    assert.deepEqual(await send(encodeMessage(`/list/${maxArrayIndex + 1}`, [ 1 ])), []);
+    const envelopes = await send(encodeMessage(`/list/2`, [ 1 ]));
+    assert.equal(envelopes.length, 1);
+    assert.equal(envelopes[0].data.length, 3);
+    // Arrays only take indexes
+    assert.deepEqual(await send(encodeMessage(`/list/length`, [ 1e9 ])), []);
+  } finally {
+    close();
+  }
+});
+
+test(`forwards relayed JSON as OSC`, async () => {
+  const port = await freePort();
+  const receiver = dgram.createSocket(`udp4`);
+  await new Promise(resolve => receiver.bind(port, `127.0.0.1`, () => resolve(undefined)));
+  const bridge = new OscBridge({ send: { host: `127.0.0.1`, port } });
+  try {
+    const received = new Promise(resolve => receiver.once(`message`, bytes => resolve(decodePacket(bytes))));
+    bridge.forward(JSON.stringify(createEnvelope(`pointer`, { x: 0.5 })));
+    assert.deepEqual(await received, [ { address: `/pointer/x`, args: [ 0.5 ] } ]);
+  } finally {
+    receiver.close();
+    bridge.close();
+  }
+});
+
+test(`splits poses over bundles that fit in a datagram`, async () => {
+  const port = await freePort();
+  const receiver = dgram.createSocket(`udp4`);
+  await new Promise(resolve => receiver.bind(port, `127.0.0.1`, () => resolve(undefined)));
+  const bridge = new OscBridge({ send: { host: `127.0.0.1`, port } });
+  const landmark = { x: 0.123_456, y: 0.654_321, z: -0.5, visibility: 0.9 };
+  const poses = [ 0, 1, 2, 3, 4, 5 ].map(index => ({
+    poseid: String(index),
+    landmarks: poseLandmarkNames.map(() => landmark),
+    world: poseLandmarkNames.map(() => landmark)
+  }));
+  try {
+    /** @type Uint8Array[] */
+    const packets = [];
+    receiver.on(`message`, bytes => packets.push(bytes));
+    const errors = await bridge.forward(JSON.stringify(createEnvelope(`pose`, poses)));
+    assert.deepEqual(errors, []);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.ok(packets.length > poses.length);
+    for (const p of packets) assert.ok(p.length <= maxBundleBytes, `${p.length} bytes`);
+    const messages = packets.flatMap(p => decodePacket(p));
+    assert.equal(messages.length, toOsc(JSON.stringify(createEnvelope(`pose`, poses))).length);
+
+    // Values of a landmark are in the same bundle
+    for (const p of packets) {
+      const addresses = decodePacket(p).map(m => m.address);
+      for (const a of addresses.filter(a => a.endsWith(`/x`))) {
+        assert.equal(addresses.filter(b => b.startsWith(a.slice(0, -1))).length, 4, a);
+      }
+    }
+  } finally {
+    receiver.close();
+    bridge.close();
+  }
+});
+
+test(`reports bundles that could not be sent`, async () => {
+  /** @type string[][] */
+  const failed = [];
+  const port = await freePort();
+  const bridge = new OscBridge({ send: { host: `127.0.0.1`, port }, onSendError: (_error, addresses) => failed.push(addresses) });
+  try {
+    // Too big for a UDP datagram
+    const errors = await bridge.forward(JSON.stringify(createEnvelope(`note`, { x: 0.5, text: `a`.repeat(70_000) })));
+    assert.equal(errors.length, 1);
+    assert.deepEqual(failed, [ [ `/note/text` ] ]);
+  } finally {
+    bridge.close();
+  }
+});
@@ -0,0 +1,402 @@
+/**
+ * Encoding and decoding of OSC (Open Sound Control) packets,
+ * and conversion between JSON values and OSC addresses.
+ *
+ * ```js
+ * const bytes = encodeMessage(`/pointer/x`, [ 0.5 ]);
+ * const messages = decodePacket(bytes); // [ { address: `/pointer/x`, args: [ 0.5 ] } ]
+ * ```
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * @typedef {number|string|boolean|null|Uint8Array} OscArgument
+ */
+
+/**
+ * @typedef {{
+ *  address: string
+ *  args: OscArgument[]
+ * }} OscMessage
+ */
+
+/**
+ * Encodes a single message.
+ * Integers are sent as int32, other numbers as float32.
+ * @param {string} address Eg `/pose/0/nose/x`
+ * @param {OscArgument[]} args
+ * @returns {Uint8Array}
+ */
+export const encodeMessage = (address, args) => {
+  if (!address.startsWith(`/`)) throw new Error(`OSC address should start with '/'. Got: ${address}`);
+  let tags = `,`;
+  /** @type Uint8Array[] */
+  const data = [];
+  for (const arg of args) {
+    if (arg === null) {
+      tags += `N`;
+    } else if (typeof arg === `boolean`) {
+      tags += arg ? `T` : `F`;
+    } else if (typeof arg === `number`) {
+      const bytes = new Uint8Array(4);
+      const view = new DataView(bytes.buffer);
+      if (Number.isInteger(arg) && arg >= -0x80_00_00_00 && arg <= 0x7F_FF_FF_FF) {
+        tags += `i`;
+        view.setInt32(0, arg);
+      } else {
+        tags += `f`;
+        view.setFloat32(0, arg);
+      }
+      data.push(bytes);
+    } else if (typeof arg === `string`) {
+      tags += `s`;
+      data.push(paddedString(arg));
+    } else if (arg instanceof Uint8Array) {
+      tags += `b`;
+      const bytes = new Uint8Array(4 + padLength(arg.length));
+      new DataView(bytes.buffer).setInt32(0, arg.length);
+      bytes.set(arg, 4);
+      data.push(bytes);
+    } else {
+      throw new TypeError(`Cannot encode OSC argument of type: ${typeof arg}`);
+    }
+  }
+  return concat([ paddedString(address), paddedString(tags), ...data ]);
+};
+
+/**
+ * Encodes several messages as a bundle, to be handled at once
+ * @param {OscMessage[]} messages
+ * @returns {Uint8Array}
+ */
+export const encodeBundle = (messages) => {
+  /** @type Uint8Array[] */
+  const parts = [
+    paddedString(`#bundle`),
+    // Time tag of 1 means 'immediately'
+    new Uint8Array([ 0, 0, 0, 0, 0, 0, 0, 1 ])
+  ];
+  for (const m of messages) {
+    const bytes = encodeMessage(m.address, m.args);
+    const size = new Uint8Array(4);
+    new DataView(size.buffer).setInt32(0, bytes.length);
+    parts.push(size, bytes);
+  }
+  return concat(parts);
+};
+
+/**
+ * Bundles are kept under this many bytes. The default UDP datagram limit on
+ * macOS is 9,216 bytes, and a single pose comes to more than that.
+ */
+export const maxBundleBytes = 8192;
+
+/**
+ * Encodes messages in as many bundles as needed to keep each under `maxBytes`.
+ *
+ * Messages whose addresses differ only in the last segment, eg the `x`, `y`, `z`
+ * of a landmark, are kept in the same bundle. A message larger than `maxBytes` by
+ * itself is sent in a bundle of its own.
+ * @param {OscMessage[]} messages
+ * @param {number} maxBytes
+ * @returns {{ bytes: Uint8Array, messages: OscMessage[] }[]}
+ */
+export const encodeBundles = (messages, maxBytes = maxBundleBytes) => {
+  // '#bundle' and the time tag
+  const headerLength = 16;
+  /** @type {{ group: string, messages: OscMessage[], lengths: number[], length: number }[]} */
+  const groups = [];
+  for (const m of messages) {
+    const group = m.address.slice(0, m.address.lastIndexOf(`/`));
+    // Each message in a bundle is prefixed with its size
+    const length = 4 + encodeMessage(m.address, m.args).length;
+    const last = groups.at(-1);
+    if (last?.group === group) {
+      last.messages.push(m);
+      last.lengths.push(length);
+      last.length += length;
+    } else {
+      groups.push({ group, messages: [ m ], lengths: [ length ], length });
+    }
+  }
+
+  /** @type {OscMessage[][]} */
+  const bundles = [];
+  /** @type {OscMessage[]} */
+  let current = [];
+  let length = headerLength;
+  for (const g of groups) {
+    if (current.length > 0 && length + g.length > maxBytes) {
+      bundles.push(current);
+      current = [];
+      length = headerLength;
+    }
+    if (g.length + headerLength > maxBytes) {
+      // Too big to keep together, split it up by message
+      for (const [ index, m ] of g.messages.entries()) {
+        const messageLength = g.lengths[index];
+        if (current.length > 0 && length + messageLength > maxBytes) {
+          bundles.push(current);
+          current = [];
+          length = headerLength;
+        }
+        current.push(m);
+        length += messageLength;
+      }
+    } else {
+      current.push(...g.messages);
+      length += g.length;
+    }
+  }
+  if (current.length > 0) bundles.push(current);
+  return bundles.map(m => ({ bytes: encodeBundle(m), messages: m }));
+};
+
+/**
+ * Decodes a packet, which is either a message or a bundle.
+ * Messages in bundles (and nested bundles) are returned in order, time tags are ignored.
+ * Throws an error if packet is malformed.
+ * @param {Uint8Array} bytes
+ * @returns {OscMessage[]}
+ */
+export const decodePacket = (bytes) => {
+  const reader = new Reader(bytes);
+  if (bytes[0] === 0x23) { // '#'
+    if (reader.string() !== `#bundle`) throw new Error(`Expected OSC bundle`);
+    reader.take(8); // time tag
+    /** @type OscMessage[] */
+    const messages = [];
+    while (reader.pos < bytes.length) {
+      const size = reader.view.getInt32(reader.take(4));
+      const pos = reader.take(size);
+      messages.push(...decodePacket(bytes.subarray(pos, pos + size)));
+    }
+    return messages;
+  }
+  return [ decodeMessage(reader) ];
+};
+
+/**
+ * @param {Reader} r
+ * @returns {OscMessage}
+ */
+const decodeMessage = (r) => {
+  const address = r.string();
+  if (!address.startsWith(`/`)) throw new Error(`OSC address should start with '/'. Got: ${address}`);
+  /** @type OscArgument[] */
+  const args = [];
+  // Type tags are optional in old implementations
+  if (r.pos >= r.bytes.length) return { address, args };
+  const tags = r.string();
+  if (!tags.startsWith(`,`)) throw new Error(`Expected OSC type tags`);
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case `i`: {
+        args.push(r.view.getInt32(r.take(4)));
+        break;
+      }
+      case `f`: {
+        args.push(r.view.getFloat32(r.take(4)));
+        break;
+      }
+      case `d`: {
+        args.push(r.view.getFloat64(r.take(8)));
+        break;
+      }
+      case `h`: {
+        args.push(Number(r.view.getBigInt64(r.take(8))));
+        break;
+      }
+      case `s`:
+      case `S`: {
+        args.push(r.string());
+        break;
+      }
+      case `b`: {
+        const length = r.view.getInt32(r.take(4));
+        const pos = r.take(padLength(length));
+        args.push(r.bytes.slice(pos, pos + length));
+        break;
+      }
+      case `T`: {
+        args.push(true);
+        break;
+      }
+      case `F`: {
+        args.push(false);
+        break;
+      }
+      case `N`:
+      case `I`: {
+        args.push(null);
+        break;
+      }
+      default: {
+        throw new Error(`Unsupported OSC type tag: ${tag}`);
+      }
+    }
+  }
+  return { address, args };
+};
+
+/**
+ * Flattens a JSON value into a list of messages, one per primitive value,
+ * with the address being the path to the value.
+ *
+ * ```js
+ * flatten({ accel: { x: 1, y: 2 } }, `/motion`);
+ * // [ { address: `/motion/accel/x`, args: [ 1 ] }, { address: `/motion/accel/y`, args: [ 2 ] } ]
+ * ```
+ * @param {any} value
+ * @param {string} address Address prefix
+ * @returns {OscMessage[]}
+ */
+export const flatten = (value, address) => {
+  if (value === undefined || value === null) return [];
+  if (typeof value === `object`) {
+    const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+    /** @type OscMessage[] */
+    const messages = [];
+    for (const [ key, v ] of entries) {
+      messages.push(...flatten(v, `${address}/${escapeSegment(String(key))}`));
+    }
+    return messages;
+  }
+  if (typeof value === `number` || typeof value === `string` || typeof value === `boolean`) {
+    return [ { address, args: [ value ] } ];
+  }
+  return [];
+};
+
+/**
+ * Highest array index that can be set by {@link unflatten}
+ */
+export const maxArrayIndex = 1023;
+
+/**
+ * Path segments which would change an object's prototype
+ */
+const unsafeSegments = new Set([ `__proto__`, `constructor`, `prototype` ]);
+
+/**
+ * Sets the value at an address in `target`, the reverse of {@link flatten}.
+ * Numeric path segments create arrays. A message with several
+ * arguments sets an array of them, one with no arguments sets _true_.
+ *
+ * Addresses come from the network, so objects are created without a prototype,
+ * and it throws on `__proto__`, `constructor` and `prototype` segments,
+ * array indexes above {@link maxArrayIndex} and non-numeric segments within arrays.
+ *
+ * ```js
+ * const target = Object.create(null);
+ * unflatten(target, [ `x` ], [ 0.5 ]); // { x: 0.5 }
+ * ```
+ * @param {Record<string,any>} target
+ * @param {string[]} path Address segments
+ * @param {OscArgument[]} args
+ */
+export const unflatten = (target, path, args) => {
+  const value = args.length === 0 ? true : (args.length === 1 ? args[0] : args);
+  if (path.length === 0) throw new Error(`Path is empty`);
+  for (const segment of path) {
+    if (unsafeSegments.has(segment)) throw new Error(`Path segment '${segment}' is not allowed`);
+    if (isIndex(segment) && Number(segment) > maxArrayIndex) throw new Error(`Index ${segment} is above ${maxArrayIndex}`);
+  }
+  /** @type any */
+  let node = target;
+  for (const [ index, segment ] of path.entries()) {
+    if (Array.isArray(node) && !isIndex(segment)) throw new Error(`Expected an index rather than '${segment}'`);
+    if (index === path.length - 1) {
+      node[segment] = value;
+    } else {
+      if (typeof node[segment] !== `object` || node[segment] === null) {
+        node[segment] = isIndex(path[index + 1]) ? [] : Object.create(null);
+      }
+      node = node[segment];
+    }
+  }
+};
+
+/**
+ * _True_ if path segment is an array index
+ * @param {string} segment
+ */
+const isIndex = (segment) => /^\d+$/.test(segment);
+
+/**
+ * Splits an address into its segments
+ * @param {string} address
+ */
+export const addressSegments = (address) => address.split(`/`).filter(s => s.length > 0);
+
+/**
+ * Replaces characters which have special meaning in OSC addresses
+ * @param {string} segment
+ */
+const escapeSegment = (segment) => segment.replaceAll(/[\s#*,/?[\]{}]/g, `_`);
+
+/**
+ * Length rounded up to a multiple of four
+ * @param {number} length
+ */
+const padLength = (length) => Math.ceil(length / 4) * 4;
+
+/**
+ * Null-terminated string, padded to a multiple of four bytes
+ * @param {string} text
+ */
+const paddedString = (text) => {
+  const encoded = textEncoder.encode(text);
+  const bytes = new Uint8Array(padLength(encoded.length + 1));
+  bytes.set(encoded);
+  return bytes;
+};
+
+/**
+ * @param {Uint8Array[]} parts
+ */
+const concat = (parts) => {
+  const bytes = new Uint8Array(parts.reduce((total, p) => total + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    bytes.set(p, pos);
+    pos += p.length;
+  }
+  return bytes;
+};
+
+class Reader {
+  pos = 0;
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  /**
+   * Advances position by `length`, returning the position before
+   * @param {number} length
+   */
+  take(length) {
+    if (length < 0 || this.pos + length > this.bytes.length) throw new Error(`Unexpected end of data`);
+    const pos = this.pos;
+    this.pos += length;
+    return pos;
+  }
+
+  /**
+   * Reads a null-terminated, padded string
+   */
+  string() {
+    const end = this.bytes.indexOf(0, this.pos);
+    if (end < 0) throw new Error(`Unterminated string`);
+    const text = textDecoder.decode(this.bytes.subarray(this.pos, end));
+    this.take(padLength(end - this.pos + 1));
+    return text;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Keeps track of which websocket clients are in which room,
+ * so that messages are only relayed between clients of the same room.
+ */
+
+/**
+ * Name of the room used when a client connects to `/ws` without naming one
+ */
+export const defaultRoom = `default`;
+
+/**
+ * @typedef {{
+ *  name: string
+ *  clients: number
+ * }} RoomInfo
+ */
+
+/**
+ * @template T
+ */
+export class Rooms {
+  /** @type Map<string,Set<T>> */
+  #rooms = new Map();
+
+  /**
+   * Adds `client` to `room`, creating the room if needed
+   * @param {string} room
+   * @param {T} client
+   */
+  join(room, client) {
+    let clients = this.#rooms.get(room);
+    if (!clients) {
+      clients = new Set();
+      this.#rooms.set(room, clients);
+    }
+    clients.add(client);
+  }
+
+  /**
+   * Removes `client` from `room`. Rooms without any clients are removed.
+   * @param {string} room
+   * @param {T} client
+   */
+  leave(room, client) {
+    const clients = this.#rooms.get(room);
+    if (!clients) return;
+    clients.delete(client);
+    if (clients.size === 0) this.#rooms.delete(room);
+  }
+
+  /**
+   * Enumerates clients in `room`, except for `except`
+   * @param {string} room
+   * @param {T} [except]
+   */
+  * clientsIn(room, except) {
+    const clients = this.#rooms.get(room);
+    if (!clients) return;
+    for (const c of clients) {
+      if (c === except) continue;
+      yield c;
+    }
+  }
+
+  /**
+   * Returns the active rooms and how many clients each has
+   * @returns {RoomInfo[]}
+   */
+  list() {
+    return [ ...this.#rooms.entries() ].map(([ name, clients ]) => ({ name, clients: clients.size }));
+  }
+
+  /**
+   * Number of active rooms
+   */
+  get size() {
+    return this.#rooms.size;
+  }
+}
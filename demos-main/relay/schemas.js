@@ -0,0 +1,247 @@
+/**
+ * JSON schemas for the payloads of typed envelopes, and a small validator.
+ *
+ * The validator supports the subset of JSON Schema used here:
+ * `type`, `properties`, `required`, `items`, `enum`, `minimum` and `maximum`.
+ */
+
+/**
+ * @typedef {{
+ *  type?: string|string[]
+ *  properties?: Record<string,JsonSchema>
+ *  required?: string[]
+ *  items?: JsonSchema
+ *  enum?: any[]
+ *  minimum?: number
+ *  maximum?: number
+ *  description?: string
+ * }} JsonSchema
+ */
+
+const xyz = {
+  type: `object`,
+  properties: {
+    x: { type: `number` },
+    y: { type: `number` },
+    z: { type: `number` }
+  },
+  required: [ `x`, `y`, `z` ]
+};
+
+const landmark = {
+  type: `object`,
+  properties: {
+    x: { type: `number` },
+    y: { type: `number` },
+    z: { type: `number` },
+    visibility: { type: `number` }
+  },
+  required: [ `x`, `y` ]
+};
+
+const category = {
+  type: `object`,
+  properties: {
+    score: { type: `number`, minimum: 0, maximum: 1 },
+    index: { type: `integer` },
+    categoryName: { type: `string` },
+    displayName: { type: `string` }
+  },
+  required: [ `score`, `categoryName` ]
+};
+
+const detections = {
+  type: `object`,
+  properties: {
+    detections: {
+      type: `array`,
+      items: {
+        type: `object`,
+        properties: {
+          categories: { type: `array`, items: category },
+          boundingBox: {
+            type: `object`,
+            properties: {
+              originX: { type: `number` },
+              originY: { type: `number` },
+              width: { type: `number` },
+              height: { type: `number` }
+            },
+            required: [ `originX`, `originY`, `width`, `height` ]
+          },
+          keypoints: { type: `array`, items: landmark }
+        },
+        required: [ `categories` ]
+      }
+    }
+  },
+  required: [ `detections` ]
+};
+
+/**
+ * Schemas for envelope payloads, keyed by envelope type
+ * @type {Record<string,JsonSchema>}
+ */
+export const Schemas = Object.freeze({
+  // Array of PoseData, as sent by ml/pose/sender
+  pose: {
+    type: `array`,
+    items: {
+      type: `object`,
+      properties: {
+        poseid: { type: `string` },
+        landmarks: { type: `array`, items: landmark },
+        world: { type: `array`, items: landmark }
+      },
+      required: [ `poseid`, `landmarks` ]
+    }
+  },
+  // HandLandmarkerResult, as sent by ml/hand/sender
+  hand: {
+    type: `object`,
+    properties: {
+      landmarks: { type: `array`, items: { type: `array`, items: landmark } },
+      worldLandmarks: { type: `array`, items: { type: `array`, items: landmark } },
+      handedness: { type: `array`, items: { type: `array`, items: category } }
+    },
+    required: [ `landmarks`, `handedness` ]
+  },
+  // FaceDetectorResult, as sent by ml/face/sender
+  face: detections,
+  // ObjectDetectorResult, as sent by ml/objects/sender
+  objects: detections,
+  // As sent by pointer/remote/sender
+  pointer: {
+    type: `object`,
+    properties: {
+      x: { type: `number`, minimum: 0, maximum: 1 },
+      y: { type: `number`, minimum: 0, maximum: 1 },
+      pointerId: { type: `integer` },
+      movementX: { type: `number` },
+      movementY: { type: `number` },
+      pressure: { type: `number`, minimum: 0, maximum: 1 }
+    },
+    required: [ `x`, `y`, `pointerId` ]
+  },
+  // MotionData, as sent by io/devicemotion-remote/sender
+  motion: {
+    type: `object`,
+    properties: {
+      accel: xyz,
+      accelGrav: xyz,
+      rotRate: {
+        type: `object`,
+        properties: {
+          alpha: { type: `number` },
+          beta: { type: `number` },
+          gamma: { type: `number` }
+        },
+        required: [ `alpha`, `beta`, `gamma` ]
+      },
+      faked: { type: `boolean` }
+    },
+    required: [ `accel`, `accelGrav`, `rotRate` ]
+  },
+  // As sent by io/keyboard/remote/sender
+  keyboard: {
+    type: `object`,
+    properties: {
+      key: { type: `string` },
+      code: { type: `string` },
+      type: { type: `string`, enum: [ `keydown`, `keyup` ] },
+      shift: { type: `boolean` },
+      meta: { type: `boolean` },
+      ctrl: { type: `boolean` },
+      alt: { type: `boolean` },
+      location: { type: `integer` },
+      timestamp: { type: `number` }
+    },
+    required: [ `key`, `type` ]
+  }
+});
+
+/**
+ * Validates `value` against `schema`, returning a list of problems.
+ * An empty list means `value` is valid.
+ *
+ * ```js
+ * const errors = validate(Schemas.pointer, { x: 0.5 });
+ * // [ `$: missing required property 'y'`, ... ]
+ * ```
+ * @param {JsonSchema} schema
+ * @param {any} value
+ * @param {string} [path] Path to value, used in error messages
+ * @returns {string[]}
+ */
+export const validate = (schema, value, path = `$`) => {
+  /** @type string[] */
+  const errors = [];
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+    if (!types.some(t => isType(t, value))) {
+      return [ `${path}: expected ${types.join(`|`)}, got ${typeName(value)}` ];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.join(`, `)}`);
+  }
+
+  if (typeof value === `number`) {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: ${value} is below minimum of ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: ${value} is above maximum of ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (const [ index, item ] of value.entries()) {
+      errors.push(...validate(schema.items, item, `${path}[${index}]`));
+    }
+  }
+
+  if (isType(`object`, value)) {
+    for (const r of schema.required ?? []) {
+      if (!(r in value)) errors.push(`${path}: missing required property '${r}'`);
+    }
+    for (const [ key, propertySchema ] of Object.entries(schema.properties ?? {})) {
+      if (value[key] === undefined) continue;
+      errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    }
+  }
+  return errors;
+};
+
+/**
+ * @param {string} type
+ * @param {any} value
+ */
+const isType = (type, value) => {
+  switch (type) {
+    case `object`: {
+      return typeof value === `object` && value !== null && !Array.isArray(value);
+    }
+    case `array`: {
+      return Array.isArray(value);
+    }
+    case `integer`: {
+      return Number.isInteger(value);
+    }
+    case `number`: {
+      return typeof value === `number` && !Number.isNaN(value);
+    }
+    case `null`: {
+      return value === null;
+    }
+    default: {
+      return typeof value === type;
+    }
+  }
+};
+
+/**
+ * @param {any} value
+ */
+const typeName = (value) => {
+  if (value === null) return `null`;
+  if (Array.isArray(value)) return `array`;
+  return typeof value;
+};
@@ -0,0 +1,194 @@
+/**
+ * Recording and replaying of relayed messages.
+ *
+ * Sessions are stored as newline-delimited JSON, one message per line:
+ * ```json
+ * {"ts":1718000000000,"room":"default","data":"{\"x\":0.5}"}
+ * ```
+ * Binary messages are stored base64-encoded, with `binary: true`.
+ */
+import { createWriteStream } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+
+/**
+ * @typedef {{
+ *  ts: number
+ *  room: string
+ *  data: string
+ *  binary?: boolean
+ * }} SessionEntry
+ */
+
+/**
+ * @typedef {{
+ *  speed: number
+ *  loop: boolean
+ *  minLoopGapMs: number
+ * }} SessionPlayerOptions
+ */
+
+/**
+ * Appends relayed messages to a file
+ */
+export class SessionRecorder {
+  /** @type import('node:fs').WriteStream */
+  #stream;
+  count = 0;
+
+  /**
+   * @param {string} file Path of file to write to. Appended to if it exists.
+   */
+  constructor(file) {
+    this.file = file;
+    this.#stream = createWriteStream(file, { flags: `a` });
+    this.#stream.on(`error`, error => {
+      console.error(`SessionRecorder: could not write to '${file}'`, error);
+    });
+  }
+
+  /**
+   * Records a message
+   * @param {string} room Room message was relayed in
+   * @param {string|Buffer|ArrayBuffer|Buffer[]} data Message
+   * @param {boolean} [isBinary] If data is binary
+   */
+  record(room, data, isBinary = false) {
+    /** @type SessionEntry */
+    const entry = isBinary ?
+      { ts: Date.now(), room, data: toBuffer(data).toString(`base64`), binary: true } :
+      { ts: Date.now(), room, data: toBuffer(data).toString() };
+    this.#stream.write(JSON.stringify(entry) + `\n`);
+    this.count++;
+  }
+
+  close() {
+    this.#stream.end();
+  }
+}
+
+/**
+ * Reads a recorded session. Lines which can't be parsed are skipped.
+ * @param {string} file
+ * @returns {Promise<SessionEntry[]>}
+ */
+export const readSession = async (file) => {
+  const text = await readFile(file, `utf8`);
+  /** @type SessionEntry[] */
+  const entries = [];
+  for (const [ index, line ] of text.split(`\n`).entries()) {
+    if (line.trim().length === 0) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry.ts !== `number` || typeof entry.data !== `string`) throw new Error(`Missing 'ts' or 'data'`);
+      entries.push(entry);
+    } catch (error) {
+      console.warn(`readSession: skipping line ${index + 1} of '${file}'.`, error instanceof Error ? error.message : error);
+    }
+  }
+  return entries;
+};
+
+/**
+ * Returns the data of an entry as it was originally relayed
+ * @param {SessionEntry} entry
+ * @returns {string|Buffer}
+ */
+export const entryData = (entry) => entry.binary ? Buffer.from(entry.data, `base64`) : entry.data;
+
+/**
+ * Re-broadcasts a recorded session with its original timing
+ */
+export class SessionPlayer {
+  /** @type SessionPlayerOptions */
+  options;
+  #timer;
+  #position = 0;
+
+  /**
+   * @param {SessionEntry[]} entries Recorded messages
+   * @param {(entry:SessionEntry)=>void} send Called for each message when it's due
+   * @param {Partial<SessionPlayerOptions>} [options]
+   */
+  constructor(entries, send, options = {}) {
+    this.entries = entries;
+    this.send = send;
+    this.options = {
+      speed: 1,
+      loop: false,
+      minLoopGapMs: 100,
+      ...options
+    };
+    if (!(this.options.speed > 0)) throw new Error(`Param 'options.speed' should be above zero. Got: ${this.options.speed}`);
+  }
+
+  start() {
+    this.stop();
+    this.#position = 0;
+    this.#schedule(0);
+  }
+
+  stop() {
+    if (this.#timer) clearTimeout(this.#timer);
+    this.#timer = undefined;
+  }
+
+  get isPlaying() {
+    return this.#timer !== undefined;
+  }
+
+  /**
+   * Schedules the entry at the current position
+   * @param {number} delayMs
+   */
+  #schedule(delayMs) {
+    this.#timer = setTimeout(() => {
+      this.#timer = undefined;
+      const { entries } = this;
+      const entry = entries[this.#position];
+      if (!entry) return;
+      this.send(entry);
+      this.#position++;
+
+      if (this.#position >= entries.length) {
+        if (!this.options.loop) return;
+        this.#position = 0;
+        this.#schedule(this.#loopGap());
+        return;
+      }
+      const next = entries[this.#position];
+      this.#schedule(Math.max(0, next.ts - entry.ts) / this.options.speed);
+    }, delayMs);
+  }
+
+  /**
+   * Delay before starting again: the average recorded spacing,
+   * but at least `minLoopGapMs` so short sessions don't flood clients
+   */
+  #loopGap() {
+    const { entries } = this;
+    const { speed, minLoopGapMs } = this.options;
+    const spacing = entries.length > 1 ? (entries.at(-1).ts - entries[0].ts) / (entries.length - 1) / speed : 0;
+    return Math.max(minLoopGapMs, spacing);
+  }
+}
+
+/**
+ * Parses replay speed, eg `0.5`, `2` or `2x`
+ * @param {string|undefined} value
+ */
+export const parseSpeed = (value) => {
+  if (!value) return 1;
+  const speed = Number.parseFloat(value);
+  if (Number.isNaN(speed) || speed <= 0) throw new Error(`Replay speed should be a number above zero. Got: ${value}`);
+  return speed;
+};
+
+/**
+ * @param {string|Buffer|ArrayBuffer|Buffer[]} data
+ */
+const toBuffer = (data) => {
+  if (typeof data === `string`) return Buffer.from(data);
+  if (Array.isArray(data)) return Buffer.concat(data);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  return data;
+};
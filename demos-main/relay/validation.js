@@ -0,0 +1,58 @@
+/**
+ * Validation of relayed messages against the envelope schemas
+ */
+import { isEnvelope, validateEnvelope } from './envelope.js';
+
+/**
+ * How invalid envelopes are handled:
+ * - `off`: not validated
+ * - `tag`: relayed, with `_invalid` set to a list of problems
+ * - `reject`: not relayed
+ * @typedef {`off`|`tag`|`reject`} ValidationModes
+ */
+
+/**
+ * @typedef {{
+ *  relay: boolean
+ *  message: any
+ *  errors: string[]
+ * }} ValidationResult
+ */
+
+/**
+ * Parses validation mode, throwing an error if it's not valid
+ * @param {string|undefined} value
+ * @returns {ValidationModes}
+ */
+export const parseValidationMode = (value) => {
+  if (!value) return `off`;
+  if (value === `off` || value === `tag` || value === `reject`) return value;
+  throw new Error(`Validation mode should be 'off', 'tag' or 'reject'. Got: ${value}`);
+};
+
+/**
+ * Checks a relayed message. Only text messages containing an envelope are validated,
+ * anything else is relayed as-is.
+ *
+ * The returned `message` is what should be relayed, which
+ * in `tag` mode has the problems added to it.
+ * @param {ValidationModes} mode
+ * @param {any} message
+ * @returns {ValidationResult}
+ */
+export const checkMessage = (mode, message) => {
+  if (mode === `off` || typeof message !== `string`) return { relay: true, message, errors: [] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(message);
+  } catch {
+    return { relay: true, message, errors: [] };
+  }
+  if (!isEnvelope(parsed)) return { relay: true, message, errors: [] };
+
+  const errors = validateEnvelope(parsed);
+  if (errors.length === 0) return { relay: true, message, errors };
+  if (mode === `reject`) return { relay: false, message, errors };
+  return { relay: true, message: JSON.stringify({ ...parsed, _invalid: errors }), errors };
+};
@@ -1,18 +1,93 @@
 import WebSocket, { WebSocketServer } from 'ws';
+import { defaultRoom } from './relay/rooms.js';
+import { Backpressure, FlowStats, RateLimiter, messageType, parsePolicies, statsIntervalMs } from './relay/flow-control.js';
+import { SessionPlayer, SessionRecorder, entryData, parseSpeed, readSession } from './relay/session.js';
 const port = 8080;
+// If set, relayed messages are recorded to this file (newline-delimited JSON)
+const recordFile = process.env.RECORD;
+// If set, messages recorded in this file are re-broadcast
+const replayFile = process.env.REPLAY;
+// Replay speed, eg 0.5, 1 or 2
+const replaySpeed = process.env.REPLAY_SPEED;
+// If set, replay starts again when it reaches the end
+const replayLoop = process.env.REPLAY_LOOP || false;
+// Max messages per second from each client. 0 (default) for no limit
+const rateLimit = process.env.RATE_LIMIT;
+// Messages a client can send in a burst. Defaults to RATE_LIMIT
+const rateBurst = process.env.RATE_BURST;
+// Bytes waiting to be sent to a client before it is considered slow
+const bufferLimit = process.env.BUFFER_LIMIT;
+// Max messages of each type queued for a slow client
+const queueLimit = process.env.QUEUE_LIMIT;
+// Max messages of all types queued for a slow client
+const queueTotalLimit = process.env.QUEUE_TOTAL_LIMIT;
+// Backpressure policy per message type, eg 'pose:coalesce,keyboard:drop-oldest'
+const backpressurePolicies = process.env.BACKPRESSURE;
+
 const wss = new WebSocketServer({ port });
+const recorder = recordFile ? new SessionRecorder(recordFile) : undefined;
+const flowStats = new FlowStats();
+const rateLimiter = new RateLimiter(Number(rateLimit ?? 0), rateBurst ? Number(rateBurst) : undefined);
+const backpressure = new Backpressure(flowStats, {
+  ...(bufferLimit && { highWaterMark: Number(bufferLimit) }),
+  ...(queueLimit && { queueLimit: Number(queueLimit) }),
+  ...(queueTotalLimit && { totalQueueLimit: Number(queueTotalLimit) }),
+  policies: parsePolicies(backpressurePolicies)
+});
+
+/**
+ * Sends data to all open clients, except for `except`.
+ * Clients which aren't keeping up have messages queued.
+ * @param {any} data
+ * @param {boolean} binary
+ * @param {WebSocket} [except]
+ */
+const broadcast = (data, binary, except) => {
+  /** @type string|undefined */
+  let type;
+  const getType = () => type ??= messageType(String(data), binary);
+  for (const client of wss.clients) {
+    if (client !== except && client.readyState === WebSocket.OPEN) {
+      backpressure.send(client, data, binary, getType, except);
+    }
+  }
+};
 
-wss.on(`connection`, function connection(ws) {
+wss.on(`connection`, function connection(ws, request) {
+  const address = request.socket.remoteAddress ?? `?`;
   console.log(`Connection!`);
   ws.on(`error`, console.error);
 
   ws.on(`message`, function message(data, isBinary) {
-    for (const client of wss.clients) {
-      if (client !== ws && client.readyState === WebSocket.OPEN) {
-        client.send(data, { binary: isBinary });
-      }
+    if (!rateLimiter.allow(ws)) {
+      flowStats.increment(`rate limited`, `client ${address}`);
+      return;
     }
+    recorder?.record(defaultRoom, data, isBinary);
+    broadcast(data, isBinary, ws);
+  });
+
+  ws.on(`close`, () => {
+    rateLimiter.remove(ws);
+    backpressure.remove(ws);
   });
 });
 
-console.log(`Websocket server started on port ${port}`);
\ No newline at end of file
+console.log(`Websocket server started on port ${port}`);
+if (recorder) console.log(`Recording to ${recorder.file}`);
+if (rateLimiter.ratePerSec > 0) console.log(`Rate limiting clients to ${rateLimiter.ratePerSec} message(s)/sec`);
+
+// Periodically report messages dropped by rate limiting or backpressure
+setInterval(() => {
+  const dropped = flowStats.flush();
+  if (dropped) console.warn(`Dropped messages: ${dropped}`);
+}, statsIntervalMs).unref();
+
+if (replayFile) {
+  const entries = await readSession(replayFile);
+  const player = new SessionPlayer(entries, entry => {
+    broadcast(entryData(entry), Boolean(entry.binary));
+  }, { speed: parseSpeed(replaySpeed), loop: Boolean(replayLoop) });
+  player.start();
+  console.log(`Replaying ${entries.length} message(s) from ${replayFile}`);
+}